@@ -0,0 +1,107 @@
+import React from 'react';
+import { FACIES_COLORS, FACIES_METHODS } from '../utils/faciesModeling';
+
+const inputClass = 'w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors';
+
+const SIS_FIELDS = [
+  { group: 'variogram', key: 'majorRange', label: 'Major Range (m)', step: 10, min: 1 },
+  { group: 'variogram', key: 'minorRange', label: 'Minor Range (m)', step: 10, min: 1 },
+  { group: 'variogram', key: 'verticalRange', label: 'Vertical Range (m)', step: 1, min: 0.1 }
+];
+
+const OBJECT_FIELDS = [
+  { group: 'channel', key: 'width', label: 'Channel Width (m)', step: 10, min: 1 },
+  { group: 'channel', key: 'thickness', label: 'Channel Thickness (m)', step: 1, min: 0.1 },
+  { group: 'channel', key: 'sinuosity', label: 'Sinuosity', step: 0.05, min: 1, max: 3 },
+  { group: 'lobe', key: 'length', label: 'Lobe Length (m)', step: 10, min: 1 },
+  { group: 'lobe', key: 'width', label: 'Lobe Width (m)', step: 10, min: 1 },
+  { group: 'lobe', key: 'thickness', label: 'Lobe Thickness (m)', step: 1, min: 0.1 }
+];
+
+const NumberInput = ({ value, step, min, max, onChange }) => (
+  <input
+    type="number"
+    step={step}
+    min={min}
+    max={max}
+    value={value}
+    onChange={(e) => {
+      const parsed = parseFloat(e.target.value);
+      if (Number.isFinite(parsed)) onChange(Math.min(Math.max(parsed, min ?? -Infinity), max ?? Infinity));
+    }}
+    className={inputClass}
+  />
+);
+
+// Facies method, its parameters, and the proportion and property ranges of each facies
+const FaciesPanel = ({ model, onChange }) => {
+  const update = (changes) => onChange({ ...model, ...changes });
+  const updateGroup = (group, key, value) => update({ [group]: { ...model[group], [key]: value } });
+  const updateFacies = (code, changes) => update({
+    definitions: model.definitions.map((definition, idx) => (idx === code ? { ...definition, ...changes } : definition))
+  });
+  const updateRange = (code, key, end, value) => {
+    const range = [...model.definitions[code][key]];
+    range[end] = value;
+    updateFacies(code, { [key]: range });
+  };
+
+  const fields = model.method === 'objects' ? OBJECT_FIELDS : SIS_FIELDS;
+  const totalProportion = model.definitions.reduce((sum, definition) => sum + definition.proportion, 0);
+
+  return (
+    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+      <span className="text-xs font-medium text-slate-300">Facies Model</span>
+
+      <select value={model.method} onChange={(e) => update({ method: e.target.value })} className={inputClass}>
+        {FACIES_METHODS.map(m => (
+          <option key={m.value} value={m.value}>{m.label}</option>
+        ))}
+      </select>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Azimuth (°)</label>
+          <NumberInput value={model.azimuth} step={5} min={0} max={180} onChange={(azimuth) => update({ azimuth })} />
+        </div>
+        {fields.map(({ group, key, label, step, min, max }) => (
+          <div key={`${group}.${key}`}>
+            <label className="block text-xs text-slate-400 mb-1">{label}</label>
+            <NumberInput value={model[group][key]} step={step} min={min} max={max} onChange={(value) => updateGroup(group, key, value)} />
+          </div>
+        ))}
+      </div>
+
+      {model.definitions.map((definition, code) => (
+        <div key={code} className="space-y-1">
+          <div className="flex items-center">
+            <div className="w-3 h-3 rounded mr-2 border border-slate-500 flex-shrink-0" style={{ backgroundColor: FACIES_COLORS[code] }}></div>
+            <input
+              type="text"
+              value={definition.name}
+              onChange={(e) => updateFacies(code, { name: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div className="grid grid-cols-5 gap-1">
+            <NumberInput value={definition.proportion} step={0.05} min={0} max={1} onChange={(proportion) => updateFacies(code, { proportion })} />
+            <NumberInput value={definition.porosity[0]} step={0.01} min={0} max={0.5} onChange={(value) => updateRange(code, 'porosity', 0, value)} />
+            <NumberInput value={definition.porosity[1]} step={0.01} min={0} max={0.5} onChange={(value) => updateRange(code, 'porosity', 1, value)} />
+            <NumberInput value={definition.permeability[0]} step={0.1} min={0.0001} onChange={(value) => updateRange(code, 'permeability', 0, value)} />
+            <NumberInput value={definition.permeability[1]} step={10} min={0.0001} onChange={(value) => updateRange(code, 'permeability', 1, value)} />
+          </div>
+        </div>
+      ))}
+
+      <div className="text-xs text-slate-400">
+        Per facies: proportion, porosity min–max (fraction), permeability min–max (mD).
+        {model.method === 'objects'
+          ? ` Channels (${model.definitions[1].name}) and lobes (${model.definitions[2].name}) are placed in ${model.definitions[0].name} until their proportions are reached.`
+          : ' Indicator variogram ranges follow the azimuth (clockwise from north) and the layering.'}
+        {Math.abs(totalProportion - 1) > 1e-6 && ' Proportions are rescaled to sum to 1.'}
+      </div>
+    </div>
+  );
+};
+
+export default FaciesPanel;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { FAULT_TYPES } from '../utils/faultModel';
+
+const inputClass = 'w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors';
+
+// One row per fault segment with its editable attributes, grouped by fault
+const FaultTable = ({ faults, onSegmentChange }) => (
+  <div className="space-y-2">
+    {faults.map((fault, faultIndex) => (
+      <div key={faultIndex} className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+        <div className="flex justify-between text-xs font-medium text-slate-300">
+          <span>{fault.name}</span>
+          <span className="text-slate-400">
+            {fault.sticks
+              ? `${fault.sticks.length} stick${fault.sticks.length === 1 ? '' : 's'}, ${fault.surface.triangles.length / 3} triangles`
+              : `${fault.segments.length} segment${fault.segments.length === 1 ? '' : 's'}`}
+          </span>
+        </div>
+
+        {fault.segments.map(segment => {
+          const update = (changes) => onSegmentChange(faultIndex, segment.segId, changes);
+
+          return (
+            <div
+              key={segment.segId}
+              className={`space-y-1 pt-2 border-t border-slate-700/50 ${segment.active ? '' : 'opacity-50'}`}
+            >
+              <div className="flex items-center text-xs">
+                <input
+                  type="color"
+                  value={segment.color}
+                  onChange={(e) => update({ color: e.target.value })}
+                  className="w-5 h-5 mr-2 bg-transparent border-0 cursor-pointer"
+                  title="Display color"
+                />
+                <span className="flex-1">Segment {segment.segId}</span>
+                <span className="font-mono text-slate-400 mr-2">
+                  {segment.plane
+                    ? `${segment.plane.azimuth.toFixed(0)}° / ${segment.plane.dipAngle.toFixed(0)}°`
+                    : 'too few points'}
+                </span>
+                <input
+                  type="checkbox"
+                  checked={segment.active}
+                  onChange={(e) => update({ active: e.target.checked })}
+                  className="text-blue-500"
+                  title="Active"
+                />
+              </div>
+
+              <div className="grid grid-cols-3 gap-2">
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Type</label>
+                  <select value={segment.type} onChange={(e) => update({ type: e.target.value })} className={inputClass}>
+                    {FAULT_TYPES.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Throw</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="5"
+                    value={segment.throw}
+                    disabled={segment.type === 'strikeSlip'}
+                    onChange={(e) => update({ throw: Math.max(0, parseFloat(e.target.value) || 0) })}
+                    className={`${inputClass} disabled:opacity-50`}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Radius</label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="10"
+                    value={segment.influenceRadius}
+                    onChange={(e) => update({ influenceRadius: Math.max(1, parseFloat(e.target.value) || 1) })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center text-xs">
+                <input
+                  type="checkbox"
+                  checked={segment.taper}
+                  onChange={(e) => update({ taper: e.target.checked })}
+                  className="mr-2 text-blue-500"
+                />
+                Taper throw to zero at fault tips
+              </label>
+            </div>
+          );
+        })}
+      </div>
+    ))}
+    <div className="text-xs text-slate-400">
+      Azimuth / dip from a plane fitted to each segment. Normal faults drop the hanging wall, reverse faults raise it, strike-slip faults only split blocks. Radius sets the fault-flag zone around the picks.
+    </div>
+  </div>
+);
+
+export default FaultTable;
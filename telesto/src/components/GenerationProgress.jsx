@@ -0,0 +1,57 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+// Progress card for the running generation job, with cancel and the queue behind it
+const GenerationProgress = ({ jobs, onCancel }) => {
+  const { active, queued } = jobs;
+  if (!active) return null;
+
+  return (
+    <div className="text-center p-8 bg-slate-800/90 rounded-xl border border-slate-600 w-96">
+      <div className="w-16 h-16 border-4 border-green-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+      <div className="text-lg font-medium text-green-400 mb-1">Generating Geological Grid</div>
+      <div className="text-xs text-slate-400 mb-3">{active.label}</div>
+
+      <div className="w-full h-2 bg-slate-700 rounded-full overflow-hidden mb-2">
+        <div
+          className="h-full bg-gradient-to-r from-green-500 to-emerald-400 transition-all duration-200"
+          style={{ width: `${active.percent}%` }}
+        />
+      </div>
+      <div className="flex justify-between text-sm text-slate-300 mb-4">
+        <span className="capitalize">{active.stage}...</span>
+        <span className="font-mono">{active.percent}%</span>
+      </div>
+
+      <button
+        onClick={() => onCancel(active.id)}
+        className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded text-sm flex items-center justify-center mx-auto transition-colors"
+      >
+        <X className="w-4 h-4 mr-1" />
+        Cancel
+      </button>
+
+      {queued.length > 0 && (
+        <div className="mt-4 text-left">
+          <div className="text-xs font-medium text-slate-300 mb-1">Queued ({queued.length})</div>
+          <div className="space-y-1 max-h-24 overflow-y-auto">
+            {queued.map((job, idx) => (
+              <div key={job.id} className="flex items-center justify-between text-xs bg-slate-900/60 rounded px-2 py-1">
+                <span className="text-slate-400">{idx + 1}. {job.label}</span>
+                <button
+                  onClick={() => onCancel(job.id)}
+                  className="text-red-400 hover:text-red-300"
+                  title="Remove from queue"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GenerationProgress;
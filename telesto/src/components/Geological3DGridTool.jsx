@@ -1,5 +1,38 @@
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { Upload, Download, Play, Settings, Eye, EyeOff, RotateCw, Zap, FileText, Layers, Box, Grid, Info, Plus, Minus, ChevronDown, ChevronRight, Palette, Combine, Move3D, RotateCcw, ZoomIn, ZoomOut, Home, Save, Trash2, Copy, RefreshCw } from 'lucide-react';
+import VariogramPanel from './VariogramPanel';
+import GriddingOptionsPanel from './GriddingOptionsPanel';
+import GenerationProgress from './GenerationProgress';
+import FaultTable from './FaultTable';
+import ZonePanel from './ZonePanel';
+import GridGeometryPanel from './GridGeometryPanel';
+import ImportWizard from './ImportWizard';
+import WellLogQC from './WellLogQC';
+import PropertyModelPanel from './PropertyModelPanel';
+import FaciesPanel from './FaciesPanel';
+import PermeabilityPanel from './PermeabilityPanel';
+import VolumetricsPanel from './VolumetricsPanel';
+import UncertaintyPanel from './UncertaintyPanel';
+import { INTERPOLATION_METHODS } from '../utils/interpolation';
+import { CONVERGENT_METHODS, GRIDDING_DEFAULTS } from '../utils/surfaceGridding';
+import { DEFAULT_VARIOGRAM } from '../utils/variogram';
+import { withSpatialIndex, combinedBounds as datasetBounds } from '../utils/spatialIndex';
+import { createGridJobQueue } from '../utils/gridJobQueue';
+import { withFaultModel } from '../utils/faultModel';
+import { MAX_ZONE_LAYERS, buildZones } from '../utils/layering';
+import { DEFAULT_GRID_GEOMETRY, gridSizeProblem, resolveGridGeometry } from '../utils/gridGeometry';
+import { EXPORT_FORMATS, toGrdecl, toVtkLegacy, toVtu } from '../utils/gridExport';
+import { SURFACE_EXPORT_FORMATS, detectSurfaceFormat, writeGriddedSurface } from '../utils/surfaceFormats';
+import { detectFaultStickFormat } from '../utils/faultSticks';
+import { parseLas, wellLogFromLas } from '../utils/lasFile';
+import { pointSetFromPoints } from '../utils/pointSet';
+import { readFileHead } from '../utils/pointImport';
+import { DEFAULT_PROPERTY_VARIOGRAM } from '../utils/propertyModeling';
+import { DEFAULT_FACIES_MODEL, FACIES_COLORS } from '../utils/faciesModeling';
+import { DEFAULT_PERMEABILITY_MODEL } from '../utils/poroPerm';
+import { DEFAULT_VOLUMETRICS } from '../utils/volumetrics';
+import { randomSeed } from '../utils/random';
+import { DEFAULT_UNCERTAINTY, uncertaintyProblem } from '../utils/uncertainty';
 
 const Geological3DGridTool = () => {
   const [grids, setGrids] = useState([]);
@@ -7,13 +40,41 @@ const Geological3DGridTool = () => {
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [horizonData, setHorizonData] = useState([]);
   const [faultData, setFaultData] = useState([]);
+  const [wellData, setWellData] = useState([]);
+  const [logTargetWell, setLogTargetWell] = useState('');
   const [numLayers, setNumLayers] = useState(5);
-  const [isGenerating, setIsGenerating] = useState(false);
+  const [zoneSettings, setZoneSettings] = useState({});
+  const [gridGeometry, setGridGeometry] = useState(DEFAULT_GRID_GEOMETRY);
+  const [aoiPolygon, setAoiPolygon] = useState(null);
+  const [interpolationMethod, setInterpolationMethod] = useState('idw');
+  const [variogramModel, setVariogramModel] = useState(DEFAULT_VARIOGRAM);
+  const [volumetrics, setVolumetrics] = useState(DEFAULT_VOLUMETRICS);
+  const [uncertainty, setUncertainty] = useState(() => ({ ...DEFAULT_UNCERTAINTY, seed: randomSeed() }));
+  const [uncertaintyResult, setUncertaintyResult] = useState(null);
+  const [propertyModel, setPropertyModel] = useState(() => ({
+    seed: randomSeed(),
+    lockSeed: false,
+    variogram: DEFAULT_PROPERTY_VARIOGRAM,
+    facies: DEFAULT_FACIES_MODEL,
+    permeability: DEFAULT_PERMEABILITY_MODEL
+  }));
+  const [griddingOptions, setGriddingOptions] = useState({
+    tension: GRIDDING_DEFAULTS.tension,
+    boundaryTension: GRIDDING_DEFAULTS.boundaryTension,
+    smoothing: GRIDDING_DEFAULTS.smoothing,
+    limits: GRIDDING_DEFAULTS.limits
+  });
+  const [generationJobs, setGenerationJobs] = useState({ active: null, queued: [] });
+  const isGenerating = generationJobs.active !== null;
+  const uncertaintyRunning = [generationJobs.active, ...generationJobs.queued].some(job => job?.type === 'uncertainty');
   const [visualization, setVisualization] = useState(true);
   const [viewMode, setViewMode] = useState('blocks');
   const [showFaults, setShowFaults] = useState(true);
   const [showWells, setShowWells] = useState(true);
   const [colorScheme, setColorScheme] = useState('depth');
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [surfaceExport, setSurfaceExport] = useState({ horizon: 0, format: 'zmap' });
+  const [pendingImport, setPendingImport] = useState(null);
   const [pointColors, setPointColors] = useState({
     shallow: '#4ade80',
     deep: '#f59e0b',
@@ -23,6 +84,7 @@ const Geological3DGridTool = () => {
   const canvasRef = useRef(null);
   const gizmoRef = useRef(null);
   const animationFrameRef = useRef(null);
+  const jobQueueRef = useRef(null);
   
   const [camera, setCamera] = useState({
     rotX: -20,
@@ -49,80 +111,112 @@ const Geological3DGridTool = () => {
     return grids.find(g => g.id === activeGridId);
   }, [grids, activeGridId]);
 
-  // Enhanced file parsing with better error handling
-  const parseCSVData = useCallback((csvText, type) => {
-    try {
-      const lines = csvText.trim().split('\n').filter(line => line.trim());
-      if (lines.length < 2) throw new Error('File must contain headers and at least one data row');
-      
-      const headers = lines[0].toLowerCase().split(',').map(h => h.trim());
-      const points = [];
-      
-      for (let i = 1; i < lines.length; i++) {
-        const values = lines[i].split(',').map(v => v.trim());
-        if (values.length < 3) continue;
-        
-        const point = {};
-        headers.forEach((header, idx) => {
-          const value = parseFloat(values[idx]);
-          if (!isNaN(value)) {
-            if (header.includes('x') || header.includes('easting')) point.x = value;
-            else if (header.includes('y') || header.includes('northing')) point.y = value;
-            else if (header.includes('z') || header.includes('depth') || header.includes('elevation')) point.z = value;
-            else if (header.includes('seg') || header.includes('fault')) point.segId = Math.floor(value);
-          }
-        });
-        
-        if (point.x !== undefined && point.y !== undefined && point.z !== undefined) {
-          points.push(point);
-        }
+  // Zones between consecutive horizons, ordered by depth
+  const zones = useMemo(() => buildZones(horizonData, zoneSettings, numLayers), [horizonData, zoneSettings, numLayers]);
+
+  const horizonBounds = useMemo(() => horizonData.length ? datasetBounds(horizonData) : null, [horizonData]);
+  const layerCount = zones.reduce((sum, z) => sum + z.layers, 0);
+
+  // Grids above the cell limit are refused before they reach the worker
+  const gridSize = useMemo(() => {
+    const geometry = horizonBounds && resolveGridGeometry(gridGeometry, horizonBounds);
+    return geometry && gridSizeProblem(geometry, layerCount);
+  }, [gridGeometry, horizonBounds, layerCount]);
+
+  // Adds an imported point set as a horizon, fault or AOI polygon
+  const addImportedData = useCallback((name, points, dataType) => {
+    if (points.length === 0) {
+      alert('No valid data points found. Please check your file format.');
+      return;
+    }
+
+    const newData = {
+      name,
+      points: points,
+      color: `hsl(${Math.random() * 360}, 70%, 60%)`
+    };
+
+    // Spatial indexes are built once here and reused by every generation run
+    if (dataType === 'horizon') {
+      setHorizonData(prev => [...prev, withSpatialIndex(newData, 2)]);
+    } else if (dataType === 'fault') {
+      setFaultData(prev => [...prev, withFaultModel(withSpatialIndex(newData, 3))]);
+    } else if (dataType === 'aoi') {
+      if (points.length < 3) {
+        alert('An area-of-interest polygon needs at least three vertices.');
+        return;
       }
-      
-      return points;
-    } catch (error) {
-      throw new Error(`CSV parsing failed: ${error.message}`);
+      setAoiPolygon({ name, points: Array.from({ length: points.length }, (_, idx) => ({ x: points.x[idx], y: points.y[idx] })) });
     }
   }, []);
 
-  // Enhanced file upload with progress
-  const handleFileUpload = useCallback((event, dataType) => {
+  // Faults imported as sticks arrive triangulated from the import worker, one dataset per fault
+  const addImportedFaults = useCallback((faults) => {
+    setFaultData(prev => [
+      ...prev,
+      ...faults.map(fault => withFaultModel(withSpatialIndex({ ...fault, color: `hsl(${Math.random() * 360}, 70%, 60%)` }, 3)))
+    ]);
+  }, []);
+
+  // Wells arrive as trajectories (stations with MD, X, Y and elevation) from the import worker
+  const addImportedWells = useCallback((wells) => {
+    if (wells.length === 0) {
+      alert('No valid well stations found. Please check your file format.');
+      return;
+    }
+    setWellData(prev => [
+      ...prev.filter(well => !wells.some(w => w.name === well.name)),
+      ...wells.map(well => ({ ...well, color: `hsl(${Math.random() * 360}, 80%, 65%)` }))
+    ]);
+  }, []);
+
+  // LAS logs attach to the well picked in the panel, or to the well named in the LAS header
+  const handleLasUpload = useCallback(async (event) => {
     const file = event.target.files[0];
     if (!file) return;
-    
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const text = e.target.result;
-        const points = parseCSVData(text, dataType);
-        
-        if (points.length === 0) {
-          alert('No valid data points found. Please check your file format.');
-          return;
-        }
-        
-        const newData = {
-          name: file.name.replace('.csv', ''),
-          points: points,
-          color: `hsl(${Math.random() * 360}, 70%, 60%)`
-        };
-        
-        if (dataType === 'horizon') {
-          setHorizonData(prev => [...prev, newData]);
-        } else if (dataType === 'fault') {
-          setFaultData(prev => [...prev, newData]);
-        }
-      } catch (error) {
-        alert(`Error: ${error.message}`);
+    event.target.value = '';
+
+    try {
+      const las = parseLas(await file.text());
+      const lasName = las.wellName.trim().toLowerCase();
+      const target = wellData.find(well => well.name === logTargetWell)?.name
+        || wellData.find(well => well.name.trim().toLowerCase() === lasName)?.name
+        || (wellData.length === 1 ? wellData[0].name : null);
+      if (!target) {
+        alert(`No imported well matches "${las.wellName}". Pick the well to attach the log to.`);
+        return;
       }
-    };
-    
-    reader.onerror = () => {
-      alert('Failed to read file. Please try again.');
-    };
-    
-    reader.readAsText(file);
+      const log = wellLogFromLas(las, file.name);
+      setWellData(prev => prev.map(well => (well.name === target ? { ...well, log } : well)));
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  }, [logTargetWell, wellData]);
+
+  // Only the start of the file is read here, to detect the format and preview it; the import
+  // wizard streams the whole file in a worker
+  const handleFileUpload = useCallback(async (event, dataType) => {
+    const file = event.target.files[0];
+    if (!file) return;
     event.target.value = '';
-  }, [parseCSVData]);
+
+    try {
+      const head = await readFileHead(file);
+      // Horizons may also come as ZMap+ or IRAP grids and faults as CPS-3 or Charisma sticks,
+      // recognised from the file contents
+      const surfaceFormat = dataType === 'horizon' ? detectSurfaceFormat(head) : 'csv';
+      setPendingImport({
+        name: file.name.replace(/\.[^.]+$/, ''),
+        file,
+        head,
+        dataType,
+        surfaceFormat: surfaceFormat !== 'csv' ? surfaceFormat : null,
+        stickFormat: dataType === 'fault' ? detectFaultStickFormat(head) : null
+      });
+    } catch {
+      alert('Failed to read file. Please try again.');
+    }
+  }, []);
 
   // Enhanced realistic data generators
   const generateRealisticHorizons = useCallback(() => {
@@ -151,8 +245,8 @@ const Geological3DGridTool = () => {
     }
     
     setHorizonData([
-      { name: 'Top Formation', points: topHorizon, color: pointColors.shallow },
-      { name: 'Base Formation', points: bottomHorizon, color: pointColors.deep }
+      withSpatialIndex({ name: 'Top Formation', points: pointSetFromPoints(topHorizon), color: pointColors.shallow }, 2),
+      withSpatialIndex({ name: 'Base Formation', points: pointSetFromPoints(bottomHorizon), color: pointColors.deep }, 2)
     ]);
   }, [pointColors]);
 
@@ -176,182 +270,108 @@ const Geological3DGridTool = () => {
     }
     
     setFaultData([
-      { name: 'Main Fault', points: fault1Points, color: pointColors.fault },
-      { name: 'Secondary Fault', points: fault2Points, color: '#8b5cf6' }
+      withFaultModel(withSpatialIndex({ name: 'Main Fault', points: pointSetFromPoints(fault1Points), color: pointColors.fault }, 3)),
+      withFaultModel(withSpatialIndex({ name: 'Secondary Fault', points: pointSetFromPoints(fault2Points), color: '#8b5cf6' }, 3))
     ]);
   }, [pointColors]);
 
-  // Advanced interpolation with performance optimization
-  const geologicalInterpolation = useCallback((x, y, points, method = 'idw') => {
-    if (points.length === 0) return 0;
-    
-    const nearestPoints = points
-      .map(p => ({
-        ...p,
-        distance: Math.sqrt((x - p.x) ** 2 + (y - p.y) ** 2)
-      }))
-      .sort((a, b) => a.distance - b.distance)
-      .slice(0, Math.min(6, points.length));
-    
-    if (nearestPoints.length === 0) return 0;
-    if (nearestPoints[0].distance < 1) return nearestPoints[0].z;
-    
-    let weightSum = 0;
-    let valueSum = 0;
-    
-    nearestPoints.forEach(point => {
-      const weight = 1 / Math.pow(Math.max(point.distance, 0.1), 2);
-      weightSum += weight;
-      valueSum += point.z * weight;
-    });
-    
-    return weightSum > 0 ? valueSum / weightSum : nearestPoints[0].z;
-  }, []);
-
-  // Enhanced fault influence calculation
-  const calculateAdvancedFaultInfluence = useCallback((x, y, z, faults, influenceRadius = 120) => {
-    let totalInfluence = 0;
-    let dominantFault = 0;
-    let maxInfluence = 0;
-    
-    faults.forEach(fault => {
-      fault.points.forEach(point => {
-        const distance = Math.sqrt(
-          (x - point.x) ** 2 + 
-          (y - point.y) ** 2 + 
-          (z - point.z) ** 2
-        );
-        
-        if (distance < influenceRadius) {
-          const influence = Math.exp(-distance / (influenceRadius * 0.25));
-          totalInfluence += influence;
-          
-          if (influence > maxInfluence) {
-            maxInfluence = influence;
-            dominantFault = point.segId || 1;
-          }
+  // Generation runs in a worker; jobs queue up and finished grids are added as they arrive.
+  // Monte Carlo batches share the queue and only return their volumes.
+  useEffect(() => {
+    const queue = createGridJobQueue({
+      onUpdate: setGenerationJobs,
+      onResult: (result, label, type) => {
+        if (type === 'uncertainty') {
+          setUncertaintyResult(result);
+          return;
         }
-      });
+        const id = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+        setGrids(prev => [...prev, { ...result, id, name: `Grid_${prev.length + 1}` }]);
+        setActiveGridId(id);
+      },
+      onError: (error, label, type) => {
+        console.error('Grid generation failed:', error);
+        alert(type === 'uncertainty'
+          ? `Monte Carlo run failed: ${error.message}`
+          : `Grid generation failed: ${error.message}`);
+      }
     });
+    jobQueueRef.current = queue;
     
-    return {
-      influence: Math.min(totalInfluence, 1),
-      faultFlag: maxInfluence > 0.08 ? dominantFault : 0,
-      displacement: totalInfluence * 60 * (Math.random() - 0.5)
-    };
+    return () => queue.dispose();
   }, []);
 
-  // Optimized grid generation with Web Workers concept
-  const generateGeologicalGrid = useCallback(async () => {
+  const generationParams = useCallback((seed) => ({
+    horizons: horizonData,
+    faults: faultData,
+    wells: wellData,
+    numLayers,
+    zoneSettings,
+    interpolationMethod,
+    variogramModel,
+    griddingOptions,
+    gridGeometry,
+    aoi: aoiPolygon ? aoiPolygon.points : null,
+    propertyModel: {
+      seed,
+      variogram: propertyModel.variogram,
+      facies: propertyModel.facies,
+      permeability: propertyModel.permeability
+    }
+  }), [horizonData, faultData, wellData, numLayers, zoneSettings, interpolationMethod, variogramModel, griddingOptions, gridGeometry, aoiPolygon, propertyModel]);
+
+  const generateGeologicalGrid = useCallback(() => {
     if (horizonData.length < 2) {
       alert('Please provide at least two horizon surfaces (top and bottom)');
       return;
     }
-    
-    setIsGenerating(true);
-    
-    try {
-      const topHorizon = horizonData[0].points;
-      const bottomHorizon = horizonData[1].points;
-      const grid = [];
-      
-      const allPoints = [...topHorizon, ...bottomHorizon];
-      const bounds = {
-        xMin: Math.min(...allPoints.map(p => p.x)),
-        xMax: Math.max(...allPoints.map(p => p.x)),
-        yMin: Math.min(...allPoints.map(p => p.y)),
-        yMax: Math.max(...allPoints.map(p => p.y)),
-        zMin: Math.min(...allPoints.map(p => p.z)),
-        zMax: Math.max(...allPoints.map(p => p.z))
-      };
-      
-      const gridSpacing = Math.min(
-        (bounds.xMax - bounds.xMin) / 45,
-        (bounds.yMax - bounds.yMin) / 45
-      );
-      
-      let totalVolume = 0;
-      let pointCount = 0;
-      
-      const totalSteps = Math.ceil((bounds.xMax - bounds.xMin) / gridSpacing) * 
-                        Math.ceil((bounds.yMax - bounds.yMin) / gridSpacing);
-      let currentStep = 0;
-      
-      for (let x = bounds.xMin; x <= bounds.xMax; x += gridSpacing) {
-        for (let y = bounds.yMin; y <= bounds.yMax; y += gridSpacing) {
-          currentStep++;
-          
-          if (currentStep % 50 === 0) {
-            await new Promise(resolve => setTimeout(resolve, 1));
-          }
-          
-          const topZ = geologicalInterpolation(x, y, topHorizon);
-          const bottomZ = geologicalInterpolation(x, y, bottomHorizon);
-          
-          if (topZ <= bottomZ) continue;
-          
-          const thickness = topZ - bottomZ;
-          const layerThickness = thickness / (numLayers + 1);
-          
-          for (let layerIdx = 0; layerIdx <= numLayers + 1; layerIdx++) {
-            const layerRatio = layerIdx / (numLayers + 1);
-            let z = bottomZ + layerRatio * thickness;
-            
-            const structuralDip = Math.sin(x * 0.0008) * Math.cos(y * 0.0006) * 12;
-            z += structuralDip * layerRatio;
-            
-            const faultInfo = calculateAdvancedFaultInfluence(x, y, z, faultData);
-            z += faultInfo.displacement;
-            
-            const cellVolume = gridSpacing * gridSpacing * layerThickness;
-            const porosity = 0.12 + Math.random() * 0.18;
-            const permeability = Math.pow(10, (Math.random() * 3.5) - 0.5);
-            
-            const isWellLocation = (Math.random() < 0.015 && 
-                                  z > bottomZ + thickness * 0.75) ? 1 : 0;
-            
-            totalVolume += cellVolume;
-            pointCount++;
-            
-            grid.push({
-              x: Math.round(x * 100) / 100,
-              y: Math.round(y * 100) / 100,
-              z: Math.round(z * 100) / 100,
-              layer: layerIdx,
-              bulkVolume: Math.round(cellVolume * 100) / 100,
-              faultFlag: faultInfo.faultFlag,
-              wellPath: isWellLocation,
-              porosity: Math.round(porosity * 1000) / 1000,
-              permeability: Math.round(permeability * 100) / 100,
-              structuralDip: Math.round(structuralDip * 10) / 10
-            });
-          }
-        }
-      }
-      
-      const newGrid = {
-        id: Date.now().toString(),
-        name: `Grid_${grids.length + 1}`,
-        points: grid,
-        totalVolume: Math.round(totalVolume),
-        layerCount: numLayers + 2,
-        pointCount: pointCount,
-        bounds: bounds,
-        timestamp: new Date(),
-        horizons: horizonData.map(h => h.name).join(', '),
-        faults: faultData.map(f => f.name).join(', ')
-      };
-      
-      setGrids(prev => [...prev, newGrid]);
-      setActiveGridId(newGrid.id);
-      
-    } catch (error) {
-      console.error('Grid generation failed:', error);
-      alert('Grid generation failed. Please check your input data.');
-    } finally {
-      setIsGenerating(false);
+
+    if (gridSize) {
+      alert(gridSize);
+      return;
+    }
+
+    // A new realization every run unless the seed is kept; the field shows the seed in use
+    const seed = propertyModel.lockSeed ? propertyModel.seed : randomSeed();
+    setPropertyModel(prev => ({ ...prev, seed }));
+
+    jobQueueRef.current.enqueue(generationParams(seed), `${INTERPOLATION_METHODS.find(m => m.value === interpolationMethod)?.label}, ${zones.length} zone${zones.length === 1 ? '' : 's'}, ${layerCount} layers`);
+  }, [horizonData, zones, layerCount, gridSize, interpolationMethod, propertyModel, generationParams]);
+
+  // The batch starts from the current inputs and the property seed in the panel
+  const runUncertainty = useCallback(() => {
+    if (horizonData.length < 2) {
+      alert('Please provide at least two horizon surfaces (top and bottom)');
+      return;
+    }
+    const problem = gridSize || uncertaintyProblem(uncertainty);
+    if (problem) {
+      alert(problem);
+      return;
     }
-  }, [horizonData, faultData, numLayers, geologicalInterpolation, calculateAdvancedFaultInfluence, grids.length]);
+    jobQueueRef.current.enqueue(
+      { generation: generationParams(propertyModel.seed), volumetrics, uncertainty },
+      `Monte Carlo, ${uncertainty.realizations} realizations`,
+      'uncertainty'
+    );
+  }, [horizonData, gridSize, uncertainty, volumetrics, propertyModel, generationParams]);
+
+  // Zone edits are stored by zone name on top of the current defaults
+  const updateZone = useCallback((name, changes) => {
+    setZoneSettings(prev => ({ ...prev, [name]: { ...prev[name], ...changes } }));
+  }, []);
+
+  // Edits to a fault segment (type, throw, radius, active, color) are picked up by the next generation run
+  const updateFaultSegment = useCallback((faultIndex, segId, changes) => {
+    setFaultData(prev => prev.map((fault, idx) => idx !== faultIndex ? fault : {
+      ...fault,
+      segments: fault.segments.map(segment => segment.segId === segId ? { ...segment, ...changes } : segment)
+    }));
+  }, []);
+
+  const cancelGenerationJob = useCallback((jobId) => {
+    jobQueueRef.current.cancel(jobId);
+  }, []);
 
   // Enhanced compatibility checker
   const canCombineGrids = useCallback((gridIds) => {
@@ -461,9 +481,13 @@ const Geological3DGridTool = () => {
     // Get reference bounds from first grid
     const referenceBounds = selectedGridData[0].bounds;
     
+    // Source cell geometry is kept so exports can rebuild each merged cell's hexahedron
+    const sourceGeometry = [];
+
     selectedGridData.forEach((grid, index) => {
       const offset = calculateOffset(index, grid.bounds, allGridBounds);
       const colorShift = index * 120;
+      sourceGeometry.push({ name: grid.name, cornerPoint: grid.cornerPoint || null, offset });
       
       grid.points.forEach(point => {
         const blendedPoint = {
@@ -517,11 +541,12 @@ const Geological3DGridTool = () => {
       isCombined: true,
       sourceGrids: selectedGridData.map(g => g.name),
       mergeType: mergeDirection,
+      sourceGeometry,
       mergeStats: {
         avgPorosity: combinedPoints.reduce((sum, p) => sum + (p.porosity || 0), 0) / combinedPoints.length,
         avgPermeability: combinedPoints.reduce((sum, p) => sum + (p.permeability || 0), 0) / combinedPoints.length,
         faultDensity: combinedPoints.filter(p => p.faultFlag > 0).length / combinedPoints.length,
-        wellDensity: combinedPoints.filter(p => p.wellPath > 0).length / combinedPoints.length
+        wellDensity: combinedPoints.filter(p => p.wellPath).length / combinedPoints.length
       }
     };
     
@@ -690,12 +715,62 @@ const Geological3DGridTool = () => {
     } else {
       renderOptimizedPoints(ctx, visiblePoints);
     }
+
+    // Stick-derived faults: the triangulated surface as a faint mesh, the sticks on top
+    if (showFaults) {
+      faultData.filter(fault => fault.sticks).forEach(fault => {
+        const { surface } = fault;
+        ctx.strokeStyle = fault.color;
+        ctx.globalAlpha = 0.35;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let t = 0; t < surface.triangles.length; t += 3) {
+          [0, 1, 2, 0].forEach((k, step) => {
+            const v = surface.triangles[t + k] * 3;
+            const p = project3D(surface.vertices[v], surface.vertices[v + 1], surface.vertices[v + 2]);
+            if (step === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+          });
+        }
+        ctx.stroke();
+
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = 2;
+        fault.sticks.forEach(stick => {
+          ctx.beginPath();
+          stick.forEach((point, idx) => {
+            const p = project3D(point.x, point.y, point.z);
+            if (idx === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+          });
+          ctx.stroke();
+        });
+      });
+      ctx.lineWidth = 1;
+    }
+
+    // Well trajectories as polylines, named at the wellhead
+    if (showWells) {
+      ctx.lineWidth = 2.5;
+      ctx.font = '11px sans-serif';
+      wellData.forEach(well => {
+        const projected = well.trajectory.map(station => project3D(station.x, station.y, station.z));
+        if (projected.length === 0) return;
+        ctx.strokeStyle = well.color;
+        ctx.fillStyle = well.color;
+        ctx.beginPath();
+        projected.forEach((p, idx) => (idx === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.stroke();
+        ctx.fillText(well.name, projected[0].x + 4, projected[0].y - 4);
+      });
+      ctx.lineWidth = 1;
+    }
     
     // Render 3D gizmo with proper canvas dimensions
     const gizmoInfo = render3DGizmo(ctx, width, height);
     gizmoRef.current = gizmoInfo;
     
-  }, [activeGrid, camera, visualization, viewMode, showFaults, showWells, colorScheme, pointColors, render3DGizmo, sliceEnabled, slicePosition]);
+  }, [activeGrid, camera, visualization, viewMode, showFaults, showWells, colorScheme, pointColors, render3DGizmo, sliceEnabled, slicePosition, faultData, wellData]);
 
   const getPointColor = useCallback((point) => {
     if (!showFaults && point.faultFlag > 0) return null;
@@ -714,9 +789,12 @@ const Geological3DGridTool = () => {
       }
     }
     
-    if (point.wellPath && showWells) {
+    if (point.actnum === 0) {
+      return '#475569';
+    } else if (point.wellPath && showWells) {
       return pointColors.well;
     } else if (point.faultFlag > 0 && showFaults) {
+      if (point.faultColor) return point.faultColor;
       const hue = (point.faultFlag * 60) % 360;
       return `hsl(${hue}, 80%, 60%)`;
     } else {
@@ -733,6 +811,13 @@ const Geological3DGridTool = () => {
         case 'permeability':
           const permHue = Math.log10(point.permeability || 1) * 60 + 120;
           return `hsl(${Math.max(0, Math.min(360, permHue))}, 70%, 60%)`;
+        case 'facies':
+          return FACIES_COLORS[point.facies] ?? pointColors.shallow;
+        case 'krigingVariance': {
+          if (point.krigingVariance === null || point.krigingVariance === undefined) return pointColors.shallow;
+          const varianceRatio = point.krigingVariance / (activeGrid.maxKrigingVariance || 1);
+          return `hsl(${120 - varianceRatio * 120}, 75%, ${45 + varianceRatio * 15}%)`;
+        }
         default:
           return pointColors.shallow;
       }
@@ -944,27 +1029,83 @@ const Geological3DGridTool = () => {
       alert('No active grid to export');
       return;
     }
+
+    const download = (content, type, extension) => {
+      const blob = new Blob([content], { type });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `geological_3d_grid_${activeGrid.name}_${new Date().toISOString().split('T')[0]}.${extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    };
+
+    if (exportFormat === 'grdecl') {
+      if (!activeGrid.cornerPoint) {
+        alert('GRDECL export needs a corner-point grid. Merged grids can only be exported as CSV.');
+        return;
+      }
+      try {
+        download(toGrdecl(activeGrid), 'text/plain', 'grdecl');
+      } catch (error) {
+        alert(`Error: ${error.message}`);
+      }
+      return;
+    }
+
+    if (exportFormat === 'vtk' || exportFormat === 'vtu') {
+      try {
+        download(
+          exportFormat === 'vtk' ? toVtkLegacy(activeGrid) : toVtu(activeGrid),
+          exportFormat === 'vtk' ? 'text/plain' : 'application/xml',
+          exportFormat
+        );
+      } catch (error) {
+        alert(`Error: ${error.message}`);
+      }
+      return;
+    }
     
     const headers = [
-      'X', 'Y', 'Z', 'Layer', 'BulkVolume', 'FaultFlag', 'WellPath',
-      'Porosity', 'Permeability', 'StructuralDip', 'GridID', 'Timestamp'
+      'X', 'Y', 'Z', 'I', 'J', 'K', 'Layer', 'Zone', 'ACTNUM', 'BulkVolume', 'FaultFlag', 'HangingWall', 'FaultBlock', 'WellPath',
+      'Facies', 'Porosity', 'Permeability', 'PermeabilityY', 'PermeabilityZ', 'StructuralDip', 'GridID', 'Timestamp'
     ];
     
+    // Well names are free text, so they are quoted with embedded quotes doubled
+    const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
     const csvContent = [
       headers.join(','),
       ...activeGrid.points.map(point => 
-        `${point.x},${point.y},${point.z},${point.layer},${point.bulkVolume},${point.faultFlag},${point.wellPath},${point.porosity || 0},${point.permeability || 0},${point.structuralDip || 0},${activeGrid.id},${activeGrid.timestamp.toISOString()}`
+        `${point.x},${point.y},${point.z},${point.i ?? ''},${point.j ?? ''},${point.k ?? ''},${point.layer},${point.zone || 1},${point.actnum ?? 1},${point.bulkVolume},${point.faultFlag},${point.hangingWall || 0},${point.faultBlock || 1},${point.wellPath ? quote(point.wellPath) : ''},${point.facies ?? ''},${point.porosity || 0},${point.permeability || 0},${point.permeabilityY ?? point.permeability ?? 0},${point.permeabilityZ ?? point.permeability ?? 0},${point.structuralDip || 0},${activeGrid.id},${activeGrid.timestamp.toISOString()}`
       )
     ].join('\n');
     
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `geological_3d_grid_${activeGrid.name}_${new Date().toISOString().split('T')[0]}.csv`;
-    link.click();
-    URL.revokeObjectURL(url);
-  }, [activeGrid]);
+    download(csvContent, 'text/csv', 'csv');
+  }, [activeGrid, exportFormat]);
+
+  // Horizon surfaces as stored with the grid (zone-adjusted and fault-offset) for mapping tools
+  const exportHorizonSurface = useCallback(() => {
+    const surfaces = activeGrid?.horizonSurfaces;
+    const surface = surfaces?.[Math.min(surfaceExport.horizon, surfaces.length - 1)];
+    if (!surface) {
+      alert('The active grid has no stored horizon surfaces. Regenerate it to export surfaces.');
+      return;
+    }
+
+    try {
+      const { extension } = SURFACE_EXPORT_FORMATS.find(f => f.value === surfaceExport.format);
+      const content = writeGriddedSurface(surface, activeGrid.geometry, surfaceExport.format);
+      const blob = new Blob([content], { type: 'text/plain' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${activeGrid.name}_${surface.name.replace(/[^A-Za-z0-9_-]/g, '_')}.${extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  }, [activeGrid, surfaceExport]);
 
   // Color picker component
   const ColorPicker = ({ colorKey, currentColor, onChange, onClose }) => (
@@ -1204,10 +1345,10 @@ const Geological3DGridTool = () => {
               
               <div className="space-y-3">
                 <div>
-                  <label className="block text-xs font-medium mb-1 text-slate-300">Horizon Surfaces</label>
+                  <label className="block text-xs font-medium mb-1 text-slate-300">Horizon Surfaces (CSV, ZMap+, IRAP)</label>
                   <input
                     type="file"
-                    accept=".csv"
+                    accept=".csv,.txt,.dat,.xyz,.tsv,.zmap,.zmp,.irap,.grd,.irapgrd"
                     onChange={(e) => handleFileUpload(e, 'horizon')}
                     className="w-full text-xs bg-slate-800 border border-slate-600 rounded px-2 py-1 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-xs file:bg-blue-600 file:text-white hover:file:bg-blue-700 transition-colors"
                   />
@@ -1217,11 +1358,69 @@ const Geological3DGridTool = () => {
                   <label className="block text-xs font-medium mb-1 text-slate-300">Fault Systems</label>
                   <input
                     type="file"
-                    accept=".csv"
+                    accept=".csv,.txt,.dat,.xyz,.tsv,.cps,.flt,.sticks"
                     onChange={(e) => handleFileUpload(e, 'fault')}
                     className="w-full text-xs bg-slate-800 border border-slate-600 rounded px-2 py-1 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-xs file:bg-red-600 file:text-white hover:file:bg-red-700 transition-colors"
                   />
                 </div>
+
+                <div>
+                  <label className="block text-xs font-medium mb-1 text-slate-300">Wells (deviation survey or XYZ trajectory)</label>
+                  <input
+                    type="file"
+                    accept=".csv,.txt,.dat,.xyz,.tsv,.dev"
+                    onChange={(e) => handleFileUpload(e, 'well')}
+                    className="w-full text-xs bg-slate-800 border border-slate-600 rounded px-2 py-1 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-xs file:bg-green-600 file:text-white hover:file:bg-green-700 transition-colors"
+                  />
+                  {wellData.length > 0 && (
+                    <div className="mt-1 flex flex-wrap gap-1">
+                      {wellData.map(well => (
+                        <span key={well.name} className="text-xs px-1.5 py-0.5 rounded bg-slate-800 border border-slate-600 flex items-center">
+                          <span className="w-2 h-2 rounded-full mr-1" style={{ backgroundColor: well.color }} />
+                          {well.name}
+                          {well.log && <span className="ml-1 text-slate-400" title={`${well.log.source}: ${well.log.curves.join(', ')}`}>· LAS</span>}
+                          <button
+                            onClick={() => setWellData(prev => prev.filter(w => w.name !== well.name))}
+                            className="ml-1 text-slate-400 hover:text-white"
+                            title="Remove well"
+                          >
+                            ×
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {wellData.length > 0 && (
+                  <div>
+                    <label className="block text-xs font-medium mb-1 text-slate-300">Well Logs (LAS 2.0)</label>
+                    <select
+                      value={logTargetWell}
+                      onChange={(e) => setLogTargetWell(e.target.value)}
+                      className="w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors mb-1"
+                    >
+                      <option value="">Match well by LAS WELL name</option>
+                      {wellData.map(well => <option key={well.name} value={well.name}>{well.name}</option>)}
+                    </select>
+                    <input
+                      type="file"
+                      accept=".las,.LAS"
+                      onChange={handleLasUpload}
+                      className="w-full text-xs bg-slate-800 border border-slate-600 rounded px-2 py-1 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-xs file:bg-green-600 file:text-white hover:file:bg-green-700 transition-colors"
+                    />
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-xs font-medium mb-1 text-slate-300">Area of Interest (X, Y polygon)</label>
+                  <input
+                    type="file"
+                    accept=".csv,.txt,.dat,.xyz,.tsv"
+                    onChange={(e) => handleFileUpload(e, 'aoi')}
+                    className="w-full text-xs bg-slate-800 border border-slate-600 rounded px-2 py-1 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-xs file:bg-amber-600 file:text-white hover:file:bg-amber-700 transition-colors"
+                  />
+                </div>
                 
                 <div className="flex space-x-2">
                   <button
@@ -1243,6 +1442,17 @@ const Geological3DGridTool = () => {
               </div>
             </div>
 
+            {/* Fault Model */}
+            {faultData.length > 0 && (
+              <div className="p-4 border-b border-slate-700/30">
+                <h3 className="text-sm font-semibold mb-3 text-red-400 flex items-center">
+                  <Zap className="w-4 h-4 mr-2" />
+                  Fault Table
+                </h3>
+                <FaultTable faults={faultData} onSegmentChange={updateFaultSegment} />
+              </div>
+            )}
+
             {/* Parameters Section */}
             <div className="p-4 border-b border-slate-700/30">
               <h3 className="text-sm font-semibold mb-3 text-orange-400 flex items-center">
@@ -1252,7 +1462,7 @@ const Geological3DGridTool = () => {
               
               <div className="space-y-3">
                 <div>
-                  <label className="block text-xs font-medium mb-1">Layers: {numLayers}</label>
+                  <label className="block text-xs font-medium mb-1">Default Layers per Zone: {numLayers}</label>
                   <input
                     type="range"
                     min="1"
@@ -1262,6 +1472,63 @@ const Geological3DGridTool = () => {
                     className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
                   />
                 </div>
+
+                {zones.length > 0 && (
+                  <ZonePanel zones={zones} onZoneChange={updateZone} />
+                )}
+
+                <GridGeometryPanel
+                  geometry={gridGeometry}
+                  onChange={setGridGeometry}
+                  dataBounds={horizonBounds}
+                  layerCount={layerCount}
+                  sizeProblem={gridSize}
+                  aoi={aoiPolygon}
+                  onClearAoi={() => setAoiPolygon(null)}
+                />
+                
+                <div>
+                  <label className="block text-xs font-medium mb-1">Interpolation Method</label>
+                  <select
+                    value={interpolationMethod}
+                    onChange={(e) => setInterpolationMethod(e.target.value)}
+                    className="w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors"
+                  >
+                    {INTERPOLATION_METHODS.map(m => (
+                      <option key={m.value} value={m.value}>{m.label}</option>
+                    ))}
+                  </select>
+                </div>
+                
+                {interpolationMethod === 'kriging' && (
+                  <VariogramPanel
+                    horizons={horizonData}
+                    model={variogramModel}
+                    onModelChange={setVariogramModel}
+                  />
+                )}
+                
+                {CONVERGENT_METHODS.includes(interpolationMethod) && (
+                  <GriddingOptionsPanel
+                    method={interpolationMethod}
+                    options={griddingOptions}
+                    onChange={setGriddingOptions}
+                  />
+                )}
+
+                <FaciesPanel
+                  model={propertyModel.facies}
+                  onChange={(facies) => setPropertyModel(prev => ({ ...prev, facies }))}
+                />
+
+                <PropertyModelPanel model={propertyModel} onChange={setPropertyModel} />
+
+                <PermeabilityPanel
+                  model={propertyModel.permeability}
+                  definitions={propertyModel.facies.definitions}
+                  wells={wellData}
+                  onChange={(permeability) => setPropertyModel(prev => ({ ...prev, permeability }))}
+                />
                 
                 <div>
                   <label className="block text-xs font-medium mb-1">View Mode</label>
@@ -1286,6 +1553,8 @@ const Geological3DGridTool = () => {
                     <option value="depth">Depth Based</option>
                     <option value="porosity">Porosity</option>
                     <option value="permeability">Permeability</option>
+                    <option value="facies">Facies</option>
+                    <option value="krigingVariance">Kriging Variance</option>
                   </select>
                 </div>
                 
@@ -1407,6 +1676,126 @@ const Geological3DGridTool = () => {
                     <span className="text-slate-400">Layers:</span>
                     <span className="font-mono">{activeGrid.layerCount}</span>
                   </div>
+                  {activeGrid.cornerPoint && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Cells (I×J×K):</span>
+                      <span className="font-mono">{activeGrid.cornerPoint.nI}×{activeGrid.cornerPoint.nJ}×{activeGrid.cornerPoint.nK}</span>
+                    </div>
+                  )}
+                  {activeGrid.geometry && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Geometry:</span>
+                      <span className="font-mono">
+                        {activeGrid.geometry.nI}×{activeGrid.geometry.nJ} @ {activeGrid.geometry.di.toFixed(1)}×{activeGrid.geometry.dj.toFixed(1)}, {activeGrid.geometry.rotation}°{activeGrid.geometry.aoi ? ', AOI' : ''}
+                      </span>
+                    </div>
+                  )}
+                  {activeGrid.zones && (
+                    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-1">
+                      <div className="text-slate-300 font-medium">Zones</div>
+                      {activeGrid.zones.map(zone => (
+                        <div key={zone.index}>
+                          <div className="flex justify-between">
+                            <span className="text-slate-400 truncate mr-2" title={zone.name}>{zone.index}. {zone.name}</span>
+                            <span className="font-mono whitespace-nowrap">{zone.layers}L · {(zone.volume / 1e6).toFixed(1)}M m³</span>
+                          </div>
+                          {zone.requestedCellThickness && (
+                            <div className="text-amber-300">
+                              Cells thickened from {zone.requestedCellThickness.toFixed(2)} m to {zone.cellThickness.toFixed(2)} m to stay within {MAX_ZONE_LAYERS} layers.
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {activeGrid.inactiveCount > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Inactive Cells:</span>
+                      <span className="font-mono">{activeGrid.inactiveCount.toLocaleString()}</span>
+                    </div>
+                  )}
+                  {activeGrid.crossings?.some(c => c.nodeCount > 0) && (
+                    <div className="p-2 bg-slate-800/50 rounded border border-amber-600/50 space-y-1">
+                      <div className="text-amber-300 font-medium">Horizon Crossings</div>
+                      {activeGrid.crossings.filter(c => c.nodeCount > 0).map(crossing => (
+                        <div key={crossing.zone} className="text-slate-400">
+                          <div className="text-slate-300">{crossing.zone}. {crossing.name} ({crossing.policy})</div>
+                          <div>
+                            {crossing.nodeCount} nodes, {(crossing.area / 1e6).toFixed(2)} km², max {crossing.maxOverlap.toFixed(1)} m, mean {crossing.meanOverlap.toFixed(1)} m
+                          </div>
+                          <div className="font-mono">
+                            X {crossing.extent.xMin.toFixed(0)}–{crossing.extent.xMax.toFixed(0)}, Y {crossing.extent.yMin.toFixed(0)}–{crossing.extent.yMax.toFixed(0)}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {activeGrid.interpolationMethod && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Interpolation:</span>
+                      <span className="font-mono">{INTERPOLATION_METHODS.find(m => m.value === activeGrid.interpolationMethod)?.label}</span>
+                    </div>
+                  )}
+                  {activeGrid.idwFallback?.reason === 'lattice' && (
+                    <div className="text-amber-300">
+                      {INTERPOLATION_METHODS.find(m => m.value === activeGrid.requestedInterpolationMethod)?.label} needs a lattice of at least 3 × 3 nodes; this grid used IDW.
+                    </div>
+                  )}
+                  {activeGrid.idwFallback?.reason === 'degenerate' && (
+                    <div className="text-amber-300">
+                      No thin-plate spline fits the control points of {activeGrid.idwFallback.horizons.join(', ')} (e.g. collinear points); IDW was used there.
+                    </div>
+                  )}
+                  {activeGrid.variogram && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Max Kriging σ:</span>
+                      <span className="font-mono">{Math.sqrt(activeGrid.maxKrigingVariance).toFixed(1)} m</span>
+                    </div>
+                  )}
+                  {activeGrid.propertyModel && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-slate-400">Property Seed:</span>
+                      <span className="flex items-center font-mono">
+                        {activeGrid.propertyModel.seed}
+                        <button
+                          onClick={() => {
+                            const { seed, variogram, facies, permeability } = activeGrid.propertyModel;
+                            setPropertyModel({ seed, lockSeed: true, variogram, facies, permeability });
+                          }}
+                          className="ml-2 p-1 bg-slate-700 hover:bg-slate-600 rounded"
+                          title="Reuse this seed and property settings to reproduce the realization"
+                        >
+                          <RefreshCw className="w-3 h-3" />
+                        </button>
+                      </span>
+                    </div>
+                  )}
+                  {activeGrid.faciesProportions && (
+                    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-1">
+                      <div className="text-slate-300 font-medium">
+                        Facies ({activeGrid.propertyModel.facies.method === 'objects' ? 'object-based' : 'SIS'})
+                      </div>
+                      {activeGrid.faciesProportions.map((proportion, code) => (
+                        <div key={code} className="flex justify-between items-center">
+                          <span className="flex items-center text-slate-400">
+                            <span className="w-2 h-2 rounded-sm mr-2" style={{ backgroundColor: FACIES_COLORS[code] }}></span>
+                            {activeGrid.propertyModel.facies.definitions[code].name}
+                          </span>
+                          <span className="font-mono">{(proportion * 100).toFixed(1)}% / {(activeGrid.propertyModel.facies.definitions[code].proportion * 100).toFixed(0)}%</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <VolumetricsPanel grid={activeGrid} settings={volumetrics} onChange={setVolumetrics} />
+                  <UncertaintyPanel
+                    grid={activeGrid}
+                    settings={uncertainty}
+                    volumetrics={volumetrics}
+                    result={uncertaintyResult}
+                    running={uncertaintyRunning}
+                    onChange={setUncertainty}
+                    onRun={runUncertainty}
+                  />
                   <div className="flex justify-between">
                     <span className="text-slate-400">Horizons:</span>
                     <span className="font-mono text-green-400">{horizonData.length}</span>
@@ -1415,6 +1804,31 @@ const Geological3DGridTool = () => {
                     <span className="text-slate-400">Faults:</span>
                     <span className="font-mono text-red-400">{faultData.length}</span>
                   </div>
+                  {activeGrid.wells?.map(well => (
+                    <div key={well.name} className="flex justify-between">
+                      <span className="text-slate-400">Well {well.name}:</span>
+                      <span className="font-mono text-green-400">{well.cellCount} cells</span>
+                    </div>
+                  ))}
+                  {activeGrid.timings && (
+                    <div className="mt-3 p-2 bg-slate-800/50 rounded border border-slate-600 space-y-1">
+                      <div className="text-slate-300 font-medium">Generation Timing</div>
+                      {[
+                        ['Spatial indexing', activeGrid.timings.indexing],
+                        ['Surface gridding', activeGrid.timings.interpolation],
+                        ['Fault queries', activeGrid.timings.faults],
+                        ['Total', activeGrid.timings.total]
+                      ].map(([label, ms]) => (
+                        <div key={label} className="flex justify-between">
+                          <span className="text-slate-400">{label}:</span>
+                          <span className="font-mono">{ms.toFixed(0)} ms</span>
+                        </div>
+                      ))}
+                      <div className="text-slate-500">
+                        {activeGrid.timings.inputPoints.toLocaleString()} input points; indexes built at load time
+                      </div>
+                    </div>
+                  )}
                   {activeGrid.isCombined && (
                     <div className="mt-3 p-3 bg-gradient-to-r from-purple-900/20 to-blue-900/20 rounded-lg border border-purple-500/30">
                       <div className="text-sm font-medium text-purple-300 mb-2">Merged Grid Analysis</div>
@@ -1449,18 +1863,32 @@ const Geological3DGridTool = () => {
               </div>
             )}
 
+            {/* Well Log QC */}
+            {activeGrid?.wellLogs?.some(log => log.blocks.length > 0) && (
+              <div className="p-4 border-b border-slate-700/30">
+                <h3 className="text-sm font-semibold mb-3 text-green-400 flex items-center">
+                  <FileText className="w-4 h-4 mr-2" />
+                  Well Log QC
+                </h3>
+                <div className="text-xs text-slate-400 mb-2">
+                  Raw log (grey) against the cell values it was blocked into; {activeGrid.hardDataCount} cells hold hard data.
+                </div>
+                <WellLogQC wells={wellData} blockedLogs={activeGrid.wellLogs} />
+              </div>
+            )}
+
             {/* Action Buttons */}
             <div className="p-4">
               <div className="space-y-2">
                 <button
                   onClick={generateGeologicalGrid}
-                  disabled={isGenerating || horizonData.length < 2}
+                  disabled={horizonData.length < 2}
                   className="w-full bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 disabled:from-slate-600 disabled:to-slate-600 px-3 py-2 rounded flex items-center justify-center transition-all transform hover:scale-105 disabled:scale-100"
                 >
                   {isGenerating ? (
                     <>
                       <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
-                      Generating...
+                      Queue Grid ({generationJobs.queued.length + 1} pending)
                     </>
                   ) : (
                     <>
@@ -1470,6 +1898,19 @@ const Geological3DGridTool = () => {
                   )}
                 </button>
                 
+                {activeGrid && (
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    className="w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors"
+                    title="Export format"
+                  >
+                    {EXPORT_FORMATS.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                )}
+
                 {activeGrid && (
                   <div className="grid grid-cols-2 gap-2">
                     <button
@@ -1492,6 +1933,41 @@ const Geological3DGridTool = () => {
                     </button>
                   </div>
                 )}
+
+                {activeGrid?.horizonSurfaces && (
+                  <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+                    <span className="text-xs font-medium text-slate-300">Horizon Surface Export</span>
+                    <div className="grid grid-cols-2 gap-2">
+                      <select
+                        value={Math.min(surfaceExport.horizon, activeGrid.horizonSurfaces.length - 1)}
+                        onChange={(e) => setSurfaceExport(prev => ({ ...prev, horizon: parseInt(e.target.value) }))}
+                        className="bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors"
+                        title="Horizon"
+                      >
+                        {activeGrid.horizonSurfaces.map((surface, idx) => (
+                          <option key={surface.name} value={idx}>{surface.name}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={surfaceExport.format}
+                        onChange={(e) => setSurfaceExport(prev => ({ ...prev, format: e.target.value }))}
+                        className="bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors"
+                        title="Surface format"
+                      >
+                        {SURFACE_EXPORT_FORMATS.map(({ value, label }) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <button
+                      onClick={exportHorizonSurface}
+                      className="w-full bg-teal-600 hover:bg-teal-700 px-3 py-1 rounded flex items-center justify-center text-xs transition-colors"
+                    >
+                      <Download className="w-3 h-3 mr-1" />
+                      Export Surface
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -1593,11 +2069,7 @@ const Geological3DGridTool = () => {
               {/* Loading Overlay */}
               {isGenerating && (
                 <div className="absolute inset-0 bg-slate-900/75 backdrop-blur-sm flex items-center justify-center">
-                  <div className="text-center p-8 bg-slate-800/90 rounded-xl border border-slate-600">
-                    <div className="w-16 h-16 border-4 border-green-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
-                    <div className="text-lg font-medium text-green-400 mb-2">Generating Geological Grid</div>
-                    <div className="text-sm text-slate-300">Processing geological data...</div>
-                  </div>
+                  <GenerationProgress jobs={generationJobs} onCancel={cancelGenerationJob} />
                 </div>
               )}
               
@@ -1606,24 +2078,35 @@ const Geological3DGridTool = () => {
                 <div className="absolute top-4 left-4 bg-slate-800/90 backdrop-blur-sm rounded-xl p-4 border border-slate-600/50 shadow-2xl">
                   <div className="font-semibold mb-3 text-cyan-400">Legend</div>
                   <div className="space-y-2 text-sm">
-                    <div className="flex items-center">
-                      <div className="w-4 h-4 rounded mr-3 border border-slate-500" style={{ backgroundColor: pointColors.shallow }}></div>
-                      <span>Shallow Layers</span>
-                    </div>
-                    <div className="flex items-center">
-                      <div className="w-4 h-4 rounded mr-3 border border-slate-500" style={{ backgroundColor: pointColors.deep }}></div>
-                      <span>Deep Layers</span>
-                    </div>
+                    {colorScheme === 'facies' && activeGrid.propertyModel ? (
+                      activeGrid.propertyModel.facies.definitions.map((definition, code) => (
+                        <div key={code} className="flex items-center">
+                          <div className="w-4 h-4 rounded mr-3 border border-slate-500" style={{ backgroundColor: FACIES_COLORS[code] }}></div>
+                          <span>{definition.name}</span>
+                        </div>
+                      ))
+                    ) : (
+                      <>
+                        <div className="flex items-center">
+                          <div className="w-4 h-4 rounded mr-3 border border-slate-500" style={{ backgroundColor: pointColors.shallow }}></div>
+                          <span>Shallow Layers</span>
+                        </div>
+                        <div className="flex items-center">
+                          <div className="w-4 h-4 rounded mr-3 border border-slate-500" style={{ backgroundColor: pointColors.deep }}></div>
+                          <span>Deep Layers</span>
+                        </div>
+                      </>
+                    )}
                     {showFaults && (
                       <div className="flex items-center">
                         <div className="w-4 h-4 rounded mr-3 border border-slate-500" style={{ backgroundColor: pointColors.fault }}></div>
                         <span>Fault Zones</span>
                       </div>
                     )}
-                    {showWells && (
+                    {showWells && wellData.length > 0 && (
                       <div className="flex items-center">
                         <div className="w-4 h-4 rounded mr-3 border border-slate-500" style={{ backgroundColor: pointColors.well }}></div>
-                        <span>Well Locations</span>
+                        <span>Cells on Well Paths</span>
                       </div>
                     )}
                   </div>
@@ -1678,7 +2161,7 @@ const Geological3DGridTool = () => {
           <div className="flex items-center justify-between text-sm">
             <div className="flex items-center space-x-6">
               <div className="text-slate-400">
-                Status: {isGenerating ? 'Generating...' : activeGrid ? 'Ready' : 'No active grid'}
+                Status: {isGenerating ? `Generating (${generationJobs.active.percent}%, ${generationJobs.active.stage})...` : activeGrid ? 'Ready' : 'No active grid'}
               </div>
               {activeGrid && (
                 <div className="text-slate-400">
@@ -1699,21 +2182,30 @@ const Geological3DGridTool = () => {
         </div>
       </div>
 
-      {/* Global Loading Overlay */}
-      {isGenerating && (
-        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center">
-          <div className="bg-slate-800 rounded-2xl p-8 border border-slate-600 shadow-2xl">
-            <div className="flex items-center space-x-4">
-              <div className="w-12 h-12 border-4 border-green-500 border-t-transparent rounded-full animate-spin"></div>
-              <div>
-                <div className="text-lg font-medium text-green-400">Processing Geological Data</div>
-                <div className="text-sm text-slate-300">Generating 3D grid structure...</div>
-              </div>
-            </div>
-          </div>
+      {/* Floating progress while the 3D view is hidden; the sidebar stays usable for queueing */}
+      {isGenerating && !visualization && (
+        <div className="fixed bottom-16 right-4 z-50 shadow-2xl">
+          <GenerationProgress jobs={generationJobs} onCancel={cancelGenerationJob} />
         </div>
       )}
 
+      {pendingImport && (
+        <ImportWizard
+          fileName={pendingImport.name}
+          file={pendingImport.file}
+          head={pendingImport.head}
+          dataType={pendingImport.dataType}
+          surfaceFormat={pendingImport.surfaceFormat}
+          stickFormat={pendingImport.stickFormat}
+          onImported={(result) => {
+            if (result.faults) addImportedFaults(result.faults);
+            else if (result.wells) addImportedWells(result.wells);
+            else addImportedData(pendingImport.name, result.points, pendingImport.dataType);
+          }}
+          onClose={() => setPendingImport(null)}
+        />
+      )}
+
       {/* Custom Styles */}
       <style jsx global>{`
         * {
@@ -0,0 +1,102 @@
+import React from 'react';
+import { boundsCorners, fitGridGeometry, gridCellCount } from '../utils/gridGeometry';
+
+const inputClass = 'w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors';
+
+const FIELDS = [
+  { key: 'originX', label: 'Origin X', step: 10 },
+  { key: 'originY', label: 'Origin Y', step: 10 },
+  { key: 'di', label: 'I Increment', step: 1, min: 0 },
+  { key: 'dj', label: 'J Increment', step: 1, min: 0 },
+  { key: 'nI', label: 'Nodes in I', step: 1, min: 2, integer: true },
+  { key: 'nJ', label: 'Nodes in J', step: 1, min: 2, integer: true },
+  { key: 'rotation', label: 'Rotation (°)', step: 1 }
+];
+
+// Origin, increments, rotation and area-of-interest clipping for the areal grid, with the cell
+// count of a custom geometry and the reason a grid is too large to generate
+const GridGeometryPanel = ({ geometry, onChange, dataBounds, layerCount, sizeProblem, aoi, onClearAoi }) => {
+  const update = (changes) => onChange({ ...geometry, ...changes });
+
+  const fitTo = (points) => {
+    const fitted = fitGridGeometry(points, geometry.rotation);
+    if (fitted) onChange(fitted);
+  };
+
+  return (
+    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium text-slate-300">Grid Geometry</span>
+        <select
+          value={geometry.mode}
+          onChange={(e) => e.target.value === 'custom' && dataBounds && !(geometry.di > 0)
+            ? fitTo(boundsCorners(dataBounds))
+            : update({ mode: e.target.value })}
+          className="bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors"
+        >
+          <option value="auto">Auto (data bounds)</option>
+          <option value="custom">Custom</option>
+        </select>
+      </div>
+
+      {geometry.mode === 'custom' && (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            {FIELDS.map(({ key, label, step, min, integer }) => (
+              <div key={key}>
+                <label className="block text-xs text-slate-400 mb-1">{label}</label>
+                <input
+                  type="number"
+                  step={step}
+                  min={min}
+                  value={integer ? geometry[key] : Math.round(geometry[key] * 100) / 100}
+                  onChange={(e) => {
+                    const value = integer ? parseInt(e.target.value) : parseFloat(e.target.value);
+                    if (Number.isFinite(value)) update({ [key]: min !== undefined ? Math.max(min, value) : value });
+                  }}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="text-xs text-slate-400">
+            {(geometry.nI - 1).toLocaleString()} × {(geometry.nJ - 1).toLocaleString()} columns × {layerCount} layers = {gridCellCount(geometry, layerCount).toLocaleString()} cells
+          </div>
+
+          <div className="flex space-x-2">
+            <button
+              onClick={() => dataBounds && fitTo(boundsCorners(dataBounds))}
+              disabled={!dataBounds}
+              className="flex-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 px-2 py-1 rounded text-xs transition-colors"
+            >
+              Fit to Data
+            </button>
+            <button
+              onClick={() => aoi && fitTo(aoi.points)}
+              disabled={!aoi}
+              className="flex-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 px-2 py-1 rounded text-xs transition-colors"
+            >
+              Fit to AOI
+            </button>
+          </div>
+        </>
+      )}
+
+      {sizeProblem && <div className="text-xs text-amber-300">{sizeProblem}</div>}
+
+      {aoi && (
+        <div className="flex items-center justify-between text-xs">
+          <span className="text-slate-400">AOI: {aoi.name} ({aoi.points.length} vertices)</span>
+          <button onClick={onClearAoi} className="text-red-400 hover:text-red-300">Clear</button>
+        </div>
+      )}
+
+      <div className="text-xs text-slate-400">
+        Rotation is counter-clockwise from the X axis about the origin. Columns outside the AOI polygon are clipped.
+      </div>
+    </div>
+  );
+};
+
+export default GridGeometryPanel;
@@ -0,0 +1,57 @@
+import React from 'react';
+
+// Tension and boundary settings for minimum-curvature and thin-plate-spline gridding
+const GriddingOptionsPanel = ({ method, options, onChange }) => {
+  const update = (key, value) => onChange({ ...options, [key]: value });
+
+  const sliders = [
+    { key: 'tension', label: 'Tension', max: 1, step: 0.05 },
+    ...(method === 'minimumCurvature'
+      ? [{ key: 'boundaryTension', label: 'Boundary Tension', max: 1, step: 0.05 }]
+      : [{ key: 'smoothing', label: 'Smoothing', max: 0.1, step: 0.001 }])
+  ];
+
+  return (
+    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+      <span className="text-xs font-medium text-slate-300">
+        {method === 'minimumCurvature' ? 'Minimum Curvature' : 'Thin-Plate Spline'} Settings
+      </span>
+
+      {sliders.map(({ key, label, max, step }) => (
+        <div key={key}>
+          <label className="flex justify-between text-xs mb-1">
+            <span>{label}</span>
+            <span className="font-mono">{options[key].toFixed(step < 0.01 ? 3 : 2)}</span>
+          </label>
+          <input
+            type="range"
+            min="0"
+            max={max}
+            step={step}
+            value={options[key]}
+            onChange={(e) => update(key, parseFloat(e.target.value))}
+            className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+          />
+        </div>
+      ))}
+
+      <label className="flex items-center text-xs">
+        <input
+          type="checkbox"
+          checked={options.limits === 'data'}
+          onChange={(e) => update('limits', e.target.checked ? 'data' : 'none')}
+          className="mr-2 text-blue-500"
+        />
+        Limit surface to input data range
+      </label>
+
+      <div className="text-xs text-slate-400">
+        {method === 'minimumCurvature'
+          ? 'Tension 0 gives pure minimum curvature; higher values suppress overshoot between sparse picks. Boundary tension 1 flattens the surface at the grid edges.'
+          : 'Tension 0 gives the classic thin-plate spline; higher values make the spline more local. Smoothing relaxes the fit to noisy picks.'}
+      </div>
+    </div>
+  );
+};
+
+export default GriddingOptionsPanel;
@@ -0,0 +1,440 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Download, Upload, X } from 'lucide-react';
+import {
+  COLUMN_ROLES, DELIMITERS, LENGTH_UNITS, WELL_COLUMN_ROLES, Z_CONVENTIONS,
+  analyseDelimitedText, guessColumnRoles, importDelimitedPoints, previewDelimitedText
+} from '../utils/delimitedImport';
+import { DECIMATION_MODES, DEFAULT_DECIMATION } from '../utils/pointSet';
+import { PREVIEW_BYTES, startPointImport } from '../utils/pointImport';
+import { FAULT_STICK_FORMATS, parseFaultSticks } from '../utils/faultSticks';
+import { DEFAULT_WELLHEAD, importWells } from '../utils/wellTrajectory';
+
+const selectClass = 'w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors';
+
+// Rejected rows listed on screen; the full list can always be downloaded
+const MAX_LISTED_REJECTIONS = 200;
+
+const DATA_TYPE_LABELS = { horizon: 'Horizon', fault: 'Fault', aoi: 'Area of Interest', well: 'Wells' };
+const SURFACE_FORMAT_LABELS = { zmap: 'ZMap+ grid', irap: 'IRAP classic ASCII grid' };
+
+const RejectedRows = ({ rejected, total, fileName, title }) => {
+  const download = () => {
+    const report = ['Line,Reason,Text', ...rejected.map(r => `${r.line},"${r.reason.replace(/"/g, '""')}","${r.text.replace(/"/g, '""')}"`)];
+    const blob = new Blob([report.join('\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName}_rejected_rows.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium text-amber-400">{title}</span>
+        <button onClick={download} className="text-xs text-slate-300 hover:text-white flex items-center">
+          <Download className="w-3 h-3 mr-1" />
+          Download list
+        </button>
+      </div>
+      <div className="max-h-32 overflow-y-auto bg-slate-900/60 rounded p-2 space-y-0.5">
+        {rejected.slice(0, MAX_LISTED_REJECTIONS).map(({ line, reason, text }) => (
+          <div key={line} className="text-xs font-mono">
+            <span className="text-slate-500">Line {line}:</span> <span className="text-amber-300">{reason}</span>
+            <span className="text-slate-500"> — {text}</span>
+          </div>
+        ))}
+        {total > MAX_LISTED_REJECTIONS && (
+          <div className="text-xs text-slate-400">
+            …and {(total - MAX_LISTED_REJECTIONS).toLocaleString()} more
+            {total > rejected.length ? ` (the download lists the first ${rejected.length.toLocaleString()})` : ' (see the downloaded list)'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Preview, column mapping, units, Z convention and decimation for an imported file. The
+// mapping is previewed on the start of the file; the import itself streams the whole file
+// in a worker and reports every rejected row at the end. Fault-stick files only need units
+// and the Z convention; deviation surveys also need their wellhead. `onImported` receives the
+// worker's result: points, or faults for sticks, or wells.
+const ImportWizard = ({ fileName, file, head, dataType, surfaceFormat, stickFormat, onImported, onClose }) => {
+  const [settings, setSettings] = useState(() => {
+    if (stickFormat) return { xyUnit: 'm', zUnit: 'm', zConvention: 'elevation' };
+    if (surfaceFormat) return null;
+    const detected = analyseDelimitedText(head, dataType);
+    return dataType === 'well' ? { ...detected, wellhead: DEFAULT_WELLHEAD } : detected;
+  });
+  const [decimation, setDecimation] = useState(DEFAULT_DECIMATION);
+  const [phase, setPhase] = useState('setup');
+  const [progress, setProgress] = useState(0);
+  const [outcome, setOutcome] = useState(null);
+  const jobRef = useRef(null);
+  const requireZ = dataType !== 'aoi';
+  const isWell = dataType === 'well';
+  const isPartialPreview = file.size > PREVIEW_BYTES;
+
+  useEffect(() => () => jobRef.current?.cancel(), []);
+
+  // Changing how the file is split re-detects the preview and the column roles
+  const updateLayout = (changes) => setSettings(prev => {
+    const next = { ...prev, ...changes };
+    const preview = previewDelimitedText(head, next);
+    return { ...next, preview, columns: guessColumnRoles(preview.headers, next.hasHeader, dataType) };
+  });
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const setColumnRole = (idx, role) => setSettings(prev => ({
+    ...prev,
+    // X, Y, Z, segment ID and the well columns map to one column each
+    columns: prev.columns.map((current, c) => {
+      if (c === idx) return role;
+      return current === role && !['attribute', 'ignore'].includes(role) ? 'ignore' : current;
+    })
+  }));
+
+  const sample = useMemo(() => {
+    if (!settings) return null;
+    try {
+      if (stickFormat) {
+        const parsed = parseFaultSticks(head, stickFormat, settings);
+        return { ...parsed, points: { length: parsed.faults.reduce((sum, f) => sum + f.sticks.flat().length, 0) } };
+      }
+      if (isWell) {
+        const parsed = importWells(head, { ...settings, defaultName: fileName });
+        return { ...parsed, points: { length: parsed.wells.reduce((sum, w) => sum + w.trajectory.length, 0) } };
+      }
+      return importDelimitedPoints(head, { ...settings, requireZ });
+    } catch (error) {
+      return { error: error.message, points: { length: 0 }, rejected: [], rejectedCount: 0 };
+    }
+  }, [head, settings, requireZ, stickFormat, isWell, fileName]);
+
+  const startImport = () => {
+    const dims = dataType === 'fault' ? 3 : 2;
+    const importSettings = stickFormat
+      ? { stickFormat, xyUnit: settings.xyUnit, zUnit: settings.zUnit, zConvention: settings.zConvention, defaultName: fileName }
+      : surfaceFormat
+      ? { surfaceFormat, decimation, dims }
+      : {
+          delimiter: settings.delimiter,
+          hasHeader: settings.hasHeader,
+          columns: settings.columns,
+          xyUnit: settings.xyUnit,
+          zUnit: settings.zUnit,
+          zConvention: settings.zConvention,
+          ...(isWell
+            ? { well: true, wellhead: settings.wellhead, defaultName: fileName }
+            : { requireZ, decimation, dims })
+        };
+
+    setProgress(0);
+    setPhase('importing');
+    jobRef.current = startPointImport({
+      file,
+      settings: importSettings,
+      onProgress: setProgress,
+      onResult: (result) => {
+        jobRef.current = null;
+        onImported(result);
+        if (result.rejectedCount > 0) {
+          setOutcome(result);
+          setPhase('done');
+        } else {
+          onClose();
+        }
+      },
+      onError: (error) => {
+        jobRef.current = null;
+        alert(`Error: ${error.message}`);
+        setPhase('setup');
+      }
+    });
+  };
+
+  const cancel = () => {
+    jobRef.current?.cancel();
+    jobRef.current = null;
+    if (phase === 'importing') setPhase('setup');
+    else onClose();
+  };
+
+  const decimationControls = (
+    <div className="grid grid-cols-2 gap-2">
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Decimation</label>
+        <select value={decimation.mode} onChange={(e) => setDecimation(prev => ({ ...prev, mode: e.target.value }))} className={selectClass}>
+          {DECIMATION_MODES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+      {decimation.mode === 'nth' && (
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Keep Every Nth Point</label>
+          <input
+            type="number"
+            min="2"
+            step="1"
+            value={decimation.every}
+            onChange={(e) => setDecimation(prev => ({ ...prev, every: Math.max(2, parseInt(e.target.value) || 2) }))}
+            className={selectClass}
+          />
+        </div>
+      )}
+      {decimation.mode === 'spacing' && (
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Target Spacing (m)</label>
+          <input
+            type="number"
+            min="0"
+            step="5"
+            value={decimation.spacing}
+            onChange={(e) => setDecimation(prev => ({ ...prev, spacing: Math.max(0, parseFloat(e.target.value) || 0) }))}
+            className={selectClass}
+          />
+        </div>
+      )}
+    </div>
+  );
+
+  const unitControls = (
+    <>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">XY Units</label>
+        <select value={settings?.xyUnit} onChange={(e) => update({ xyUnit: e.target.value })} className={selectClass}>
+          {LENGTH_UNITS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Z Units</label>
+        <select value={settings?.zUnit} onChange={(e) => update({ zUnit: e.target.value })} className={selectClass}>
+          {LENGTH_UNITS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Z Convention</label>
+        <select value={settings?.zConvention} onChange={(e) => update({ zConvention: e.target.value })} className={selectClass}>
+          {Z_CONVENTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+    </>
+  );
+
+  const renderStickSetup = () => (
+    <>
+      <div className="text-xs text-slate-300">
+        Detected {FAULT_STICK_FORMATS.find(f => f.value === stickFormat).label}. Sticks keep their file order and
+        neighbouring sticks are triangulated into one surface per fault.
+      </div>
+      <div className="grid grid-cols-3 gap-2">{unitControls}</div>
+      {sample.error ? (
+        <div className="text-xs text-red-400">{sample.error}</div>
+      ) : (
+        <div className="text-xs text-slate-300 space-y-0.5">
+          {isPartialPreview && <div>In the first part of the file:</div>}
+          {sample.faults.map(fault => (
+            <div key={fault.name} className="font-mono">
+              {fault.name}: {fault.sticks.length} stick{fault.sticks.length === 1 ? '' : 's'}, {fault.sticks.flat().length} points
+            </div>
+          ))}
+        </div>
+      )}
+      {sample.rejectedCount > 0 && (
+        <RejectedRows
+          rejected={sample.rejected}
+          total={sample.rejectedCount}
+          fileName={fileName}
+          title={isPartialPreview ? 'Rejected Rows (preview)' : 'Rejected Rows'}
+        />
+      )}
+    </>
+  );
+
+  const renderSetup = () => {
+    if (stickFormat) return renderStickSetup();
+    if (surfaceFormat) {
+      return (
+        <div className="text-xs text-slate-300">
+          Detected a {SURFACE_FORMAT_LABELS[surfaceFormat]}. Origin, increments and rotation are read from its header and null nodes are skipped.
+        </div>
+      );
+    }
+
+    const { preview } = settings;
+    return (
+      <>
+        <div className="grid grid-cols-4 gap-2">
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Delimiter</label>
+            <select value={settings.delimiter} onChange={(e) => updateLayout({ delimiter: e.target.value })} className={selectClass}>
+              {DELIMITERS.map(({ value, label }) => <option key={label} value={value}>{label}</option>)}
+            </select>
+          </div>
+          {unitControls}
+        </div>
+
+        <label className="flex items-center text-xs text-slate-300">
+          <input
+            type="checkbox"
+            checked={settings.hasHeader}
+            onChange={(e) => updateLayout({ hasHeader: e.target.checked })}
+            className="mr-2"
+          />
+          First row is a header
+        </label>
+
+        {isWell && ['md', 'inclination', 'azimuth'].every(role => settings.columns.includes(role)) && (
+          <div className="space-y-1">
+            <div className="grid grid-cols-3 gap-2">
+              {[['x', 'headX', 'Wellhead X'], ['y', 'headY', 'Wellhead Y'], ['datum', 'datum', 'Datum Elevation (KB)']]
+                .filter(([, role]) => !settings.columns.includes(role))
+                .map(([key, , label]) => (
+                  <div key={key}>
+                    <label className="block text-xs text-slate-400 mb-1">{label}</label>
+                    <input
+                      type="number"
+                      value={settings.wellhead[key]}
+                      onChange={(e) => update({ wellhead: { ...settings.wellhead, [key]: parseFloat(e.target.value) || 0 } })}
+                      className={selectClass}
+                    />
+                  </div>
+                ))}
+            </div>
+            <div className="text-xs text-slate-400">
+              Wellhead columns are read from each well's first row. A survey with several wells needs Wellhead X and Y columns.
+            </div>
+          </div>
+        )}
+
+        <div className="overflow-x-auto border border-slate-600 rounded">
+          <table className="text-xs w-full">
+            <thead className="bg-slate-900/60">
+              <tr>
+                {preview.headers.map((header, idx) => (
+                  <th key={idx} className="p-1 text-left font-normal">
+                    <select
+                      value={settings.columns[idx] || 'ignore'}
+                      onChange={(e) => setColumnRole(idx, e.target.value)}
+                      className={selectClass}
+                    >
+                      {(isWell ? WELL_COLUMN_ROLES : COLUMN_ROLES).map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <div className="text-slate-400 mt-1 truncate">{header}</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map((row, rowIdx) => (
+                <tr key={rowIdx} className="border-t border-slate-700/50">
+                  {preview.headers.map((_, idx) => (
+                    <td key={idx} className="px-1 py-0.5 text-slate-300 font-mono truncate">{row[idx] ?? ''}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {sample.error ? (
+          <div className="text-xs text-red-400">{sample.error}</div>
+        ) : (
+          <div className="text-xs text-slate-300">
+            {isPartialPreview ? 'In the first part of the file: ' : ''}
+            {isWell
+              ? `${sample.wells.length} well${sample.wells.length === 1 ? '' : 's'}, ${sample.points.length.toLocaleString()} stations accepted`
+              : `${sample.points.length.toLocaleString()} points accepted`}
+            , {sample.rejectedCount.toLocaleString()} rows rejected
+          </div>
+        )}
+
+        {sample.rejectedCount > 0 && (
+          <RejectedRows
+            rejected={sample.rejected}
+            total={sample.rejectedCount}
+            fileName={fileName}
+            title={isPartialPreview ? 'Rejected Rows (preview)' : 'Rejected Rows'}
+          />
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
+      <div className="bg-slate-800/95 rounded-xl border border-slate-600 w-full max-w-3xl max-h-full overflow-y-auto p-4 space-y-3 shadow-2xl">
+        <div className="flex items-center justify-between">
+          <h3 className="text-sm font-semibold text-cyan-400 flex items-center">
+            <Upload className="w-4 h-4 mr-2" />
+            Import {DATA_TYPE_LABELS[dataType]}: {fileName}
+          </h3>
+          <span className="text-xs text-slate-400">{(file.size / (1024 * 1024)).toFixed(1)} MB</span>
+        </div>
+
+        {phase === 'setup' && (
+          <>
+            {renderSetup()}
+            {!stickFormat && !isWell && decimationControls}
+          </>
+        )}
+
+        {phase === 'importing' && (
+          <div className="space-y-2">
+            <div className="w-full h-2 bg-slate-700 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-cyan-500 to-blue-400 transition-all duration-200"
+                style={{ width: `${progress}%` }}
+              />
+            </div>
+            <div className="flex justify-between text-xs text-slate-300">
+              <span>Reading and parsing...</span>
+              <span className="font-mono">{progress}%</span>
+            </div>
+          </div>
+        )}
+
+        {phase === 'done' && outcome && (
+          <>
+            <div className="text-xs text-slate-300">
+              {outcome.faults && `Imported ${outcome.faults.length} fault${outcome.faults.length === 1 ? '' : 's'}`}
+              {outcome.wells && `Imported ${outcome.wells.length} well${outcome.wells.length === 1 ? '' : 's'}`}
+              {outcome.points && `Imported ${outcome.points.length.toLocaleString()} points`}
+              {outcome.decimatedCount > 0 ? `, ${outcome.decimatedCount.toLocaleString()} removed by decimation` : ''}
+              , {outcome.rejectedCount.toLocaleString()} rows rejected.
+            </div>
+            <RejectedRows rejected={outcome.rejected} total={outcome.rejectedCount} fileName={fileName} title="Rejected Rows" />
+          </>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          {phase === 'done' ? (
+            <button onClick={onClose} className="bg-blue-600 hover:bg-blue-700 px-3 py-1 rounded text-xs transition-colors">
+              Close
+            </button>
+          ) : (
+            <>
+              <button onClick={cancel} className="bg-slate-700 hover:bg-slate-600 px-3 py-1 rounded text-xs flex items-center transition-colors">
+                <X className="w-3 h-3 mr-1" />
+                Cancel
+              </button>
+              {phase === 'setup' && (
+                <button
+                  onClick={startImport}
+                  disabled={Boolean(sample?.error)}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-3 py-1 rounded text-xs transition-colors"
+                >
+                  Import
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
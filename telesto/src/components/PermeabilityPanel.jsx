@@ -0,0 +1,188 @@
+import React from 'react';
+import { FACIES_COLORS } from '../utils/faciesModeling';
+import { PERMEABILITY_METHODS, fitLogLinear, fitPowerLaw, parsePoroPermPoints, poroPermFromWellLogs, transformCurve } from '../utils/poroPerm';
+
+const inputClass = 'w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors';
+
+const PLOT_WIDTH = 240;
+const PLOT_HEIGHT = 150;
+const POROSITY_MAX = 0.4;
+const LOG_PERM_MIN = -3;
+const LOG_PERM_MAX = 4;
+const MAX_PLOTTED_POINTS = 2000;
+
+const PARAMETERS = {
+  logLinear: [
+    { group: 'logLinear', key: 'slope', label: 'Slope (log k per φ)', step: 0.5 },
+    { group: 'logLinear', key: 'intercept', label: 'Intercept (log k)', step: 0.1 }
+  ],
+  powerLaw: [
+    { group: 'powerLaw', key: 'coefficient', label: 'Coefficient (mD)', step: 1000, min: 0.000001 },
+    { group: 'powerLaw', key: 'exponent', label: 'Exponent', step: 0.1 }
+  ]
+};
+
+const NumberInput = ({ value, step, min, max, onChange }) => (
+  <input
+    type="number"
+    step={step}
+    min={min}
+    max={max}
+    value={Math.round(value * 10000) / 10000}
+    onChange={(e) => {
+      const parsed = parseFloat(e.target.value);
+      if (Number.isFinite(parsed)) onChange(Math.min(Math.max(parsed, min ?? -Infinity), max ?? Infinity));
+    }}
+    className={inputClass}
+  />
+);
+
+// Porosity against log permeability: data points and the transform line (one per facies for
+// the facies-range transform)
+const CrossPlot = ({ model, definitions }) => {
+  const toX = (phi) => Math.min(Math.max(phi / POROSITY_MAX, 0), 1) * PLOT_WIDTH;
+  const toY = (logK) => (1 - Math.min(Math.max((logK - LOG_PERM_MIN) / (LOG_PERM_MAX - LOG_PERM_MIN), 0), 1)) * PLOT_HEIGHT;
+  const points = model.points;
+  const stride = points ? Math.max(1, Math.ceil(points.porosity.length / MAX_PLOTTED_POINTS)) : 1;
+  const curve = (definition, from, to) => Array.from({ length: 21 }, (_, s) => {
+    const phi = from + (to - from) * s / 20;
+    return `${toX(phi).toFixed(1)},${toY(transformCurve(model, definition, phi)).toFixed(1)}`;
+  }).join(' ');
+  let lines = definitions.map((definition, code) => ({ code, points: curve(definition, ...definition.porosity) }));
+  if (PARAMETERS[model.method]) lines = [{ code: null, points: curve(null, 0.001, POROSITY_MAX) }];
+  else if (model.method === 'cloud' && points) lines = [];
+
+  return (
+    <div>
+      <svg width={PLOT_WIDTH} height={PLOT_HEIGHT} className="bg-slate-900/60 rounded border border-slate-600">
+        {points && Array.from({ length: Math.ceil(points.porosity.length / stride) }, (_, n) => n * stride).map(idx => (
+          <circle key={idx} cx={toX(points.porosity[idx])} cy={toY(Math.log10(points.permeability[idx]))} r="1.5" fill="#94a3b8" fillOpacity="0.6" />
+        ))}
+        {lines.map(line => (
+          <polyline key={line.code ?? 'all'} points={line.points} fill="none" stroke={line.code === null ? '#f59e0b' : FACIES_COLORS[line.code]} strokeWidth="1.5" />
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-slate-400">
+        <span>φ 0–{POROSITY_MAX}</span>
+        <span>k 10^{LOG_PERM_MIN}–10^{LOG_PERM_MAX} mD</span>
+      </div>
+    </div>
+  );
+};
+
+// Poro-perm transform and kx/ky/kz anisotropy
+const PermeabilityPanel = ({ model, definitions, wells, onChange }) => {
+  const update = (changes) => onChange({ ...model, ...changes });
+  const updateGroup = (group, key, value) => update({ [group]: { ...model[group], [key]: value } });
+
+  const handlePointsUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+    try {
+      const points = parsePoroPermPoints(await file.text());
+      update({ points: { ...points, source: file.name } });
+      if (points.rejectedCount > 0) alert(`${points.rejectedCount} rows without porosity and a positive permeability were skipped.`);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const loadWellLogs = () => {
+    const points = poroPermFromWellLogs(wells);
+    if (points.porosity.length < 2) {
+      alert('No well log has both porosity and permeability samples.');
+      return;
+    }
+    update({ points: { ...points, source: 'well logs' } });
+  };
+
+  const fit = () => {
+    const fitted = model.method === 'powerLaw' ? fitPowerLaw(model.points) : fitLogLinear(model.points);
+    if (fitted) update(fitted);
+    else alert('The data points have no porosity spread to fit a transform to.');
+  };
+
+  const regression = PARAMETERS[model.method];
+
+  return (
+    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+      <span className="text-xs font-medium text-slate-300">Permeability Transform</span>
+
+      <select value={model.method} onChange={(e) => update({ method: e.target.value })} className={inputClass}>
+        {PERMEABILITY_METHODS.map(m => (
+          <option key={m.value} value={m.value}>{m.label}</option>
+        ))}
+      </select>
+
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Porosity–Permeability Data</label>
+        <input
+          type="file"
+          accept=".csv,.txt,.dat,.tsv"
+          onChange={handlePointsUpload}
+          className="w-full text-xs bg-slate-800 border border-slate-600 rounded px-2 py-1 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-xs file:bg-orange-600 file:text-white hover:file:bg-orange-700 transition-colors"
+        />
+        <div className="flex items-center justify-between mt-1 text-xs">
+          <span className="text-slate-400 truncate mr-2">
+            {model.points ? `${model.points.porosity.length.toLocaleString()} points (${model.points.source})` : 'No data points'}
+          </span>
+          <span className="flex space-x-1">
+            {wells.some(well => well.log) && (
+              <button onClick={loadWellLogs} className="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded">Well Logs</button>
+            )}
+            {model.points && (
+              <button onClick={() => update({ points: null })} className="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded">Clear</button>
+            )}
+          </span>
+        </div>
+      </div>
+
+      {regression && (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            {regression.map(({ group, key, label, step, min }) => (
+              <div key={key}>
+                <label className="block text-xs text-slate-400 mb-1">{label}</label>
+                <NumberInput value={model[group][key]} step={step} min={min} onChange={(value) => updateGroup(group, key, value)} />
+              </div>
+            ))}
+          </div>
+          {model.points && (
+            <button onClick={fit} className="w-full px-2 py-1 text-xs bg-slate-700 hover:bg-slate-600 rounded">Fit to Data</button>
+          )}
+        </>
+      )}
+
+      <div className="grid grid-cols-3 gap-2">
+        {model.method !== 'cloud' && (
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Scatter (log)</label>
+            <NumberInput value={model.scatter} step={0.05} min={0} max={2} onChange={(scatter) => update({ scatter })} />
+          </div>
+        )}
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">ky/kx</label>
+          <NumberInput value={model.kyRatio} step={0.1} min={0} onChange={(kyRatio) => update({ kyRatio })} />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">kz/kx</label>
+          <NumberInput value={model.kzRatio} step={0.05} min={0} onChange={(kzRatio) => update({ kzRatio })} />
+        </div>
+      </div>
+
+      <CrossPlot model={model} definitions={definitions} />
+
+      <div className="text-xs text-slate-400">
+        {model.method === 'cloud'
+          ? model.points
+            ? 'Each cell takes the permeability of a random data point among the 20 nearest in porosity.'
+            : 'Load data points for the cloud transform; until then the facies ranges are used.'
+          : 'Permeability follows the line through each cell\'s porosity, with normal scatter in log10 units.'}
+        {' '}Well log permeability is kept in its cells and pulls nearby cells of the same facies towards it.
+      </div>
+    </div>
+  );
+};
+
+export default PermeabilityPanel;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { Dices } from 'lucide-react';
+import { VARIOGRAM_MODELS } from '../utils/variogram';
+import { MAX_SEED, isValidSeed, randomSeed } from '../utils/random';
+
+const inputClass = 'w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors';
+
+const FIELDS = [
+  { key: 'majorRange', label: 'Major Range (m)', step: 10, min: 1 },
+  { key: 'minorRange', label: 'Minor Range (m)', step: 10, min: 1 },
+  { key: 'azimuth', label: 'Azimuth (°)', step: 5, min: 0, max: 180 },
+  { key: 'verticalRange', label: 'Vertical Range (m)', step: 1, min: 0.1 },
+  { key: 'nugget', label: 'Nugget (0–1)', step: 0.05, min: 0, max: 1 }
+];
+
+// Seed and normal-score variogram for the Sequential Gaussian Simulation of porosity
+const PropertyModelPanel = ({ model, onChange }) => {
+  const updateVariogram = (changes) => onChange({ ...model, variogram: { ...model.variogram, ...changes } });
+
+  return (
+    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+      <span className="text-xs font-medium text-slate-300">Porosity Simulation (SGS)</span>
+
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Seed</label>
+        <div className="flex space-x-1">
+          <input
+            type="number"
+            min="0"
+            max={MAX_SEED}
+            value={model.seed}
+            onChange={(e) => {
+              const seed = parseInt(e.target.value);
+              if (isValidSeed(seed)) onChange({ ...model, seed });
+            }}
+            className={inputClass}
+          />
+          <button
+            onClick={() => onChange({ ...model, seed: randomSeed() })}
+            className="px-2 bg-slate-700 hover:bg-slate-600 rounded"
+            title="Draw a new seed"
+          >
+            <Dices className="w-3 h-3" />
+          </button>
+        </div>
+        <label className="flex items-center text-xs mt-1">
+          <input
+            type="checkbox"
+            checked={model.lockSeed}
+            onChange={(e) => onChange({ ...model, lockSeed: e.target.checked })}
+            className="mr-2 text-blue-500"
+          />
+          Keep seed (reproduce this realization)
+        </label>
+      </div>
+
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Variogram Model</label>
+        <select
+          value={model.variogram.type}
+          onChange={(e) => updateVariogram({ type: e.target.value })}
+          className={inputClass}
+        >
+          {VARIOGRAM_MODELS.map(m => (
+            <option key={m.value} value={m.value}>{m.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {FIELDS.map(({ key, label, step, min, max }) => (
+          <div key={key}>
+            <label className="block text-xs text-slate-400 mb-1">{label}</label>
+            <input
+              type="number"
+              step={step}
+              min={min}
+              max={max}
+              value={model.variogram[key]}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) updateVariogram({ [key]: Math.min(Math.max(value, min), max ?? Infinity) });
+              }}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="text-xs text-slate-400">
+        Ranges are measured along the azimuth (clockwise from north), across it and along the layering. Without the seed kept, every run draws a new one; the seed used is stored with the grid.
+      </div>
+    </div>
+  );
+};
+
+export default PropertyModelPanel;
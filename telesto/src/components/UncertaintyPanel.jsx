@@ -0,0 +1,295 @@
+import React, { useMemo, useState } from 'react';
+import { Dices, Download, Play } from 'lucide-react';
+import { MAX_SEED, isValidSeed, randomSeed } from '../utils/random';
+import {
+  DISTRIBUTION_TYPES, MAX_REALIZATIONS, UNCERTAINTY_METRICS, UNCERTAINTY_VARIABLES, currentValue, uncertaintyCsv
+} from '../utils/uncertainty';
+
+const inputClass = 'w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors';
+
+const PLOT_WIDTH = 240;
+const PLOT_HEIGHT = 120;
+const LABEL_WIDTH = 90;
+const BAR_HEIGHT = 14;
+
+const NumberInput = ({ value, step, onChange }) => (
+  <input
+    type="number"
+    step={step}
+    value={Math.round(value * 10000) / 10000}
+    onChange={(e) => {
+      const parsed = parseFloat(e.target.value);
+      if (Number.isFinite(parsed)) onChange(parsed);
+    }}
+    className={inputClass}
+  />
+);
+
+// Cumulative distribution of the realizations with the P90, P50 and P10 marked
+const CdfPlot = ({ values, summary, metric }) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const min = sorted[0];
+  const span = sorted[sorted.length - 1] - min || 1;
+  const toX = (value) => ((value - min) / span) * PLOT_WIDTH;
+  const toY = (p) => (1 - p) * PLOT_HEIGHT;
+  const steps = sorted.flatMap((value, idx) => [
+    `${toX(value).toFixed(1)},${toY(idx / sorted.length).toFixed(1)}`,
+    `${toX(value).toFixed(1)},${toY((idx + 1) / sorted.length).toFixed(1)}`
+  ]).join(' ');
+  const format = (value) => (value / metric.scale).toFixed(metric.digits);
+
+  return (
+    <div>
+      <svg width={PLOT_WIDTH} height={PLOT_HEIGHT} className="bg-slate-900/60 rounded border border-slate-600">
+        {[['P90', summary.p90, 0.1], ['P50', summary.p50, 0.5], ['P10', summary.p10, 0.9]].map(([label, value, p]) => (
+          <g key={label}>
+            <line x1={toX(value)} x2={toX(value)} y1={toY(p)} y2={PLOT_HEIGHT} stroke="#64748b" strokeDasharray="3 2" />
+            <line x1={0} x2={toX(value)} y1={toY(p)} y2={toY(p)} stroke="#64748b" strokeDasharray="3 2" />
+            <circle cx={toX(value)} cy={toY(p)} r="2.5" fill="#22d3ee">
+              <title>{`${label} ${format(value)} ${metric.unit}`}</title>
+            </circle>
+          </g>
+        ))}
+        <polyline points={steps} fill="none" stroke="#f59e0b" strokeWidth="1.5" />
+      </svg>
+      <div className="flex justify-between text-xs text-slate-400">
+        <span>{format(min)}</span>
+        <span>{metric.label} {metric.unit}, cumulative probability</span>
+        <span>{format(sorted[sorted.length - 1])}</span>
+      </div>
+    </div>
+  );
+};
+
+// Change from the base case with each input alone at its low and high value, widest swing first
+const TornadoChart = ({ tornado, metric }) => {
+  const base = tornado.base[metric.value];
+  const bars = [...tornado.bars].sort((a, b) => (
+    Math.abs(b.highResult[metric.value] - b.lowResult[metric.value]) - Math.abs(a.highResult[metric.value] - a.lowResult[metric.value])
+  ));
+  const reach = Math.max(...bars.flatMap(bar => [bar.lowResult, bar.highResult].map(result => Math.abs(result[metric.value] - base))), 1e-9);
+  const barArea = PLOT_WIDTH - LABEL_WIDTH;
+  const toX = (value) => LABEL_WIDTH + barArea / 2 + ((value - base) / reach) * (barArea / 2 - 2);
+  const format = (value) => (value / metric.scale).toFixed(metric.digits);
+
+  if (bars.length === 0) return <div className="text-xs text-slate-400">Give at least one input a distribution for the tornado chart.</div>;
+
+  return (
+    <div>
+      <svg width={PLOT_WIDTH} height={bars.length * (BAR_HEIGHT + 4) + 4} className="bg-slate-900/60 rounded border border-slate-600">
+        {bars.map((bar, idx) => {
+          const y = 4 + idx * (BAR_HEIGHT + 4);
+          return (
+            <g key={bar.key}>
+              <text x={4} y={y + BAR_HEIGHT - 3} fill="#cbd5e1" fontSize="9">{bar.label.replace(/ \(.*\)$/, '')}</text>
+              {[['low', bar.lowResult, '#3b82f6'], ['high', bar.highResult, '#ef4444']].map(([side, result, color]) => {
+                const x = toX(result[metric.value]);
+                return (
+                  <rect key={side} x={Math.min(x, toX(base))} y={y} width={Math.max(Math.abs(x - toX(base)), 1)} height={BAR_HEIGHT} fill={color} fillOpacity="0.8">
+                    <title>{`${bar.label} ${side} ${Math.round(bar[side] * 10000) / 10000}: ${format(result[metric.value])} ${metric.unit}`}</title>
+                  </rect>
+                );
+              })}
+            </g>
+          );
+        })}
+        <line x1={toX(base)} x2={toX(base)} y1={0} y2={bars.length * (BAR_HEIGHT + 4) + 4} stroke="#e2e8f0" />
+      </svg>
+      <div className="flex justify-between text-xs text-slate-400">
+        <span><span className="text-blue-400">■</span> low input <span className="text-red-400">■</span> high input</span>
+        <span>base {format(base)} {metric.unit}</span>
+      </div>
+    </div>
+  );
+};
+
+// Monte Carlo volumetric uncertainty: distributions of the contacts, NTG, porosity and horizon
+// depth, the realization count and seed, and the percentiles, CDF and tornado of the last run
+const UncertaintyPanel = ({ grid, settings, volumetrics, result, running, onChange, onRun }) => {
+  const [metricValue, setMetricValue] = useState('stoiip');
+  const metric = UNCERTAINTY_METRICS.find(m => m.value === metricValue);
+  const updateVariable = (key, changes) => onChange({ ...settings, variables: { ...settings.variables, [key]: { ...settings.variables[key], ...changes } } });
+
+  // Contacts that are not set start from the middle of the grid's depth range
+  const midDepth = useMemo(() => {
+    const [shallowest, deepest] = grid.points.reduce(
+      (range, point) => [Math.min(range[0], -point.z), Math.max(range[1], -point.z)],
+      [Infinity, -Infinity]
+    );
+    return Math.round((shallowest + deepest) / 2);
+  }, [grid]);
+
+  const changeType = (variable, type) => {
+    const distribution = settings.variables[variable.key];
+    if (distribution.type !== 'fixed' || type === 'fixed') {
+      updateVariable(variable.key, { type });
+      return;
+    }
+    const value = currentValue(variable.key, volumetrics);
+    const base = Number.isFinite(value) ? value : midDepth;
+    const clamp = (v) => Math.min(Math.max(v, variable.min ?? -Infinity), variable.max ?? Infinity);
+    updateVariable(variable.key, { type, low: clamp(base - variable.spread), base, high: clamp(base + variable.spread) });
+  };
+
+  const exportRealizations = () => {
+    const blob = new Blob([uncertaintyCsv(result)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `monte_carlo_${result.realizations.length}_realizations.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const format = (value, m = metric) => (value / m.scale).toFixed(m.digits);
+
+  return (
+    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+      <div className="text-slate-300 font-medium">Volumetric Uncertainty (Monte Carlo)</div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Realizations</label>
+          <input
+            type="number"
+            min="2"
+            max={MAX_REALIZATIONS}
+            value={settings.realizations}
+            onChange={(e) => {
+              const realizations = parseInt(e.target.value);
+              if (realizations >= 2 && realizations <= MAX_REALIZATIONS) onChange({ ...settings, realizations });
+            }}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Batch Seed</label>
+          <div className="flex space-x-1">
+            <input
+              type="number"
+              min="0"
+              max={MAX_SEED}
+              value={settings.seed}
+              onChange={(e) => {
+                const seed = parseInt(e.target.value);
+                if (isValidSeed(seed)) onChange({ ...settings, seed });
+              }}
+              className={inputClass}
+            />
+            <button
+              onClick={() => onChange({ ...settings, seed: randomSeed() })}
+              className="px-2 bg-slate-700 hover:bg-slate-600 rounded"
+              title="Draw a new batch seed"
+            >
+              <Dices className="w-3 h-3" />
+            </button>
+          </div>
+        </div>
+      </div>
+      <label className="flex items-center text-xs">
+        <input
+          type="checkbox"
+          checked={settings.varySeed}
+          onChange={(e) => onChange({ ...settings, varySeed: e.target.checked })}
+          className="mr-2 text-blue-500"
+        />
+        New property seed per realization
+      </label>
+
+      {UNCERTAINTY_VARIABLES.map(variable => {
+        const distribution = settings.variables[variable.key];
+        const value = currentValue(variable.key, volumetrics);
+        return (
+          <div key={variable.key} className="space-y-1">
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-slate-400">{variable.label}</span>
+              <select
+                value={distribution.type}
+                onChange={(e) => changeType(variable, e.target.value)}
+                className="bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors"
+              >
+                {DISTRIBUTION_TYPES.map(t => (
+                  <option key={t.value} value={t.value}>{t.label}</option>
+                ))}
+              </select>
+            </div>
+            {distribution.type === 'fixed' ? (
+              <div className="text-xs text-slate-500">Current value: {Number.isFinite(value) ? value : 'none'}</div>
+            ) : (
+              <div className="grid grid-cols-3 gap-1">
+                {['low', 'base', 'high'].map(end => (
+                  <NumberInput key={end} value={distribution[end]} step={variable.step} onChange={(v) => updateVariable(variable.key, { [end]: v })} />
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <div className="text-xs text-slate-400">
+        Low, base and high: the range of a uniform distribution, the ends and mode of a triangular one,
+        or the 10th percentile, mean and 90th percentile of a normal one. Each realization regenerates
+        the grid from the current inputs; well log porosity is kept unshifted.
+      </div>
+
+      <button
+        onClick={onRun}
+        disabled={running}
+        className="w-full flex items-center justify-center px-2 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 rounded"
+      >
+        <Play className="w-3 h-3 mr-1" />
+        {running ? 'Monte Carlo Running…' : `Run ${settings.realizations} Realizations`}
+      </button>
+
+      {result && (
+        <>
+          <div className="flex items-center justify-between">
+            <span className="text-slate-400">{result.realizations.length} realizations, batch seed {result.seed}</span>
+            <select value={metricValue} onChange={(e) => setMetricValue(e.target.value)} className="bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors">
+              {UNCERTAINTY_METRICS.map(m => (
+                <option key={m.value} value={m.value}>{m.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-slate-400">
+                <th className="text-left font-normal">Volume</th>
+                <th className="text-right font-normal">P90</th>
+                <th className="text-right font-normal">P50</th>
+                <th className="text-right font-normal">P10</th>
+                <th className="text-right font-normal">Mean</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {UNCERTAINTY_METRICS.map(m => (
+                <tr key={m.value} className={m.value === metricValue ? 'text-cyan-300' : ''}>
+                  <td className="font-sans" title={m.unit}>{m.label}</td>
+                  {['p90', 'p50', 'p10', 'mean'].map(key => (
+                    <td key={key} className="text-right">{format(result.summary[m.value][key], m)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-xs text-slate-400">
+            In {metric.unit}. P90 is the low case (exceeded by 90% of realizations), P10 the high case.
+          </div>
+
+          <CdfPlot values={result.realizations.map(r => r[metricValue])} summary={result.summary[metricValue]} metric={metric} />
+          <TornadoChart tornado={result.tornado} metric={metric} />
+
+          <button
+            onClick={exportRealizations}
+            className="w-full flex items-center justify-center px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded"
+          >
+            <Download className="w-3 h-3 mr-1" />
+            Export Realizations
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UncertaintyPanel;
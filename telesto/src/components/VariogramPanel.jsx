@@ -0,0 +1,145 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { Wand2 } from 'lucide-react';
+import { VARIOGRAM_MODELS, computeExperimentalVariogram, fitVariogram, variogramValue, isVariogramFitted } from '../utils/variogram';
+
+const CHART_WIDTH = 256;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = 24;
+
+// Experimental variogram chart with sill/range/nugget controls for kriging
+const VariogramPanel = ({ horizons, model, onModelChange }) => {
+  const [horizonIndex, setHorizonIndex] = useState(0);
+  const horizon = horizons[Math.min(horizonIndex, horizons.length - 1)];
+
+  const experimental = useMemo(() => {
+    return horizon ? computeExperimentalVariogram(horizon.points) : [];
+  }, [horizon]);
+
+  // Fit a starting model the first time data is available
+  useEffect(() => {
+    if (!isVariogramFitted(model) && experimental.length > 1) {
+      onModelChange(fitVariogram(experimental, model.type));
+    }
+  }, [experimental, model, onModelChange]);
+
+  const chart = useMemo(() => {
+    const maxLag = Math.max(...experimental.map(e => e.lag), model.range * 1.2, 1);
+    const maxGamma = Math.max(...experimental.map(e => e.gamma), model.sill * 1.1, 1e-6);
+    const toX = (lag) => CHART_PADDING + (lag / maxLag) * (CHART_WIDTH - CHART_PADDING - 6);
+    const toY = (gamma) => CHART_HEIGHT - CHART_PADDING - (gamma / maxGamma) * (CHART_HEIGHT - CHART_PADDING - 6);
+
+    const curve = [];
+    if (isVariogramFitted(model)) {
+      for (let step = 0; step <= 60; step++) {
+        const lag = (maxLag * step) / 60;
+        curve.push(`${toX(lag).toFixed(1)},${toY(variogramValue(model, lag)).toFixed(1)}`);
+      }
+    }
+    const maxPairs = Math.max(...experimental.map(e => e.pairs), 1);
+
+    return { maxLag, maxGamma, toX, toY, curve: curve.join(' '), maxPairs };
+  }, [experimental, model]);
+
+  const updateModel = (key, value) => {
+    if (isNaN(value)) return;
+    onModelChange({ ...model, [key]: Math.max(0, value) });
+  };
+
+  if (!horizon) {
+    return (
+      <div className="text-xs text-slate-400 p-2 bg-slate-800/50 rounded border border-slate-600">
+        Load horizons to compute an experimental variogram.
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium text-slate-300">Variogram</span>
+        <select
+          value={horizonIndex}
+          onChange={(e) => setHorizonIndex(parseInt(e.target.value))}
+          className="bg-slate-800 border border-slate-600 rounded px-1 py-0.5 text-xs focus:border-blue-500 transition-colors"
+        >
+          {horizons.map((h, idx) => (
+            <option key={idx} value={idx}>{h.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <svg width={CHART_WIDTH} height={CHART_HEIGHT} className="w-full bg-slate-900/60 rounded">
+        <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH - 6} y2={CHART_HEIGHT - CHART_PADDING} stroke="#64748b" strokeWidth="1" />
+        <line x1={CHART_PADDING} y1={6} x2={CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} stroke="#64748b" strokeWidth="1" />
+        {isVariogramFitted(model) && (
+          <>
+            <line x1={CHART_PADDING} y1={chart.toY(model.sill)} x2={CHART_WIDTH - 6} y2={chart.toY(model.sill)} stroke="#f59e0b" strokeDasharray="3 3" strokeWidth="1" />
+            <line x1={chart.toX(model.range)} y1={6} x2={chart.toX(model.range)} y2={CHART_HEIGHT - CHART_PADDING} stroke="#06b6d4" strokeDasharray="3 3" strokeWidth="1" />
+            <polyline points={chart.curve} fill="none" stroke="#4ade80" strokeWidth="2" />
+          </>
+        )}
+        {experimental.map((e, idx) => (
+          <circle
+            key={idx}
+            cx={chart.toX(e.lag)}
+            cy={chart.toY(e.gamma)}
+            r={2 + 2 * (e.pairs / chart.maxPairs)}
+            fill="#60a5fa"
+          >
+            <title>{`h=${e.lag.toFixed(0)}  γ=${e.gamma.toFixed(1)}  pairs=${e.pairs}`}</title>
+          </circle>
+        ))}
+        <text x={CHART_WIDTH - 8} y={CHART_HEIGHT - 8} textAnchor="end" fill="#94a3b8" fontSize="9">lag {chart.maxLag.toFixed(0)}</text>
+        <text x={CHART_PADDING + 2} y={14} fill="#94a3b8" fontSize="9">γ {chart.maxGamma.toFixed(0)}</text>
+      </svg>
+
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={model.type}
+          onChange={(e) => onModelChange({ ...model, type: e.target.value })}
+          className="bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors"
+        >
+          {VARIOGRAM_MODELS.map(m => (
+            <option key={m.value} value={m.value}>{m.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => onModelChange(fitVariogram(experimental, model.type))}
+          className="bg-cyan-600/80 hover:bg-cyan-600 px-2 py-1 rounded text-xs flex items-center justify-center transition-colors"
+        >
+          <Wand2 className="w-3 h-3 mr-1" />
+          Auto Fit
+        </button>
+      </div>
+
+      {[
+        { key: 'sill', label: 'Sill', max: chart.maxGamma * 1.5 },
+        { key: 'range', label: 'Range', max: chart.maxLag * 1.5 },
+        { key: 'nugget', label: 'Nugget', max: Math.max(model.sill, chart.maxGamma) }
+      ].map(({ key, label, max }) => (
+        <div key={key}>
+          <label className="flex justify-between text-xs mb-1">
+            <span>{label}</span>
+            <input
+              type="number"
+              value={Number(model[key].toFixed(2))}
+              onChange={(e) => updateModel(key, parseFloat(e.target.value))}
+              className="w-20 bg-slate-800 border border-slate-600 rounded px-1 text-xs text-right focus:border-blue-500"
+            />
+          </label>
+          <input
+            type="range"
+            min="0"
+            max={max}
+            step={max / 200}
+            value={model[key]}
+            onChange={(e) => updateModel(key, parseFloat(e.target.value))}
+            className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default VariogramPanel;
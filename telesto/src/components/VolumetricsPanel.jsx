@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from 'react';
+import { Download } from 'lucide-react';
+import { SATURATION_METHODS, VOLUMETRICS_BREAKDOWNS, computeVolumetrics, volumetricsCsv } from '../utils/volumetrics';
+
+const inputClass = 'w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors';
+
+const FLUID_FIELDS = [
+  { key: 'ntg', label: 'NTG', step: 0.05, min: 0, max: 1 },
+  { key: 'bo', label: 'Bo (rm³/sm³)', step: 0.05, min: 0.01 },
+  { key: 'bg', label: 'Bg (rm³/sm³)', step: 0.001, min: 0.0001 }
+];
+
+const SATURATION_FIELDS = {
+  constant: [{ key: 'sw', label: 'Sw', step: 0.05, min: 0, max: 1 }],
+  height: [
+    { key: 'swirr', label: 'Swirr', step: 0.05, min: 0, max: 1 },
+    { key: 'entryHeight', label: 'Entry Height (m)', step: 0.5, min: 0.01 },
+    { key: 'lambda', label: 'Lambda', step: 0.1, min: 0.01 }
+  ]
+};
+
+const NumberInput = ({ value, step, min, max, onChange }) => (
+  <input
+    type="number"
+    step={step}
+    min={min}
+    max={max}
+    value={value}
+    onChange={(e) => {
+      const parsed = parseFloat(e.target.value);
+      if (Number.isFinite(parsed)) onChange(Math.min(Math.max(parsed, min ?? -Infinity), max ?? Infinity));
+    }}
+    className={inputClass}
+  />
+);
+
+// Contacts may be left empty (no contact)
+const ContactInput = ({ label, value, onChange }) => (
+  <div>
+    <label className="block text-xs text-slate-400 mb-1">{label}</label>
+    <input
+      type="number"
+      step="1"
+      value={value ?? ''}
+      placeholder="none"
+      onChange={(e) => {
+        const parsed = parseFloat(e.target.value);
+        onChange(Number.isFinite(parsed) ? parsed : null);
+      }}
+      className={inputClass}
+    />
+  </div>
+);
+
+// STOIIP in 10⁶ sm³, GIIP in 10⁹ sm³
+const formatOil = (value) => (value / 1e6).toFixed(2);
+const formatGas = (value) => (value / 1e9).toFixed(3);
+
+// Fluid contacts, NTG, saturation and formation volume factors, with the in-place volumes of
+// the active grid broken down by zone, layer, fault block or source grid
+const VolumetricsPanel = ({ grid, settings, onChange }) => {
+  const [breakdown, setBreakdown] = useState('zone');
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const updateSaturation = (key, value) => update({ saturation: { ...settings.saturation, [key]: value } });
+
+  const depthRange = useMemo(() => grid.points.reduce(
+    (range, point) => [Math.min(range[0], -point.z), Math.max(range[1], -point.z)],
+    [Infinity, -Infinity]
+  ), [grid]);
+  const result = useMemo(() => computeVolumetrics(grid, settings, breakdown), [grid, settings, breakdown]);
+  const contactsCrossed = Number.isFinite(settings.goc) && Number.isFinite(settings.owc) && settings.goc > settings.owc;
+
+  const exportTable = () => {
+    const blob = new Blob([volumetricsCsv(grid, settings)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${grid.name}_volumetrics.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+      <div className="text-slate-300 font-medium">Volumetrics</div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <ContactInput label="GOC Depth (m)" value={settings.goc} onChange={(goc) => update({ goc })} />
+        <ContactInput label="OWC Depth (m)" value={settings.owc} onChange={(owc) => update({ owc })} />
+      </div>
+      <div className="text-slate-400">
+        Cell depths {depthRange[0].toFixed(0)} to {depthRange[1].toFixed(0)} m (positive down).
+        {contactsCrossed && <span className="text-amber-300"> The GOC is below the OWC, so there is no oil leg.</span>}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {FLUID_FIELDS.map(({ key, label, step, min, max }) => (
+          <div key={key}>
+            <label className="block text-xs text-slate-400 mb-1">{label}</label>
+            <NumberInput value={settings[key]} step={step} min={min} max={max} onChange={(value) => update({ [key]: value })} />
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Water Saturation</label>
+        <select
+          value={settings.saturation.method}
+          onChange={(e) => updateSaturation('method', e.target.value)}
+          className={inputClass}
+        >
+          {SATURATION_METHODS.map(m => (
+            <option key={m.value} value={m.value}>{m.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        {SATURATION_FIELDS[settings.saturation.method].map(({ key, label, step, min, max }) => (
+          <div key={key}>
+            <label className="block text-xs text-slate-400 mb-1">{label}</label>
+            <NumberInput value={settings.saturation[key]} step={step} min={min} max={max} onChange={(value) => updateSaturation(key, value)} />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <span className="text-slate-400">Breakdown</span>
+        <select value={breakdown} onChange={(e) => setBreakdown(e.target.value)} className="bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors">
+          {VOLUMETRICS_BREAKDOWNS.map(b => (
+            <option key={b.value} value={b.value}>{b.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-slate-400">
+            <th className="text-left font-normal">Name</th>
+            <th className="text-right font-normal">Pore 10⁶m³</th>
+            <th className="text-right font-normal">STOIIP 10⁶sm³</th>
+            <th className="text-right font-normal">GIIP 10⁹sm³</th>
+          </tr>
+        </thead>
+        <tbody className="font-mono">
+          {[...result.rows, result.total].map(row => (
+            <tr key={row.key} className={row.key === 'total' ? 'text-cyan-300 border-t border-slate-600' : ''}>
+              <td className="truncate max-w-[6rem] font-sans" title={row.label}>{row.label}</td>
+              <td className="text-right">{(row.pore / 1e6).toFixed(2)}</td>
+              <td className="text-right">{formatOil(row.stoiip)}</td>
+              <td className="text-right">{formatGas(row.giip)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button
+        onClick={exportTable}
+        className="w-full flex items-center justify-center px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded"
+      >
+        <Download className="w-3 h-3 mr-1" />
+        Export Volumetrics Table
+      </button>
+    </div>
+  );
+};
+
+export default VolumetricsPanel;
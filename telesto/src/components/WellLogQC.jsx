@@ -0,0 +1,78 @@
+import React from 'react';
+
+const TRACK_WIDTH = 110;
+const TRACK_HEIGHT = 220;
+
+// Porosity on a linear 0–0.4 scale, permeability on a log scale from 0.01 to 10 000 mD
+const TRACKS = [
+  { key: 'porosity', label: 'Porosity', min: 0, max: 0.4, log: false, color: '#38bdf8' },
+  { key: 'permeability', label: 'Perm (mD)', min: -2, max: 4, log: true, color: '#f59e0b' }
+];
+
+const Track = ({ track, log, blocks, mdMin, mdMax }) => {
+  const toX = (value) => {
+    const v = track.log ? Math.log10(value) : value;
+    return Math.min(Math.max((v - track.min) / (track.max - track.min), 0), 1) * TRACK_WIDTH;
+  };
+  const toY = (md) => (md - mdMin) / (mdMax - mdMin || 1) * TRACK_HEIGHT;
+  const valid = (value) => (track.log ? value > 0 : Number.isFinite(value));
+
+  const raw = [];
+  const values = log[track.key];
+  if (values) {
+    log.md.forEach((md, s) => {
+      if (md >= mdMin && md <= mdMax && valid(values[s])) raw.push(`${toX(values[s]).toFixed(1)},${toY(md).toFixed(1)}`);
+    });
+  }
+
+  return (
+    <div>
+      <div className="text-xs text-slate-400 mb-1">{track.label}</div>
+      <svg width={TRACK_WIDTH} height={TRACK_HEIGHT} className="bg-slate-900/60 rounded border border-slate-600">
+        <polyline points={raw.join(' ')} fill="none" stroke="#94a3b8" strokeWidth="0.75" />
+        {blocks.filter(block => valid(block[track.key])).map((block, idx) => (
+          <rect
+            key={idx}
+            x={0}
+            y={toY(block.mdTop)}
+            width={toX(block[track.key])}
+            height={Math.max(toY(block.mdBase) - toY(block.mdTop), 1)}
+            fill={track.color}
+            fillOpacity="0.35"
+            stroke={track.color}
+            strokeWidth="1"
+          />
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+// Raw log (grey line) against the values blocked into the penetrated cells (bars), over the
+// MD interval the well spends inside the grid
+const WellLogQC = ({ wells, blockedLogs }) => (
+  <div className="space-y-3">
+    {blockedLogs.map(blocked => {
+      const well = wells.find(w => w.name === blocked.name);
+      if (!well?.log || blocked.blocks.length === 0) return null;
+      const mdMin = Math.min(...blocked.blocks.map(b => b.mdTop));
+      const mdMax = Math.max(...blocked.blocks.map(b => b.mdBase));
+
+      return (
+        <div key={blocked.name} className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+          <div className="flex justify-between text-xs font-medium text-slate-300">
+            <span>{blocked.name}</span>
+            <span className="text-slate-400 font-mono">MD {mdMin.toFixed(0)}–{mdMax.toFixed(0)} m, {blocked.blocks.length} blocks</span>
+          </div>
+          <div className="flex space-x-2">
+            {TRACKS.map(track => (
+              <Track key={track.key} track={track} log={well.log} blocks={blocked.blocks} mdMin={mdMin} mdMax={mdMax} />
+            ))}
+          </div>
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default WellLogQC;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { CROSSING_POLICIES, LAYERING_STYLES, MAX_ZONE_LAYERS } from '../utils/layering';
+
+const inputClass = 'w-full bg-slate-800 border border-slate-600 rounded px-2 py-1 text-xs focus:border-blue-500 transition-colors';
+
+// Layer count and layering style for each zone between consecutive horizons
+const ZonePanel = ({ zones, onZoneChange }) => (
+  <div className="p-2 bg-slate-800/50 rounded border border-slate-600 space-y-2">
+    <span className="text-xs font-medium text-slate-300">Zones (shallowest first)</span>
+
+    {zones.map(zone => {
+      const update = (changes) => onZoneChange(zone.name, changes);
+      const followsSurface = zone.style === 'followTop' || zone.style === 'followBase';
+
+      return (
+        <div key={zone.name} className="space-y-1">
+          <div className="text-xs text-slate-400">{zone.index}. {zone.name}</div>
+          <div className="grid grid-cols-2 gap-2">
+            {zone.style === 'fractional' ? (
+              <input
+                type="text"
+                value={zone.fractions}
+                placeholder="e.g. 1, 2, 1"
+                onChange={(e) => update({ fractions: e.target.value })}
+                className={inputClass}
+                title="Relative layer thicknesses, top to base"
+              />
+            ) : (
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={zone.layers}
+                disabled={followsSurface && zone.cellThickness > 0}
+                onChange={(e) => update({ layers: Math.max(1, parseInt(e.target.value) || 1) })}
+                className={`${inputClass} disabled:opacity-50`}
+                title="Layers"
+              />
+            )}
+            <select value={zone.style} onChange={(e) => update({ style: e.target.value })} className={inputClass}>
+              {LAYERING_STYLES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {followsSurface && (
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={zone.cellThickness ?? ''}
+              placeholder="Cell thickness (auto from layers)"
+              onChange={(e) => update({ cellThickness: parseFloat(e.target.value) > 0 ? parseFloat(e.target.value) : null })}
+              className={inputClass}
+              title="Constant cell thickness"
+            />
+          )}
+          <select
+            value={zone.crossing}
+            onChange={(e) => update({ crossing: e.target.value })}
+            className={inputClass}
+            title="Where the surfaces cross"
+          >
+            {CROSSING_POLICIES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      );
+    })}
+
+    <div className="text-xs text-slate-400">
+      Follow Top/Base keep a constant cell thickness parallel to that surface and truncate against the other; a zone gets at most {MAX_ZONE_LAYERS} layers, and thinner cells are thickened to fit. Fractional splits each column by the given ratios. Where the horizons cross, erosion clips the lower surface, onlap raises the upper one, or the cells are kept as inactive.
+    </div>
+  </div>
+);
+
+export default ZonePanel;
@@ -0,0 +1,84 @@
+// Corner-point grid topology. Pillars stand on the areal grid nodes (COORD: top and bottom point
+// per pillar) and every cell has eight corner elevations stored in Eclipse ZCORN order, so the
+// arrays can be written out directly. Cells are indexed (i, j, k) with k counted from the top.
+//
+// Corners of a cell are numbered 0-7 with bit 0 = i+1 side, bit 1 = j+1 side, bit 2 = bottom face.
+
+export const createCornerPointGrid = (nI, nJ, nK) => ({
+  nI,
+  nJ,
+  nK,
+  coord: new Float64Array((nI + 1) * (nJ + 1) * 6),
+  zcorn: new Float64Array(nI * nJ * nK * 8),
+  actnum: new Uint8Array(nI * nJ * nK),
+  // Index into grid.points for every structured cell, -1 where no cell point was created
+  cellPoint: new Int32Array(nI * nJ * nK).fill(-1)
+});
+
+export const cellIndex = (grid, i, j, k) => (k * grid.nJ + j) * grid.nI + i;
+
+export const pillarIndex = (grid, i, j) => j * (grid.nI + 1) + i;
+
+export const zcornIndex = (grid, i, j, k, corner) => {
+  const di = corner & 1;
+  const dj = (corner >> 1) & 1;
+  const dk = (corner >> 2) & 1;
+  return ((2 * k + dk) * 2 * grid.nJ + 2 * j + dj) * 2 * grid.nI + 2 * i + di;
+};
+
+export const setPillar = (grid, i, j, top, bottom) => {
+  const offset = pillarIndex(grid, i, j) * 6;
+  grid.coord.set([top.x, top.y, top.z, bottom.x, bottom.y, bottom.z], offset);
+};
+
+// Position on a pillar at elevation z (pillars may be inclined)
+const pointOnPillar = (grid, i, j, z) => {
+  const offset = pillarIndex(grid, i, j) * 6;
+  const [xTop, yTop, zTop, xBottom, yBottom, zBottom] = grid.coord.subarray(offset, offset + 6);
+  const t = zBottom !== zTop ? (z - zTop) / (zBottom - zTop) : 0;
+  return { x: xTop + (xBottom - xTop) * t, y: yTop + (yBottom - yTop) * t, z };
+};
+
+export const cellCorners = (grid, i, j, k) => Array.from({ length: 8 }, (_, corner) =>
+  pointOnPillar(grid, i + (corner & 1), j + ((corner >> 1) & 1), grid.zcorn[zcornIndex(grid, i, j, k, corner)])
+);
+
+const GAUSS_POINTS = [0.5 - 0.5 / Math.sqrt(3), 0.5 + 0.5 / Math.sqrt(3)];
+
+// Exact volume of a trilinear hexahedron. The Jacobian determinant of the trilinear map is at
+// most quadratic in each reference coordinate, so 2×2×2 Gauss quadrature integrates it exactly.
+export const hexahedronVolume = (corners) => {
+  let volume = 0;
+  GAUSS_POINTS.forEach(xi => GAUSS_POINTS.forEach(eta => GAUSS_POINTS.forEach(zeta => {
+    const jacobian = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    corners.forEach((p, corner) => {
+      const a = corner & 1 ? xi : 1 - xi;
+      const b = (corner >> 1) & 1 ? eta : 1 - eta;
+      const c = (corner >> 2) & 1 ? zeta : 1 - zeta;
+      const derivatives = [
+        (corner & 1 ? 1 : -1) * b * c,
+        ((corner >> 1) & 1 ? 1 : -1) * a * c,
+        ((corner >> 2) & 1 ? 1 : -1) * a * b
+      ];
+      derivatives.forEach((d, axis) => {
+        jacobian[0][axis] += d * p.x;
+        jacobian[1][axis] += d * p.y;
+        jacobian[2][axis] += d * p.z;
+      });
+    });
+    const [[a11, a12, a13], [a21, a22, a23], [a31, a32, a33]] = jacobian;
+    volume += (a11 * (a22 * a33 - a23 * a32) - a12 * (a21 * a33 - a23 * a31) + a13 * (a21 * a32 - a22 * a31)) / 8;
+  })));
+  return Math.abs(volume);
+};
+
+export const cellVolume = (grid, i, j, k) => hexahedronVolume(cellCorners(grid, i, j, k));
+
+// Face neighbours that exist in the grid, labelled with Eclipse face names
+export const cellNeighbours = (grid, i, j, k) => [
+  [i - 1, j, k, 'I-'], [i + 1, j, k, 'I+'],
+  [i, j - 1, k, 'J-'], [i, j + 1, k, 'J+'],
+  [i, j, k - 1, 'K-'], [i, j, k + 1, 'K+']
+]
+  .filter(([ni, nj, nk]) => ni >= 0 && nj >= 0 && nk >= 0 && ni < grid.nI && nj < grid.nJ && nk < grid.nK)
+  .map(([ni, nj, nk, face]) => ({ i: ni, j: nj, k: nk, face }));
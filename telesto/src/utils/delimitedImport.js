@@ -0,0 +1,303 @@
+import { DEFAULT_DECIMATION, createDecimator, createPointSetBuilder } from './pointSet';
+
+// Delimited text import: delimiter and header detection, column mapping, unit conversion and a
+// row-by-row report of everything that could not be imported. Coordinates are converted to
+// metres and Z to elevation (up positive), the convention used throughout the grid code.
+
+export const DELIMITERS = [
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe' },
+  { value: 'whitespace', label: 'Spaces' }
+];
+
+export const COLUMN_ROLES = [
+  { value: 'x', label: 'X' },
+  { value: 'y', label: 'Y' },
+  { value: 'z', label: 'Z' },
+  { value: 'segId', label: 'Segment ID' },
+  { value: 'attribute', label: 'Attribute' },
+  { value: 'ignore', label: 'Ignore' }
+];
+
+// Well files are either deviation surveys (MD, inclination, azimuth) or XYZ trajectories; a
+// well-name column splits a file into several wells, each surveyed from the wellhead columns
+export const WELL_COLUMN_ROLES = [
+  { value: 'well', label: 'Well Name' },
+  { value: 'md', label: 'MD' },
+  { value: 'inclination', label: 'Inclination' },
+  { value: 'azimuth', label: 'Azimuth' },
+  { value: 'headX', label: 'Wellhead X' },
+  { value: 'headY', label: 'Wellhead Y' },
+  { value: 'datum', label: 'Datum (KB)' },
+  { value: 'x', label: 'X' },
+  { value: 'y', label: 'Y' },
+  { value: 'z', label: 'Z' },
+  { value: 'ignore', label: 'Ignore' }
+];
+
+// Metres per unit
+export const LENGTH_UNITS = [
+  { value: 'm', label: 'Metres', factor: 1 },
+  { value: 'ft', label: 'Feet', factor: 0.3048 },
+  { value: 'km', label: 'Kilometres', factor: 1000 }
+];
+
+export const Z_CONVENTIONS = [
+  { value: 'elevation', label: 'Elevation (up positive)' },
+  { value: 'depth', label: 'Depth (down positive)' }
+];
+
+// Header names recognised for each role, compared after lower-casing and dropping separators
+// and unit tokens, so "X [m]", "utm_x" and "Easting" all map to X but "index" does not
+const ROLE_NAMES = {
+  x: ['x', 'easting', 'east', 'utmx', 'xutm', 'xcoord', 'xcoordinate', 'coordx', 'posx'],
+  y: ['y', 'northing', 'north', 'utmy', 'yutm', 'ycoord', 'ycoordinate', 'coordy', 'posy'],
+  z: ['z', 'depth', 'elevation', 'elev', 'height', 'tvd', 'tvdss', 'zcoord', 'zcoordinate', 'coordz', 'posz'],
+  segId: ['seg', 'segid', 'segment', 'segmentid', 'faultid', 'faultseg', 'faultsegment']
+};
+const WELL_ROLE_NAMES = {
+  well: ['well', 'wellname', 'name', 'uwi', 'wellid', 'borehole'],
+  md: ['md', 'measureddepth', 'mdepth', 'dept'],
+  inclination: ['inc', 'incl', 'inclination', 'dev', 'deviation'],
+  azimuth: ['azi', 'azim', 'azimuth', 'az'],
+  headX: ['wellheadx', 'headx', 'surfacex', 'surfx', 'slotx'],
+  headY: ['wellheady', 'heady', 'surfacey', 'surfy', 'sloty'],
+  datum: ['kb', 'rkb', 'datum', 'kbelev', 'kbelevation', 'datumelevation', 'dfe'],
+  x: ROLE_NAMES.x,
+  y: ROLE_NAMES.y,
+  z: ROLE_NAMES.z
+};
+const DEPTH_NAMES = ['depth', 'tvd', 'tvdss'];
+const UNIT_TOKENS = { m: ['m', 'metre', 'metres', 'meter', 'meters'], ft: ['ft', 'feet', 'foot'], km: ['km'] };
+
+const headerTokens = (header) => header.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+const normalisedName = (header) => {
+  const unitWords = Object.values(UNIT_TOKENS).flat();
+  return headerTokens(header).filter(token => !unitWords.includes(token)).join('');
+};
+
+// Splits one line, honouring double-quoted fields ("" is an escaped quote)
+export const splitDelimitedLine = (line, delimiter) => {
+  if (delimiter === 'whitespace') return line.trim().split(/\s+/).filter(Boolean);
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let idx = 0; idx < line.length; idx++) {
+    const char = line[idx];
+    if (quoted) {
+      if (char === '"' && line[idx + 1] === '"') {
+        field += '"';
+        idx++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+export const isDataLine = (line) => line.trim() !== '' && !line.trim().startsWith('#');
+
+export const parseNumber = (text) => (text === undefined || text.trim() === '' ? NaN : Number(text));
+
+// The delimiter that splits the sample lines into the same number (> 1) of fields most often
+export const detectDelimiter = (lines) => {
+  const sample = lines.filter(isDataLine).slice(0, 20);
+  let best = { value: ',', score: 0 };
+  DELIMITERS.forEach(({ value }) => {
+    const counts = sample.map(line => splitDelimitedLine(line, value).length);
+    const common = counts.reduce((acc, count) => acc.set(count, (acc.get(count) || 0) + 1), new Map());
+    common.forEach((frequency, count) => {
+      if (count < 2) return;
+      // Prefer consistent splits, then more fields
+      const score = frequency * 100 + count;
+      if (score > best.score) best = { value, score };
+    });
+  });
+  return best.value;
+};
+
+// A first row with any non-numeric field is taken as a header
+export const detectHeader = (fields) => fields.some(field => field !== '' && !Number.isFinite(parseNumber(field)));
+
+export const guessUnit = (header) => {
+  const tokens = headerTokens(header);
+  return Object.keys(UNIT_TOKENS).find(unit => unit !== 'm' && UNIT_TOKENS[unit].some(t => tokens.includes(t))) || 'm';
+};
+
+// Initial role per column: exact header names, or X, Y, Z(, segment) by position without a
+// header. Wells have no attributes and default to MD, inclination, azimuth.
+export const guessColumnRoles = (headers, hasHeader, dataType) => {
+  const roles = headers.map(() => 'ignore');
+  const roleNames = dataType === 'well' ? WELL_ROLE_NAMES : ROLE_NAMES;
+  if (hasHeader) {
+    headers.forEach((header, idx) => {
+      const name = normalisedName(header);
+      const role = Object.keys(roleNames).find(r => roleNames[r].includes(name));
+      if (role && !roles.includes(role)) roles[idx] = role;
+      else if (name && dataType !== 'well') roles[idx] = 'attribute';
+    });
+  } else {
+    const positional = {
+      fault: ['x', 'y', 'z', 'segId'],
+      aoi: ['x', 'y'],
+      well: ['md', 'inclination', 'azimuth']
+    }[dataType] || ['x', 'y', 'z'];
+    positional.forEach((role, idx) => {
+      if (idx < roles.length) roles[idx] = role;
+    });
+  }
+  return roles;
+};
+
+// Detected settings plus the first rows, for the import preview
+export const analyseDelimitedText = (text, dataType, previewRows = 8) => {
+  const delimiter = detectDelimiter(text.split(/\r?\n/));
+  const firstLine = text.split(/\r?\n/).find(isDataLine) || '';
+  const hasHeader = detectHeader(splitDelimitedLine(firstLine, delimiter));
+  const preview = previewDelimitedText(text, { delimiter, hasHeader }, previewRows);
+  const { headers } = preview;
+  const columns = guessColumnRoles(headers, hasHeader, dataType);
+
+  // Survey depths share the Z unit
+  const zHeader = headers[columns.indexOf('z')] || headers[columns.indexOf('md')] || '';
+  const xHeader = headers[columns.indexOf('x')] || '';
+  return {
+    delimiter,
+    hasHeader,
+    columns,
+    xyUnit: hasHeader ? guessUnit(xHeader) : 'm',
+    zUnit: hasHeader ? guessUnit(zHeader) : 'm',
+    zConvention: DEPTH_NAMES.includes(normalisedName(zHeader)) ? 'depth' : 'elevation',
+    preview
+  };
+};
+
+export const previewDelimitedText = (text, { delimiter, hasHeader }, previewRows = 8) => {
+  const rows = text.split(/\r?\n/).filter(isDataLine).slice(0, previewRows + 1).map(line => splitDelimitedLine(line, delimiter));
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const headers = hasHeader && rows.length > 0
+    ? Array.from({ length: width }, (_, idx) => rows[0][idx] || `Column ${idx + 1}`)
+    : Array.from({ length: width }, (_, idx) => `Column ${idx + 1}`);
+  return { headers, rows: (hasHeader ? rows.slice(1) : rows).slice(0, previewRows) };
+};
+
+const ROLE_LABELS = { x: 'X', y: 'Y', z: 'Z', segId: 'Segment ID' };
+
+// Rejected rows kept with their text; beyond this only the count is kept
+export const MAX_REJECTED_ROWS = 100000;
+
+// Row parser for streamed input: feed it the file's lines in order with their 1-based line
+// numbers. Accepted rows go into a typed point set, after optional decimation; rejected rows
+// are reported as { line, reason, text }.
+export const createDelimitedParser = (settings) => {
+  const {
+    delimiter, hasHeader, columns, xyUnit = 'm', zUnit = 'm', zConvention = 'elevation',
+    requireZ = true, decimation = DEFAULT_DECIMATION, dims = 2
+  } = settings;
+  const xyFactor = LENGTH_UNITS.find(u => u.value === xyUnit).factor;
+  const zFactor = LENGTH_UNITS.find(u => u.value === zUnit).factor * (zConvention === 'depth' ? -1 : 1);
+
+  const required = ['x', 'y', ...(requireZ ? ['z'] : [])];
+  const missing = required.filter(role => !columns.includes(role));
+  if (missing.length > 0) {
+    throw new Error(`No column is mapped to ${missing.map(role => ROLE_LABELS[role]).join(', ')}`);
+  }
+
+  const xColumn = columns.indexOf('x');
+  const yColumn = columns.indexOf('y');
+  const zColumn = columns.indexOf('z');
+  const segColumn = columns.indexOf('segId');
+  const attributeColumns = columns.map((role, idx) => (role === 'attribute' ? idx : -1)).filter(idx => idx >= 0);
+  const minFields = Math.max(...required.map(role => columns.indexOf(role))) + 1;
+
+  const builder = createPointSetBuilder({ segId: segColumn >= 0, attributeCount: attributeColumns.length });
+  const keep = createDecimator(decimation, dims);
+  let headers = columns.map((_, idx) => `Column ${idx + 1}`);
+  let headerPending = hasHeader;
+  const rejected = [];
+  let rejectedCount = 0;
+  let decimatedCount = 0;
+
+  const reject = (lineNumber, reason, line) => {
+    rejectedCount++;
+    if (rejected.length < MAX_REJECTED_ROWS) rejected.push({ line: lineNumber, reason, text: line });
+  };
+
+  // NaN for a bad field, with the reason in `error`
+  let error = null;
+  const coordinate = (fields, column, role) => {
+    const field = fields[column];
+    const value = parseNumber(field);
+    if (!Number.isFinite(value) && !error) {
+      error = field === undefined || field === '' ? `${ROLE_LABELS[role]} is empty` : `${ROLE_LABELS[role]} value "${field}" is not a number`;
+    }
+    return value;
+  };
+
+  return {
+    parseLine: (line, lineNumber) => {
+      if (!isDataLine(line)) return;
+      const fields = splitDelimitedLine(line, delimiter);
+      if (headerPending) {
+        headers = columns.map((_, idx) => fields[idx] || `Column ${idx + 1}`);
+        headerPending = false;
+        return;
+      }
+      if (fields.length < minFields) {
+        reject(lineNumber, `Expected at least ${minFields} fields, found ${fields.length}`, line);
+        return;
+      }
+
+      error = null;
+      const x = coordinate(fields, xColumn, 'x') * xyFactor;
+      const y = coordinate(fields, yColumn, 'y') * xyFactor;
+      const z = zColumn >= 0 ? coordinate(fields, zColumn, 'z') * zFactor : 0;
+      const seg = segColumn >= 0 && fields[segColumn] !== undefined && fields[segColumn] !== ''
+        ? Math.floor(coordinate(fields, segColumn, 'segId'))
+        : 0;
+      if (error) {
+        reject(lineNumber, error, line);
+        return;
+      }
+
+      if (!keep(x, y, z)) {
+        decimatedCount++;
+        return;
+      }
+      builder.push(x, y, z, seg, attributeColumns.length > 0 ? attributeColumns.map(idx => parseNumber(fields[idx])) : null);
+    },
+
+    get pointCount() {
+      return builder.length;
+    },
+
+    finish: () => ({
+      points: builder.build(attributeColumns.map(idx => headers[idx])),
+      rejected,
+      rejectedCount,
+      decimatedCount
+    })
+  };
+};
+
+// Parses a whole text in one go (the import preview, small files)
+export const importDelimitedPoints = (text, settings) => {
+  const parser = createDelimitedParser(settings);
+  text.split(/\r?\n/).forEach((line, idx) => parser.parseLine(line, idx + 1));
+  return parser.finish();
+};
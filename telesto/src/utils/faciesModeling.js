@@ -0,0 +1,198 @@
+import { createSequentialKriging } from './propertyModeling';
+import { shuffledIndices } from './random';
+
+// Facies per cell, before porosity and permeability, which are drawn conditional on it. Either
+// Sequential Indicator Simulation honouring the target proportions, or object-based modelling:
+// sinuous channels and elliptical lobes placed in a background facies until their proportions
+// are reached. Facies codes index `definitions`; the first facies is the object background.
+// Well cells with log porosity are frozen at the facies that porosity belongs to, so both
+// methods honour the wells.
+
+export const FACIES_METHODS = [
+  { value: 'sis', label: 'Sequential Indicator Simulation' },
+  { value: 'objects', label: 'Object-Based (Channels and Lobes)' }
+];
+
+// Discrete palette, one colour per facies code
+export const FACIES_COLORS = ['#64748b', '#facc15', '#fb923c', '#22c55e', '#a855f7'];
+
+// Porosity (fraction) and permeability (mD) ranges per facies
+export const DEFAULT_FACIES_DEFINITIONS = [
+  { name: 'Shale', proportion: 0.5, porosity: [0.02, 0.1], permeability: [0.001, 0.1] },
+  { name: 'Channel Sand', proportion: 0.3, porosity: [0.18, 0.3], permeability: [50, 2000] },
+  { name: 'Lobe Sand', proportion: 0.2, porosity: [0.1, 0.22], permeability: [1, 100] }
+];
+
+// Azimuth (degrees clockwise from grid north) orients both the indicator variogram and the
+// objects; object dimensions are in metres
+export const DEFAULT_FACIES_MODEL = {
+  method: 'sis',
+  definitions: DEFAULT_FACIES_DEFINITIONS,
+  azimuth: 0,
+  variogram: { majorRange: 800, minorRange: 300, verticalRange: 10 },
+  channel: { width: 150, thickness: 8, sinuosity: 1.3 },
+  lobe: { length: 600, width: 400, thickness: 5 }
+};
+
+export const CHANNEL_FACIES = 1;
+export const LOBE_FACIES = 2;
+
+// Meander wavelength in channel widths (typical of natural channels)
+const MEANDER_WAVELENGTH = 12;
+// Random spread of object orientation around the azimuth (degrees)
+const AZIMUTH_SPREAD = 20;
+const MAX_OBJECTS = 500;
+
+const targetProportions = (definitions) => {
+  const total = definitions.reduce((sum, definition) => sum + Math.max(definition.proportion, 0), 0);
+  return definitions.map(definition => (total > 0 ? Math.max(definition.proportion, 0) / total : 1 / definitions.length));
+};
+
+// Facies of a log porosity: the one whose porosity range holds it nearest its middle, or the
+// range it is closest to when none holds it. Overlapping ranges go to the better-centred facies.
+export const faciesFromPorosity = (porosity, definitions) => {
+  let best = 0;
+  let bestScore = Infinity;
+  definitions.forEach((definition, code) => {
+    const [min, max] = definition.porosity;
+    const half = Math.max((max - min) / 2, 1e-9);
+    const offset = Math.abs(porosity - (min + max) / 2);
+    // Inside: 0 at the middle to 1 at the edge; outside: 1 plus the distance past the edge
+    const score = offset <= half ? offset / half : 1 + offset - half;
+    if (score < bestScore) {
+      best = code;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// Frozen facies per cell (-1 where free) from blocked log porosity (NaN where none)
+export const hardFacies = (porosity, definitions) => Int8Array.from(porosity, phi => (
+  Number.isFinite(phi) ? faciesFromPorosity(phi, definitions) : -1
+));
+
+// Indicator kriging probability per facies from the simulated neighbours; the probabilities are
+// clipped to [0, 1] and renormalised (order-relation correction) before the draw. Frozen cells
+// are known from the start and conditioned on like any simulated neighbour.
+const indicatorSimulation = (cornerPoint, cells, model, hard, spacing, random, onProgress) => {
+  const proportions = targetProportions(model.definitions);
+  const codes = Int8Array.from(hard);
+  const variogram = { type: 'spherical', nugget: 0, azimuth: model.azimuth, ...model.variogram };
+  const krige = createSequentialKriging(cornerPoint, cells, variogram, spacing);
+  const known = (other) => codes[other] >= 0;
+  const probabilities = new Float64Array(proportions.length);
+
+  shuffledIndices(cells.length, random).forEach((idx, step) => {
+    if (step % 2000 === 0) onProgress(step / cells.length);
+    if (codes[idx] >= 0) return;
+    const { neighbours, weights } = krige(idx, known);
+    let total = 0;
+    proportions.forEach((proportion, code) => {
+      const probability = weights.reduce((sum, w, n) => sum + w * ((codes[neighbours[n]] === code ? 1 : 0) - proportion), proportion);
+      probabilities[code] = Math.min(Math.max(probability, 0), 1);
+      total += probabilities[code];
+    });
+    if (!(total > 0)) {
+      proportions.forEach((proportion, code) => {
+        probabilities[code] = proportion;
+      });
+      total = 1;
+    }
+
+    let draw = random() * total;
+    let code = 0;
+    while (code < probabilities.length - 1 && draw >= probabilities[code]) {
+      draw -= probabilities[code];
+      code++;
+    }
+    codes[idx] = code;
+  });
+  return codes;
+};
+
+// Channels: a sine-wave centreline whose amplitude gives the requested sinuosity (arc length
+// over straight length, about 1 + (πA/L)²), a lens-shaped cross-section `width` wide and
+// `thickness` deep at the axis, running across the whole grid. Lobes: a lens-shaped ellipse.
+// Layers are counted down from a random top layer in cells of the mean thickness `dz`.
+// Frozen cells start at their facies (and count towards its proportion); objects that would
+// change a frozen cell are rejected.
+const objectModel = (cells, model, hard, spacing, random) => {
+  const proportions = targetProportions(model.definitions);
+  const codes = new Int8Array(cells.length);
+  const counts = new Float64Array(proportions.length);
+  counts[0] = cells.length;
+  let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity, nK = 0;
+  cells.forEach(cell => {
+    xMin = Math.min(xMin, cell.x); xMax = Math.max(xMax, cell.x);
+    yMin = Math.min(yMin, cell.y); yMax = Math.max(yMax, cell.y);
+    nK = Math.max(nK, cell.k + 1);
+  });
+
+  const deficit = (code) => (code < proportions.length ? proportions[code] - counts[code] / cells.length : 0);
+  const assign = (idx, code) => {
+    counts[codes[idx]]--;
+    counts[code]++;
+    codes[idx] = code;
+  };
+  hard.forEach((code, idx) => {
+    if (code > 0) assign(idx, code);
+  });
+
+  for (let placed = 0; placed < MAX_OBJECTS; placed++) {
+    const code = deficit(CHANNEL_FACIES) >= deficit(LOBE_FACIES) ? CHANNEL_FACIES : LOBE_FACIES;
+    if (!(deficit(code) > 0)) break;
+
+    const cx = xMin + random() * (xMax - xMin);
+    const cy = yMin + random() * (yMax - yMin);
+    const topLayer = Math.floor(random() * nK);
+    const azimuth = (model.azimuth + (random() - 0.5) * AZIMUTH_SPREAD) * Math.PI / 180;
+    const along = [Math.sin(azimuth), Math.cos(azimuth)];
+    const across = [Math.cos(azimuth), -Math.sin(azimuth)];
+
+    // Lateral position of a point: 0 on the object's axis, 1 at its edge
+    const { thickness } = code === CHANNEL_FACIES ? model.channel : model.lobe;
+    let radius;
+    if (code === CHANNEL_FACIES) {
+      const { width, sinuosity } = model.channel;
+      const wavelength = MEANDER_WAVELENGTH * width;
+      const amplitude = wavelength / Math.PI * Math.sqrt(Math.max(sinuosity - 1, 0));
+      const phase = random() * 2 * Math.PI;
+      radius = (s, d) => Math.abs(d - amplitude * Math.sin(2 * Math.PI * s / wavelength + phase)) / (width / 2);
+    } else {
+      const { length, width } = model.lobe;
+      radius = (s, d) => Math.hypot(s / (length / 2), d / (width / 2));
+    }
+
+    const covered = [];
+    cells.forEach((cell, idx) => {
+      if (cell.k < topLayer) return;
+      const dx = cell.x - cx;
+      const dy = cell.y - cy;
+      const r = radius(dx * along[0] + dy * along[1], dx * across[0] + dy * across[1]);
+      if (r > 1) return;
+      const layers = Math.max(1, Math.round(thickness * Math.sqrt(1 - r * r) / spacing.dz));
+      // Channels erode whatever they cut; lobes only replace the background
+      if (cell.k < topLayer + layers && (code === CHANNEL_FACIES || codes[idx] === 0)) covered.push(idx);
+    });
+    if (covered.some(idx => hard[idx] >= 0 && hard[idx] !== code)) continue;
+    covered.forEach(idx => assign(idx, code));
+  }
+  return codes;
+};
+
+// Facies code per cell. `cells` are the grid cells ({ i, j, k, x, y }, indexed by
+// cornerPoint.cellPoint); `hard` holds frozen codes (-1 where free, see hardFacies); `spacing`
+// is the nominal cell size and grid rotation.
+export const simulateFacies = (cornerPoint, cells, model, { hard = new Int8Array(cells.length).fill(-1), spacing, random, onProgress = () => {} }) => (model.method === 'objects'
+  ? objectModel(cells, model, hard, spacing, random)
+  : indicatorSimulation(cornerPoint, cells, model, hard, spacing, random, onProgress));
+
+// Share of cells per facies code
+export const faciesProportions = (codes, count) => {
+  const counts = new Float64Array(count);
+  codes.forEach(code => {
+    counts[code]++;
+  });
+  return Array.from(counts, n => (codes.length > 0 ? n / codes.length : 0));
+};
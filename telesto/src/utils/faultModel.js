@@ -0,0 +1,169 @@
+import { symmetricEigen3 } from './linearAlgebra';
+import { orientFaultSurface, signedDistanceToSurface } from './faultSticks';
+
+// Deterministic fault displacement model. Every fault segment (points sharing a segId)
+// gets a least-squares plane; cells are classified as hanging wall or footwall against it
+// and offset by the segment's throw, optionally tapered to zero at the fault tips. Faults
+// imported as sticks carry a triangulated surface that replaces the plane for the side test.
+
+// Strike-slip segments still split the grid into blocks but have no vertical offset
+export const FAULT_TYPES = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'reverse', label: 'Reverse' },
+  { value: 'strikeSlip', label: 'Strike-slip' }
+];
+
+export const DEFAULT_FAULT_THROW = 40;
+export const DEFAULT_INFLUENCE_RADIUS = 120;
+
+// Same hues the grid view used for fault flags before colors were editable (segId × 60°)
+const SEGMENT_PALETTE = ['#eb4747', '#ebeb47', '#47eb47', '#47ebeb', '#4747eb', '#eb47eb'];
+export const defaultSegmentColor = (segId) => SEGMENT_PALETTE[segId % SEGMENT_PALETTE.length];
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+const normalise = (v) => {
+  const length = Math.hypot(v.x, v.y, v.z) || 1;
+  return { x: v.x / length, y: v.y / length, z: v.z / length };
+};
+
+// Plane through the segment centroid with the normal along the direction of least spread.
+// The normal is oriented upwards so that positive signed distance means "above the fault",
+// i.e. the hanging wall. Strike and dip axes span the plane and bound the fault's extent.
+// `indices` selects the segment's points from the fault's point set.
+export const fitFaultPlane = (points, indices) => {
+  const count = indices.length;
+  const centroid = indices.reduce(
+    (sum, idx) => ({ x: sum.x + points.x[idx] / count, y: sum.y + points.y[idx] / count, z: sum.z + points.z[idx] / count }),
+    { x: 0, y: 0, z: 0 }
+  );
+
+  const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  indices.forEach(idx => {
+    const d = [points.x[idx] - centroid.x, points.y[idx] - centroid.y, points.z[idx] - centroid.z];
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) covariance[r][c] += d[r] * d[c] / count;
+    }
+  });
+
+  const [least] = symmetricEigen3(covariance);
+  let normal = normalise({ x: least.vector[0], y: least.vector[1], z: least.vector[2] });
+
+  // Vertical faults have no "above"; keep a repeatable orientation instead
+  const isVertical = Math.abs(normal.z) < 1e-3;
+  const flip = isVertical ? (normal.x < 0 || (normal.x === 0 && normal.y < 0)) : normal.z < 0;
+  if (flip) normal = { x: -normal.x, y: -normal.y, z: -normal.z };
+
+  const strike = Math.hypot(normal.x, normal.y) > 1e-9
+    ? normalise({ x: -normal.y, y: normal.x, z: 0 })
+    : { x: 1, y: 0, z: 0 };
+  const dip = normalise({
+    x: normal.y * strike.z - normal.z * strike.y,
+    y: normal.z * strike.x - normal.x * strike.z,
+    z: normal.x * strike.y - normal.y * strike.x
+  });
+
+  let strikeMin = Infinity, strikeMax = -Infinity, dipMin = Infinity, dipMax = -Infinity;
+  indices.forEach(idx => {
+    const d = { x: points.x[idx] - centroid.x, y: points.y[idx] - centroid.y, z: points.z[idx] - centroid.z };
+    const s = dot(d, strike);
+    const t = dot(d, dip);
+    strikeMin = Math.min(strikeMin, s); strikeMax = Math.max(strikeMax, s);
+    dipMin = Math.min(dipMin, t); dipMax = Math.max(dipMax, t);
+  });
+
+  return {
+    centroid,
+    normal,
+    strike,
+    dip,
+    strikeRange: [strikeMin, strikeMax],
+    dipRange: [dipMin, dipMax],
+    dipAngle: Math.acos(Math.min(Math.abs(normal.z), 1)) * 180 / Math.PI,
+    azimuth: (Math.atan2(strike.x, strike.y) * 180 / Math.PI + 360) % 360
+  };
+};
+
+export const signedDistanceToPlane = (plane, x, y, z) => dot(
+  { x: x - plane.centroid.x, y: y - plane.centroid.y, z: z - plane.centroid.z },
+  plane.normal
+);
+
+// Elliptical displacement profile: 1 at the centre of the fault, 0 at and beyond the tip line
+export const tipTaper = (plane, x, y, z) => {
+  const d = { x: x - plane.centroid.x, y: y - plane.centroid.y, z: z - plane.centroid.z };
+  const [sMin, sMax] = plane.strikeRange;
+  const [tMin, tMax] = plane.dipRange;
+  const su = (dot(d, plane.strike) - (sMin + sMax) / 2) / Math.max((sMax - sMin) / 2, 1e-9);
+  const tu = (dot(d, plane.dip) - (tMin + tMax) / 2) / Math.max((tMax - tMin) / 2, 1e-9);
+  return Math.max(0, 1 - su * su - tu * tu);
+};
+
+// Without tapering the throw is constant along strike and stops at the fault's lateral ends
+const withinStrikeExtent = (plane, x, y, z) => {
+  const s = dot({ x: x - plane.centroid.x, y: y - plane.centroid.y, z: z - plane.centroid.z }, plane.strike);
+  return s >= plane.strikeRange[0] && s <= plane.strikeRange[1];
+};
+
+// Fraction of the throw a segment carries at a point; zero where the fault does not reach
+export const faultExtentScale = (segment, x, y, z) => {
+  if (!segment.plane) return 0;
+  if (segment.taper) return tipTaper(segment.plane, x, y, z);
+  return withinStrikeExtent(segment.plane, x, y, z) ? 1 : 0;
+};
+
+// Vertical offset of a point for one segment. The throw is split between the blocks:
+// for a normal fault the hanging wall drops by half the throw and the footwall rises by
+// half, and the reverse for a reverse fault. `side` forces the block, so that a whole
+// grid column moves with the block it lies in.
+export const segmentDisplacement = (segment, x, y, z, side = null) => {
+  const { plane } = segment;
+  if (!plane) return { displacement: 0, hangingWall: false, distance: Infinity };
+
+  const distance = segment.surface
+    ? signedDistanceToSurface(segment.surface, x, y, z)
+    : signedDistanceToPlane(plane, x, y, z);
+  const hangingWall = side === null ? distance > 0 : side;
+  const scale = faultExtentScale(segment, x, y, z);
+  const direction = { normal: -1, reverse: 1 }[segment.type] || 0;
+  const displacement = (hangingWall ? 1 : -1) * direction * (segment.throw / 2) * scale;
+
+  return { displacement, hangingWall, distance };
+};
+
+// Splits a fault's points into segments by segId and fits a plane to each. Editable
+// attributes survive a rebuild when a segment with the same segId already existed.
+// A stick-derived `surface` belongs to the fault's single segment.
+export const buildFaultSegments = (points, previousSegments = [], surface = null) => {
+  const groups = new Map();
+  for (let idx = 0; idx < points.length; idx++) {
+    const segId = (points.segId && points.segId[idx]) || 1;
+    if (!groups.has(segId)) groups.set(segId, []);
+    groups.get(segId).push(idx);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([segId, segmentIndices]) => {
+      const previous = previousSegments.find(s => s.segId === segId);
+      const plane = segmentIndices.length >= 3 ? fitFaultPlane(points, segmentIndices) : null;
+      return {
+        segId,
+        type: previous?.type || 'normal',
+        throw: previous?.throw ?? DEFAULT_FAULT_THROW,
+        taper: previous?.taper ?? true,
+        influenceRadius: previous?.influenceRadius ?? DEFAULT_INFLUENCE_RADIUS,
+        active: previous?.active ?? true,
+        color: previous?.color || defaultSegmentColor(segId),
+        pointCount: segmentIndices.length,
+        plane,
+        ...(surface && plane && surface.triangles.length > 0 ? { surface: orientFaultSurface(surface, plane.normal) } : {})
+      };
+    });
+};
+
+// Attaches fitted segments to a fault dataset at load time
+export const withFaultModel = (dataset) => ({
+  ...dataset,
+  segments: buildFaultSegments(dataset.points, dataset.segments, dataset.surface)
+});
@@ -0,0 +1,283 @@
+import { LENGTH_UNITS } from './delimitedImport';
+import { createPointSetBuilder } from './pointSet';
+import { buildSpatialIndex, kNearest } from './spatialIndex';
+
+// Fault sticks from seismic interpretation. Each fault is a list of sticks in file order, each
+// stick a polyline from shallow to deep; consecutive sticks are stitched into a triangulated
+// surface that the fault model uses for the hanging-wall test and the 3D view draws.
+
+export const FAULT_STICK_FORMATS = [
+  { value: 'cps3', label: 'CPS-3 fault sticks' },
+  { value: 'charisma', label: 'Charisma fault sticks' }
+];
+
+const CPS3_HEADERS = ['FFASCI', 'FSASCI', 'FFATTR', 'FSATTR', 'FFLIMI', 'FSLIMI', 'FSNROW', 'FSXINC'];
+
+const meaningfulLines = (text) => text.split(/\r?\n/)
+  .map((line, idx) => ({ line: line.trim(), number: idx + 1 }))
+  .filter(({ line }) => line !== '' && !line.startsWith('!') && !line.startsWith('#'));
+
+// 'cps3', 'charisma' or null for anything else (plain point clouds)
+export const detectFaultStickFormat = (text) => {
+  const lines = meaningfulLines(text).slice(0, 50).map(({ line }) => line);
+  if (lines.some(line => line.startsWith('->') || CPS3_HEADERS.includes(line.split(/\s+/)[0].toUpperCase()))) return 'cps3';
+  if (lines.some(line => /^INLINE/i.test(line))) return 'charisma';
+  return null;
+};
+
+// CPS-3: header records, then each stick opens with a "->name" line followed by X Y Z rows
+const parseCps3 = (text, defaultName, reject) => {
+  const sticks = [];
+  let current = null;
+  meaningfulLines(text).forEach(({ line, number }) => {
+    if (CPS3_HEADERS.includes(line.split(/\s+/)[0].toUpperCase())) return;
+    if (line.startsWith('->')) {
+      current = { name: line.slice(2).trim().split(/\s+/)[0] || defaultName, points: [] };
+      sticks.push(current);
+      return;
+    }
+    const [x, y, z] = line.split(/\s+/).map(Number);
+    if (![x, y, z].every(Number.isFinite)) {
+      reject(number, 'Expected X Y Z values', line);
+    } else if (!current) {
+      reject(number, 'Point before the first "->" stick marker', line);
+    } else {
+      current.points.push({ x, y, z });
+    }
+  });
+  return sticks;
+};
+
+// Charisma: one point per line, "INLINE- I <inline> <x> <y> <z> <fault> [<stick>]". Points are
+// grouped by fault and stick number (the inline when there is none), in order of appearance.
+const parseCharisma = (text, defaultName, reject) => {
+  const sticks = new Map();
+  meaningfulLines(text).forEach(({ line, number }) => {
+    const tokens = line.split(/\s+/);
+    const numeric = tokens.map(token => Number(token)).map(value => (Number.isFinite(value) ? value : null));
+    const nameIdx = numeric.findLastIndex((value, idx) => value === null && idx > 0 && numeric[idx - 1] !== null);
+    const values = numeric.slice(0, nameIdx >= 0 ? nameIdx : numeric.length).filter(value => value !== null);
+    if (!/^INLINE/i.test(line) || values.length < 4) {
+      reject(number, 'Expected INLINE record with inline, X, Y and Z', line);
+      return;
+    }
+    const [x, y, z] = values.slice(-3);
+    const name = nameIdx >= 0 ? tokens[nameIdx] : defaultName;
+    const stickNumber = nameIdx >= 0 && numeric[nameIdx + 1] !== null && numeric[nameIdx + 1] !== undefined
+      ? numeric[nameIdx + 1]
+      : values[0];
+    const key = `${name}\u0000${stickNumber}`;
+    if (!sticks.has(key)) sticks.set(key, { name, points: [] });
+    sticks.get(key).points.push({ x, y, z });
+  });
+  return [...sticks.values()];
+};
+
+// Faults with their sticks, converted to metres and elevation. Every stick runs shallow to deep.
+export const parseFaultSticks = (text, format, settings = {}) => {
+  const { xyUnit = 'm', zUnit = 'm', zConvention = 'elevation', defaultName = 'Fault' } = settings;
+  const xyFactor = LENGTH_UNITS.find(u => u.value === xyUnit).factor;
+  const zFactor = LENGTH_UNITS.find(u => u.value === zUnit).factor * (zConvention === 'depth' ? -1 : 1);
+  const rejected = [];
+  const reject = (line, reason, lineText) => rejected.push({ line, reason, text: lineText });
+
+  const sticks = format === 'charisma' ? parseCharisma(text, defaultName, reject) : parseCps3(text, defaultName, reject);
+  const faults = new Map();
+  sticks.filter(stick => stick.points.length > 0).forEach(stick => {
+    const points = stick.points.map(p => ({ x: p.x * xyFactor, y: p.y * xyFactor, z: p.z * zFactor }));
+    if (points[0].z < points[points.length - 1].z) points.reverse();
+    if (!faults.has(stick.name)) faults.set(stick.name, []);
+    faults.get(stick.name).push(points);
+  });
+
+  if (faults.size === 0) throw new Error('No fault sticks found in the file');
+  return {
+    faults: [...faults.entries()].map(([name, faultSticks]) => ({ name, sticks: faultSticks })),
+    rejected,
+    rejectedCount: rejected.length
+  };
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+// Ladder triangulation between each pair of consecutive sticks: walk down both sticks, always
+// closing the triangle across the shorter diagonal. Sticks with fewer than two points only
+// display. Returns vertices as a flat list and triangles as vertex index triples.
+export const triangulateSticks = (sticks) => {
+  const usable = sticks.filter(stick => stick.length >= 2);
+  const offsets = [];
+  const vertices = [];
+  usable.forEach(stick => {
+    offsets.push(vertices.length);
+    vertices.push(...stick);
+  });
+
+  const triangles = [];
+  for (let s = 0; s + 1 < usable.length; s++) {
+    const a = usable[s];
+    const b = usable[s + 1];
+    let i = 0;
+    let j = 0;
+    while (i < a.length - 1 || j < b.length - 1) {
+      const advanceA = j === b.length - 1
+        || (i < a.length - 1 && distance(a[i + 1], b[j]) <= distance(a[i], b[j + 1]));
+      if (advanceA) {
+        triangles.push([offsets[s] + i, offsets[s] + i + 1, offsets[s + 1] + j]);
+        i++;
+      } else {
+        triangles.push([offsets[s] + i, offsets[s + 1] + j + 1, offsets[s + 1] + j]);
+        j++;
+      }
+    }
+  }
+  return { vertices, triangles };
+};
+
+// Flat typed-array surface with per-triangle unit normals and a k-d tree over the triangle
+// centroids, so it can be posted to the generation worker as is
+const buildFaultSurface = ({ vertices, triangles }) => {
+  const count = triangles.length;
+  const surface = {
+    vertexCount: vertices.length,
+    vertices: Float64Array.from(vertices.flatMap(v => [v.x, v.y, v.z])),
+    triangles: Int32Array.from(triangles.flat()),
+    normals: new Float64Array(count * 3)
+  };
+  const centroids = { length: count, x: new Float64Array(count), y: new Float64Array(count), z: new Float64Array(count) };
+
+  triangles.forEach(([a, b, c], t) => {
+    const [p, q, r] = [vertices[a], vertices[b], vertices[c]];
+    const u = { x: q.x - p.x, y: q.y - p.y, z: q.z - p.z };
+    const v = { x: r.x - p.x, y: r.y - p.y, z: r.z - p.z };
+    const n = { x: u.y * v.z - u.z * v.y, y: u.z * v.x - u.x * v.z, z: u.x * v.y - u.y * v.x };
+    const length = Math.hypot(n.x, n.y, n.z) || 1;
+    surface.normals.set([n.x / length, n.y / length, n.z / length], t * 3);
+    centroids.x[t] = (p.x + q.x + r.x) / 3;
+    centroids.y[t] = (p.y + q.y + r.y) / 3;
+    centroids.z[t] = (p.z + q.z + r.z) / 3;
+  });
+
+  surface.index = buildSpatialIndex(centroids, 3);
+  return surface;
+};
+
+// Turns every triangle normal to the same side as `normal` (the fitted plane's, which points
+// to the hanging wall), whatever the winding the ladder produced
+export const orientFaultSurface = (surface, normal) => {
+  const normals = surface.normals.slice();
+  for (let t = 0; t < normals.length; t += 3) {
+    if (normals[t] * normal.x + normals[t + 1] * normal.y + normals[t + 2] * normal.z < 0) {
+      normals[t] = -normals[t];
+      normals[t + 1] = -normals[t + 1];
+      normals[t + 2] = -normals[t + 2];
+    }
+  }
+  return { ...surface, normals };
+};
+
+const vertexAt = (surface, v) => ({ x: surface.vertices[v * 3], y: surface.vertices[v * 3 + 1], z: surface.vertices[v * 3 + 2] });
+
+// Closest point on triangle abc to p (Ericson, Real-Time Collision Detection 5.1.5)
+const closestPointOnTriangle = (p, a, b, c) => {
+  const sub = (u, v) => ({ x: u.x - v.x, y: u.y - v.y, z: u.z - v.z });
+  const dot = (u, v) => u.x * v.x + u.y * v.y + u.z * v.z;
+  const along = (o, d, t) => ({ x: o.x + d.x * t, y: o.y + d.y * t, z: o.z + d.z * t });
+  const ab = sub(b, a);
+  const ac = sub(c, a);
+  const ap = sub(p, a);
+  const d1 = dot(ab, ap);
+  const d2 = dot(ac, ap);
+  if (d1 <= 0 && d2 <= 0) return a;
+  const bp = sub(p, b);
+  const d3 = dot(ab, bp);
+  const d4 = dot(ac, bp);
+  if (d3 >= 0 && d4 <= d3) return b;
+  const vc = d1 * d4 - d3 * d2;
+  if (vc <= 0 && d1 >= 0 && d3 <= 0) return along(a, ab, d1 / (d1 - d3));
+  const cp = sub(p, c);
+  const d5 = dot(ab, cp);
+  const d6 = dot(ac, cp);
+  if (d6 >= 0 && d5 <= d6) return c;
+  const vb = d5 * d2 - d1 * d6;
+  if (vb <= 0 && d2 >= 0 && d6 <= 0) return along(a, ac, d2 / (d2 - d6));
+  const va = d3 * d6 - d5 * d4;
+  if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) return along(b, sub(c, b), (d4 - d3) / ((d4 - d3) + (d5 - d6)));
+  const denom = 1 / (va + vb + vc);
+  const v = vb * denom;
+  const w = vc * denom;
+  return { x: a.x + ab.x * v + ac.x * w, y: a.y + ab.y * v + ac.y * w, z: a.z + ab.z * v + ac.z * w };
+};
+
+// Candidate triangles per query; centroids are only a proxy for triangle distance
+const CANDIDATE_TRIANGLES = 8;
+
+// Signed distance to the closest triangle, measured along that triangle's normal, so points
+// beyond the surface edge fall on the side of the nearest triangle's plane extended
+export const signedDistanceToSurface = (surface, x, y, z) => {
+  const p = { x, y, z };
+  let best = null;
+  kNearest(surface.index, [x, y, z], CANDIDATE_TRIANGLES).forEach(({ index: t }) => {
+    const [a, b, c] = [0, 1, 2].map(k => vertexAt(surface, surface.triangles[t * 3 + k]));
+    const closest = closestPointOnTriangle(p, a, b, c);
+    const d = Math.hypot(x - closest.x, y - closest.y, z - closest.z);
+    if (!best || d < best.d) best = { d, t, a };
+  });
+  if (!best) return Infinity;
+  const n = surface.normals.subarray(best.t * 3, best.t * 3 + 3);
+  return (x - best.a.x) * n[0] + (y - best.a.y) * n[1] + (z - best.a.z) * n[2];
+};
+
+// Points on the surface about `spacing` apart, so the influence zone is continuous between
+// sticks that were picked far apart: stick points, then each edge once, then triangle interiors
+const sampleFaultSurface = (sticks, surface, spacing) => {
+  const builder = createPointSetBuilder({ segId: true });
+  const steps = (...corners) => Math.min(50, Math.ceil(Math.max(...corners.map((p, idx) => distance(p, corners[(idx + 1) % corners.length]))) / spacing));
+  sticks.flat().forEach(p => builder.push(p.x, p.y, p.z, 1));
+
+  const edges = new Set();
+  for (let t = 0; t < surface.triangles.length / 3; t++) {
+    const ids = [0, 1, 2].map(k => surface.triangles[t * 3 + k]);
+    const [a, b, c] = ids.map(v => vertexAt(surface, v));
+    ids.forEach((from, k) => {
+      const to = ids[(k + 1) % 3];
+      const key = `${Math.min(from, to)},${Math.max(from, to)}`;
+      if (edges.has(key)) return;
+      edges.add(key);
+      const p = vertexAt(surface, from);
+      const q = vertexAt(surface, to);
+      const n = steps(p, q);
+      for (let i = 1; i < n; i++) builder.push(p.x + (q.x - p.x) * i / n, p.y + (q.y - p.y) * i / n, p.z + (q.z - p.z) * i / n, 1);
+    });
+
+    const n = steps(a, b, c);
+    for (let i = 1; i < n; i++) {
+      for (let j = 1; i + j < n; j++) {
+        const u = i / n;
+        const v = j / n;
+        const w = 1 - u - v;
+        builder.push(a.x * w + b.x * u + c.x * v, a.y * w + b.y * u + c.y * v, a.z * w + b.z * u + c.z * v, 1);
+      }
+    }
+  }
+  return builder.build();
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Fault dataset from parsed sticks: the sticks for display, the triangulated surface and a
+// point set of surface samples (one segment) for the spatial index and the plane fit
+export const faultFromSticks = ({ name, sticks }) => {
+  const surface = buildFaultSurface(triangulateSticks(sticks));
+  const spacing = median(sticks.flatMap(stick => stick.slice(1).map((p, idx) => distance(p, stick[idx])))) || 1;
+  return { name, sticks, surface, points: sampleFaultSurface(sticks, surface, spacing) };
+};
+
+// Buffers to list as transferables when posting a fault surface between threads
+export const faultSurfaceTransferables = (surface) => [
+  surface.vertices.buffer, surface.triangles.buffer, surface.normals.buffer,
+  surface.index.ids.buffer, surface.index.coords.buffer
+];
@@ -0,0 +1,314 @@
+import { cellCorners, zcornIndex } from './cornerPoint';
+
+// File writers for generated grids. Each returns the file contents as a string.
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV (cell points)' },
+  { value: 'grdecl', label: 'Eclipse GRDECL' },
+  { value: 'vtk', label: 'VTK legacy (.vtk)' },
+  { value: 'vtu', label: 'VTK XML (.vtu)' }
+];
+
+// Run-length compressed keyword body (Eclipse "n*value" repeats), a few values per line
+const formatKeyword = (keyword, values, format, perLine = 8) => {
+  const tokens = [];
+  let previous = null;
+  let count = 0;
+  const flush = () => {
+    if (count > 0) tokens.push(count > 1 ? `${count}*${previous}` : previous);
+  };
+  for (let n = 0; n < values.length; n++) {
+    const text = format(values[n]);
+    if (text === previous) {
+      count++;
+    } else {
+      flush();
+      previous = text;
+      count = 1;
+    }
+  }
+  flush();
+
+  const lines = [keyword];
+  for (let n = 0; n < tokens.length; n += perLine) lines.push(` ${tokens.slice(n, n + perLine).join(' ')}`);
+  lines.push('/', '');
+  return lines.join('\n');
+};
+
+const fixed = (digits) => (value) => {
+  const text = value.toFixed(digits);
+  return text === `-${(0).toFixed(digits)}` ? (0).toFixed(digits) : text;
+};
+
+// Permeability spans decades, so it is written to four significant figures
+const significant = (value) => String(Number(value.toPrecision(4)));
+
+// Fault names are quoted and limited to eight characters; keep them unique after truncation
+const eclipseFaultNames = (faults) => {
+  const used = new Set();
+  return faults.map((fault, idx) => {
+    let name = fault.name.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 8) || `F${idx + 1}`;
+    for (let suffix = 2; used.has(name); suffix++) name = `${name.slice(0, 8 - String(suffix).length)}${suffix}`;
+    used.add(name);
+    return name;
+  });
+};
+
+// Consecutive layers of the same fault face become one K1-K2 record
+const faultRecords = (fault, name) => {
+  const columns = new Map();
+  fault.faces.forEach(({ i, j, k, face }) => {
+    const key = `${i},${j},${face}`;
+    if (!columns.has(key)) columns.set(key, { i, j, face, layers: [] });
+    columns.get(key).layers.push(k);
+  });
+
+  const records = [];
+  columns.forEach(({ i, j, face, layers }) => {
+    layers.sort((a, b) => a - b);
+    let start = layers[0];
+    layers.forEach((k, idx) => {
+      if (idx === layers.length - 1 || layers[idx + 1] !== k + 1) {
+        records.push(` '${name}' ${i + 1} ${i + 1} ${j + 1} ${j + 1} ${start + 1} ${k + 1} '${face}' /`);
+        start = layers[idx + 1];
+      }
+    });
+  });
+  return records;
+};
+
+// Places where a cell corner lies above the corner it sits on, down each pillar line of a
+// column: a cell's top below its base, or a layer's top above the base of the layer over it.
+// Simulators reject such ZCORN, so the export refuses it.
+const zcornInversions = (cornerPoint) => {
+  const { nI, nJ, nK, zcorn } = cornerPoint;
+  let count = 0;
+  let worst = 0;
+  for (let j = 0; j < nJ; j++) {
+    for (let i = 0; i < nI; i++) {
+      for (let c = 0; c < 4; c++) {
+        let above = Infinity;
+        for (let k = 0; k < nK; k++) {
+          const top = zcorn[zcornIndex(cornerPoint, i, j, k, c)];
+          const base = zcorn[zcornIndex(cornerPoint, i, j, k, c + 4)];
+          [top - above, base - top].forEach(rise => {
+            if (!(rise > 1e-6)) return;
+            count++;
+            worst = Math.max(worst, rise);
+          });
+          above = base;
+        }
+      }
+    }
+  }
+  return { count, worst };
+};
+
+// Eclipse GRDECL include file. Depths are positive down, so elevations are negated; cells
+// with no cell point (outside the AOI or pinched out) are written with zero properties.
+export const toGrdecl = (grid) => {
+  const { cornerPoint } = grid;
+  const { nI, nJ, nK, coord, zcorn, actnum, cellPoint } = cornerPoint;
+  const cellCount = nI * nJ * nK;
+
+  const inversions = zcornInversions(cornerPoint);
+  if (inversions.count > 0) {
+    throw new Error(`ZCORN rises down the pillars at ${inversions.count} corner${inversions.count === 1 ? '' : 's'} (up to ${inversions.worst.toFixed(2)} m), so the grid cannot be written as GRDECL. Regenerate it and export again.`);
+  }
+
+  const depthCoord = Float64Array.from(coord, (value, idx) => idx % 3 === 2 ? -value : value);
+  const depthZcorn = Float64Array.from(zcorn, value => -value);
+  const property = (read) => Float64Array.from({ length: cellCount }, (_, idx) =>
+    cellPoint[idx] >= 0 ? read(grid.points[cellPoint[idx]]) : 0
+  );
+
+  const faults = cornerPoint.faults || [];
+  const faultNames = eclipseFaultNames(faults);
+
+  return [
+    `-- Grid ${grid.name} exported from Telesto on ${new Date().toISOString()}`,
+    `-- ${nI} x ${nJ} x ${nK} corner-point cells, depths in metres`,
+    ...(grid.propertyModel ? [`-- Properties: ${grid.propertyModel.facies.method === 'objects' ? 'object-based' : 'SIS'} facies, SGS porosity, seed ${grid.propertyModel.seed}`] : []),
+    '',
+    'SPECGRID',
+    ` ${nI} ${nJ} ${nK} 1 F /`,
+    '',
+    "GRIDUNIT\n 'METRES' '' /",
+    '',
+    formatKeyword('COORD', depthCoord, fixed(3), 6),
+    formatKeyword('ZCORN', depthZcorn, fixed(3)),
+    formatKeyword('ACTNUM', actnum, String, 20),
+    ...(grid.points.some(p => p.facies !== undefined) ? [formatKeyword('FACIES', property(p => p.facies ?? 0), String, 20)] : []),
+    formatKeyword('PORO', property(p => p.porosity || 0), fixed(4)),
+    formatKeyword('PERMX', property(p => p.permeability || 0), significant),
+    formatKeyword('PERMY', property(p => p.permeabilityY ?? p.permeability ?? 0), significant),
+    formatKeyword('PERMZ', property(p => p.permeabilityZ ?? p.permeability ?? 0), significant),
+    ...(faults.length > 0
+      ? ['FAULTS', ...faults.flatMap((fault, idx) => faultRecords(fault, faultNames[idx])), '/', '']
+      : [])
+  ].join('\n');
+};
+
+// Corner-point corner numbers in VTK hexahedron order: bottom face then top face, each
+// counter-clockwise seen from above
+const VTK_HEXAHEDRON_ORDER = [4, 5, 7, 6, 0, 1, 3, 2];
+const VTK_HEXAHEDRON = 12;
+
+// Per-cell attributes written as cell data, with their VTK types
+const VTK_CELL_FIELDS = [
+  ['porosity', 'Float64'],
+  ['permeability', 'Float64'],
+  ['permeabilityY', 'Float64'],
+  ['permeabilityZ', 'Float64'],
+  ['faultFlag', 'Int32'],
+  ['wellPath', 'Int32'],
+  ['facies', 'Int32'],
+  ['layer', 'Int32'],
+  ['zone', 'Int32'],
+  ['actnum', 'Int32'],
+  ['structuralDip', 'Float64'],
+  ['bulkVolume', 'Float64']
+];
+
+// Hexahedra for every cell point whose geometry is known. Merged grids look the cell up in
+// its source grid and shift it by the offset that grid was placed with.
+const collectHexahedra = (grid) => {
+  const cells = [];
+  grid.points.forEach(point => {
+    if (point.i === undefined) return;
+    let cornerPoint = grid.cornerPoint;
+    let offset = { x: 0, y: 0, z: 0 };
+    if (grid.isCombined) {
+      const source = grid.sourceGeometry?.[point.gridIndex];
+      if (!source || !source.cornerPoint) return;
+      cornerPoint = source.cornerPoint;
+      offset = source.offset;
+    }
+    if (!cornerPoint) return;
+    const corners = cellCorners(cornerPoint, point.i, point.j, point.k);
+    cells.push({
+      point,
+      vertices: VTK_HEXAHEDRON_ORDER.map(c => ({
+        x: corners[c].x + offset.x,
+        y: corners[c].y + offset.y,
+        z: corners[c].z + offset.z
+      }))
+    });
+  });
+  if (cells.length === 0) throw new Error('The grid has no cell geometry to export');
+  return cells;
+};
+
+const vtkFields = (grid) => grid.isCombined ? [...VTK_CELL_FIELDS, ['gridIndex', 'Int32']] : VTK_CELL_FIELDS;
+
+// Well names of the cells that have one, indexed (from 1) by the wellPath cell field
+const wellNames = (cells) => [...new Set(cells.map(({ point }) => point.wellPath).filter(Boolean))];
+
+const fieldValue = (point, name, type, wells) => {
+  const value = name === 'wellPath' ? wells.indexOf(point.wellPath) + 1 : point[name] ?? 0;
+  return type === 'Int32' ? String(Math.round(value)) : String(value);
+};
+
+// Grid names of a merged grid, indexed by the gridIndex cell field
+const sourceNames = (grid) => grid.isCombined ? (grid.sourceGeometry || []).map(source => source.name) : [];
+
+// String lists written as field data: merged grid names and well names
+const fieldStrings = (grid, wells) => [['originalGrid', sourceNames(grid)], ['wellPath', wells]]
+  .filter(([, strings]) => strings.length > 0);
+
+export const toVtkLegacy = (grid) => {
+  const cells = collectHexahedra(grid);
+  const wells = wellNames(cells);
+  const fieldData = fieldStrings(grid, wells);
+  const lines = [
+    '# vtk DataFile Version 3.0',
+    `Telesto grid ${grid.name}`,
+    'ASCII',
+    'DATASET UNSTRUCTURED_GRID'
+  ];
+
+  if (fieldData.length > 0) {
+    lines.push(`FIELD FieldData ${fieldData.length}`);
+    fieldData.forEach(([name, strings]) => {
+      lines.push(`${name} 1 ${strings.length} string`, ...strings.map(text => text.replace(/\s/g, '%20')));
+    });
+  }
+
+  lines.push(`POINTS ${cells.length * 8} double`);
+  cells.forEach(({ vertices }) => vertices.forEach(v => lines.push(`${v.x} ${v.y} ${v.z}`)));
+
+  lines.push(`CELLS ${cells.length} ${cells.length * 9}`);
+  cells.forEach((_, idx) => lines.push(`8 ${Array.from({ length: 8 }, (__, c) => idx * 8 + c).join(' ')}`));
+
+  lines.push(`CELL_TYPES ${cells.length}`);
+  cells.forEach(() => lines.push(String(VTK_HEXAHEDRON)));
+
+  lines.push(`CELL_DATA ${cells.length}`);
+  vtkFields(grid).forEach(([name, type]) => {
+    lines.push(`SCALARS ${name} ${type === 'Int32' ? 'int' : 'double'} 1`, 'LOOKUP_TABLE default');
+    cells.forEach(({ point }) => lines.push(fieldValue(point, name, type, wells)));
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+// VTK XML ascii strings are written as character codes, each string terminated by 0
+const vtkStringValues = (strings) => strings
+  .map(text => [...new TextEncoder().encode(text), 0].join(' '))
+  .join(' ');
+
+export const toVtu = (grid) => {
+  const cells = collectHexahedra(grid);
+  const wells = wellNames(cells);
+  const strings = fieldStrings(grid, wells);
+  const join = (values) => values.join(' ');
+
+  const fieldData = strings.length > 0
+    ? [
+        '    <FieldData>',
+        ...strings.flatMap(([name, values]) => [
+          `      <DataArray type="String" Name="${name}" NumberOfTuples="${values.length}" format="ascii">`,
+          `        ${vtkStringValues(values)}`,
+          '      </DataArray>'
+        ]),
+        '    </FieldData>'
+      ]
+    : [];
+
+  const cellData = vtkFields(grid).flatMap(([name, type]) => [
+    `        <DataArray type="${type}" Name="${name}" format="ascii">`,
+    `          ${join(cells.map(({ point }) => fieldValue(point, name, type, wells)))}`,
+    '        </DataArray>'
+  ]);
+
+  return [
+    '<?xml version="1.0"?>',
+    '<VTKFile type="UnstructuredGrid" version="0.1" byte_order="LittleEndian">',
+    '  <UnstructuredGrid>',
+    ...fieldData,
+    `    <Piece NumberOfPoints="${cells.length * 8}" NumberOfCells="${cells.length}">`,
+    '      <Points>',
+    '        <DataArray type="Float64" NumberOfComponents="3" format="ascii">',
+    `          ${join(cells.flatMap(({ vertices }) => vertices.map(v => `${v.x} ${v.y} ${v.z}`)))}`,
+    '        </DataArray>',
+    '      </Points>',
+    '      <Cells>',
+    '        <DataArray type="Int32" Name="connectivity" format="ascii">',
+    `          ${join(Array.from({ length: cells.length * 8 }, (_, idx) => idx))}`,
+    '        </DataArray>',
+    '        <DataArray type="Int32" Name="offsets" format="ascii">',
+    `          ${join(cells.map((_, idx) => (idx + 1) * 8))}`,
+    '        </DataArray>',
+    '        <DataArray type="UInt8" Name="types" format="ascii">',
+    `          ${join(cells.map(() => VTK_HEXAHEDRON))}`,
+    '        </DataArray>',
+    '      </Cells>',
+    '      <CellData Scalars="porosity">',
+    ...cellData,
+    '      </CellData>',
+    '    </Piece>',
+    '  </UnstructuredGrid>',
+    '</VTKFile>',
+    ''
+  ].join('\n');
+};
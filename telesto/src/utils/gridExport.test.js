@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { toGrdecl } from './gridExport';
+import { createCornerPointGrid, zcornIndex } from './cornerPoint';
+
+// One column of two 10 m layers from 1000 m depth
+const column = () => {
+  const cornerPoint = createCornerPointGrid(1, 1, 2);
+  for (let k = 0; k < 2; k++) {
+    for (let c = 0; c < 8; c++) cornerPoint.zcorn[zcornIndex(cornerPoint, 0, 0, k, c)] = -1000 - 10 * (k + (c >> 2));
+  }
+  cornerPoint.cellPoint.set([0, 1]);
+  cornerPoint.actnum.fill(1);
+  const points = [
+    { porosity: 0.2, permeability: 152.37, permeabilityY: 152.37, permeabilityZ: 15.237 },
+    { porosity: 0.04, permeability: 0.0012346, permeabilityY: 0.0012346, permeabilityZ: 0.00012346 }
+  ];
+  return { name: 'Column', points, cornerPoint };
+};
+
+describe('toGrdecl', () => {
+  it('writes ZCORN as depths', () => {
+    expect(toGrdecl(column())).toContain('ZCORN\n 4*1000.000 8*1010.000 4*1020.000\n/');
+  });
+
+  it('writes permeability to four significant figures', () => {
+    const grdecl = toGrdecl(column());
+    expect(grdecl).toContain('PERMX\n 152.4 0.001235\n/');
+    expect(grdecl).toContain('PERMZ\n 15.24 0.0001235\n/');
+  });
+
+  it('refuses ZCORN that rises down a pillar', () => {
+    const grid = column();
+    grid.cornerPoint.zcorn[zcornIndex(grid.cornerPoint, 0, 0, 1, 0)] = -1005;
+    expect(() => toGrdecl(grid)).toThrow(/ZCORN rises down the pillars at 1 corner \(up to 5\.00 m\)/);
+  });
+});
@@ -0,0 +1,522 @@
+import { CONVERGENT_METHODS, buildGriddedSurface, griddingMethodFor } from './surfaceGridding';
+import { computeExperimentalVariogram, fitVariogram, isVariogramFitted } from './variogram';
+import { withinRadius, combinedBounds, withSpatialIndex } from './spatialIndex';
+import { faultExtentScale, segmentDisplacement } from './faultModel';
+import { buildZones, layerSurfaces, orderHorizonsByDepth, resolveHorizonCrossings, resolveZoneLayering } from './layering';
+import { geometryLattice, gridSizeProblem, localToWorld, pointInPolygon, resolveGridGeometry, worldToLocal } from './gridGeometry';
+import { cellCorners, cellIndex, createCornerPointGrid, hexahedronVolume, setPillar, zcornIndex } from './cornerPoint';
+import { upscaleWellLogs, wellCellCrossings } from './wellTrajectory';
+import { DEFAULT_PROPERTY_VARIOGRAM, createPermeabilityModel, simulatePorosity } from './propertyModeling';
+import { DEFAULT_FACIES_MODEL, faciesProportions, hardFacies, simulateFacies } from './faciesModeling';
+import { createRandom, randomSeed } from './random';
+import { DEFAULT_PERMEABILITY_MODEL, createPermeabilityTransform } from './poroPerm';
+
+// Grid generation pipeline. Runs inside the generation worker, so everything it needs
+// arrives in `params` and progress is reported through the `onProgress` callback.
+
+// Grids a horizon onto a regular lattice with the selected interpolation method
+export const geologicalInterpolation = (horizon, lattice, options) => {
+  return buildGriddedSurface(horizon.points, lattice, { ...options, index: horizon.index });
+};
+
+// Fault influence and displacement at a point. The influence zone (faultFlag) comes from
+// the fault picks within each segment's influence radius; the offset, hanging-wall flag and
+// fault block come from each segment's fitted plane. faultBlock encodes the side of every
+// segment plane as a bitmask (+1). Inactive segments are ignored.
+export const calculateAdvancedFaultInfluence = (x, y, z, faults) => {
+  let totalInfluence = 0;
+  let dominantFault = 0;
+  let dominantColor = null;
+  let maxInfluence = 0;
+  let displacement = 0;
+  let blockMask = 0;
+  let nearest = null;
+  let segmentBit = 0;
+  const sides = [];
+
+  faults.forEach(fault => {
+    const segments = fault.segments || [];
+    const searchRadius = segments.reduce((max, s) => s.active ? Math.max(max, s.influenceRadius) : max, 0);
+
+    if (searchRadius > 0) {
+      withinRadius(fault.index, [x, y, z], searchRadius).forEach(({ index, distance }) => {
+        const segId = (fault.points.segId && fault.points.segId[index]) || 1;
+        const segment = segments.find(s => s.segId === segId);
+        if (!segment || !segment.active || distance >= segment.influenceRadius) return;
+        const influence = Math.exp(-distance / (segment.influenceRadius * 0.25));
+        totalInfluence += influence;
+
+        if (influence > maxInfluence) {
+          maxInfluence = influence;
+          dominantFault = segId;
+          dominantColor = segment.color;
+        }
+      });
+    }
+
+    segments.forEach(segment => {
+      if (!segment.active) {
+        sides.push(null);
+        segmentBit++;
+        return;
+      }
+      const offset = segmentDisplacement(segment, x, y, z);
+      sides.push(offset.hangingWall);
+      displacement += offset.displacement;
+      if (offset.hangingWall && segmentBit < 30) blockMask |= 1 << segmentBit;
+      segmentBit++;
+      if (segment.plane && (!nearest || Math.abs(offset.distance) < Math.abs(nearest.distance))) nearest = offset;
+    });
+  });
+
+  return {
+    influence: Math.min(totalInfluence, 1),
+    faultFlag: maxInfluence > 0.08 ? dominantFault : 0,
+    faultColor: maxInfluence > 0.08 ? dominantColor : null,
+    displacement,
+    hangingWall: nearest && nearest.hangingWall ? 1 : 0,
+    faultBlock: blockMask + 1,
+    sides
+  };
+};
+
+// Displacement at a corner node with each segment's block fixed by `sides` from its column
+const cornerDisplacement = (x, y, z, faults, sides) => {
+  let displacement = 0;
+  let segmentIdx = 0;
+  faults.forEach(fault => (fault.segments || []).forEach(segment => {
+    const side = sides[segmentIdx++];
+    if (segment.active) displacement += segmentDisplacement(segment, x, y, z, side).displacement;
+  }));
+  return displacement;
+};
+
+// Cell faces a fault runs through: neighbouring cells on opposite sides of a segment's plane
+// where the segment actually reaches (the face centre lies within its extent). Faces are
+// named per segment and listed as the cell on the low-index side plus the face ('X' or 'Y').
+const collectFaultFaces = (cornerPoint, cellSides, faults) => {
+  const segments = faults.flatMap(fault => (fault.segments || []).map(segment => ({
+    segment,
+    name: fault.segments.length > 1 ? `${fault.name}_${segment.segId}` : fault.name
+  })));
+  const named = segments.map(({ name }) => ({ name, faces: [] })).slice(0, 30);
+  const { nI, nJ, nK } = cornerPoint;
+
+  for (let k = 0; k < nK; k++) {
+    for (let j = 0; j < nJ; j++) {
+      for (let i = 0; i < nI; i++) {
+        const here = cellSides[cellIndex(cornerPoint, i, j, k)];
+        if (here < 0) continue;
+        [[i + 1, j, 'X'], [i, j + 1, 'Y']].forEach(([ni, nj, face]) => {
+          if (ni >= nI || nj >= nJ) return;
+          const there = cellSides[cellIndex(cornerPoint, ni, nj, k)];
+          if (there < 0 || there === here) return;
+          const corners = cellCorners(cornerPoint, i, j, k);
+          const shared = face === 'X' ? [1, 3, 5, 7] : [2, 3, 6, 7];
+          const centre = shared.reduce((sum, c) => ({
+            x: sum.x + corners[c].x / 4, y: sum.y + corners[c].y / 4, z: sum.z + corners[c].z / 4
+          }), { x: 0, y: 0, z: 0 });
+          named.forEach((entry, bit) => {
+            if (!(((here ^ there) >> bit) & 1) || !segments[bit].segment.active) return;
+            if (faultExtentScale(segments[bit].segment, centre.x, centre.y, centre.z) > 0) entry.faces.push({ i, j, k, face });
+          });
+        });
+      }
+    }
+  }
+  return named.filter(entry => entry.faces.length > 0);
+};
+
+// Point set in the grid's local frame
+const rotatedPoints = (points, rotation) => {
+  const x = new Float64Array(points.length);
+  const y = new Float64Array(points.length);
+  for (let idx = 0; idx < points.length; idx++) {
+    const { u, v } = worldToLocal(rotation, points.x[idx], points.y[idx]);
+    x[idx] = u;
+    y[idx] = v;
+  }
+  return { ...points, x, y };
+};
+
+// Stage boundaries as fractions of the whole job
+const STAGES = {
+  surfaces: [0, 0.4, 'interpolating horizons'],
+  faults: [0.4, 0.8, 'applying faults'],
+  properties: [0.8, 1, 'populating properties']
+};
+
+export const generateGeologicalGrid = (params, onProgress = () => {}) => {
+  const {
+    horizons, faults, wells = [], numLayers, zoneSettings, interpolationMethod, variogramModel, griddingOptions, gridGeometry, aoi,
+    propertyModel = {}
+  } = params;
+  if (horizons.length < 2) throw new Error('At least two horizon surfaces are required');
+
+  const report = (stage, fraction) => {
+    const [start, end, label] = STAGES[stage];
+    onProgress(start + (end - start) * Math.min(Math.max(fraction, 0), 1), label);
+  };
+
+  const generationStart = performance.now();
+  const ordered = orderHorizonsByDepth(horizons);
+  const zoneDefinitions = buildZones(ordered, zoneSettings, numLayers);
+  const topHorizon = ordered[0];
+
+  // Kriging needs a model; fit one from the top horizon if the panel was never used
+  const variogram = interpolationMethod === 'kriging' && !isVariogramFitted(variogramModel)
+    ? fitVariogram(computeExperimentalVariogram(topHorizon.points), variogramModel.type)
+    : variogramModel;
+  let maxKrigingVariance = 0;
+
+  const bounds = combinedBounds(ordered);
+  const geometry = resolveGridGeometry(gridGeometry, bounds);
+  if (!geometry) throw new Error('Grid geometry could not be derived from the horizon extents');
+  // Every zone has at least one layer; the exact count is checked once the layering is resolved
+  const areaProblem = gridSizeProblem(geometry, zoneDefinitions.length);
+  if (areaProblem) throw new Error(areaProblem);
+  const lattice = geometryLattice(geometry);
+
+  // Node positions in world coordinates; the crossing report covers nodes inside the AOI
+  const nodeCount = lattice.nx * lattice.ny;
+  const nodeX = new Float64Array(nodeCount);
+  const nodeY = new Float64Array(nodeCount);
+  const nodeInside = new Uint8Array(nodeCount);
+  for (let j = 0; j < lattice.ny; j++) {
+    for (let i = 0; i < lattice.nx; i++) {
+      const n = j * lattice.nx + i;
+      const { x, y } = localToWorld(geometry.rotation, lattice.xOrigin + i * lattice.dx, lattice.yOrigin + j * lattice.dy);
+      nodeX[n] = x;
+      nodeY[n] = y;
+      nodeInside[n] = !aoi || pointInPolygon(aoi, x, y) ? 1 : 0;
+    }
+  }
+
+  // Every horizon is gridded once onto the same lattice and read back per node. A rotated
+  // lattice is axis-aligned in the local frame, so the horizons are rotated and re-indexed.
+  // A lattice too small for the selected method is gridded with IDW, and so is a horizon a
+  // thin-plate spline cannot be fitted to; the grid records which method was used and why.
+  const griddingMethod = griddingMethodFor(interpolationMethod, lattice);
+  const interpolationStart = performance.now();
+  const surfaceOptions = { method: griddingMethod, variogram, ...griddingOptions };
+  const griddedSurfaces = ordered.map((horizon, idx) => {
+    report('surfaces', idx / ordered.length);
+    const localHorizon = geometry.rotation
+      ? withSpatialIndex({ ...horizon, points: rotatedPoints(horizon.points, geometry.rotation) }, 2)
+      : horizon;
+    return geologicalInterpolation(localHorizon, lattice, {
+      ...surfaceOptions,
+      onProgress: f => report('surfaces', (idx + f) / ordered.length)
+    });
+  });
+  const interpolationMs = performance.now() - interpolationStart;
+  const idwHorizons = ordered.filter((_, idx) => griddedSurfaces[idx].method !== interpolationMethod).map(h => h.name);
+  const usedMethod = griddedSurfaces.every(surface => surface.method === 'idw') ? 'idw' : griddingMethod;
+  const idwFallback = idwHorizons.length > 0
+    ? { reason: griddingMethod === interpolationMethod ? 'degenerate' : 'lattice', horizons: idwHorizons }
+    : null;
+
+  // Crossing horizons are eroded or onlapped per zone; remaining overlaps become inactive cells
+  const { surfaces, crossings } = resolveHorizonCrossings(zoneDefinitions, griddedSurfaces, geometry.rotation, nodeInside);
+
+  // Layering styles that depend on thickness are resolved against each zone's thickest column
+  const zones = zoneDefinitions.map((zone, zoneIdx) => {
+    const upper = surfaces[zoneIdx].values;
+    const lower = surfaces[zoneIdx + 1].values;
+    let maxThickness = 0;
+    for (let n = 0; n < upper.length; n++) {
+      if (!nodeInside[n]) continue;
+      const thickness = upper[n] - lower[n];
+      if (thickness > maxThickness) maxThickness = thickness;
+    }
+    return resolveZoneLayering(zone, maxThickness);
+  });
+
+  // Layer indices run from the top of the stack down, continuing across zones
+  const layerOffsets = zones.map((_, idx) => zones.slice(0, idx).reduce((sum, z) => sum + z.layers, 0));
+  const layerCount = zones.reduce((sum, z) => sum + z.layers, 0);
+  const sizeProblem = gridSizeProblem(geometry, layerCount);
+  if (sizeProblem) throw new Error(sizeProblem);
+
+  // Layer boundary elevations of every zone at every node, before dip and faulting.
+  // Where a zone's surfaces still cross, the boundaries span the swapped interval.
+  const zoneLevels = zones.map((zone, zoneIdx) => {
+    const upper = surfaces[zoneIdx].values;
+    const lower = surfaces[zoneIdx + 1].values;
+    const levels = new Float64Array(nodeCount * (zone.layers + 1));
+    for (let n = 0; n < nodeCount; n++) {
+      levels.set(layerSurfaces(zone, Math.max(upper[n], lower[n]), Math.min(upper[n], lower[n])), n * (zone.layers + 1));
+    }
+    return levels;
+  });
+
+  // The synthetic dip grows towards the top of the whole stack so zone boundaries stay continuous
+  const stackTop = surfaces[0].values;
+  const stackBase = surfaces[surfaces.length - 1].values;
+  const dipAt = (x, y) => Math.sin(x * 0.0008) * Math.cos(y * 0.0006) * 12;
+  const nodeDip = Float64Array.from(nodeX, (x, n) => dipAt(x, nodeY[n]));
+  const dippedElevation = (n, z) => {
+    const stackThickness = stackTop[n] - stackBase[n];
+    return z + nodeDip[n] * (stackThickness > 0 ? (z - stackBase[n]) / stackThickness : 0);
+  };
+  const nodeMidElevation = (n) => (dippedElevation(n, stackTop[n]) + stackBase[n]) / 2;
+
+  // Corner-point grid: cells between the lattice nodes, vertical pillars on the nodes
+  const nI = lattice.nx - 1;
+  const nJ = lattice.ny - 1;
+  const cornerPoint = createCornerPointGrid(nI, nJ, layerCount);
+  for (let j = 0; j <= nJ; j++) {
+    for (let i = 0; i <= nI; i++) {
+      const n = j * lattice.nx + i;
+      setPillar(cornerPoint, i, j,
+        { x: nodeX[n], y: nodeY[n], z: dippedElevation(n, stackTop[n]) },
+        { x: nodeX[n], y: nodeY[n], z: stackBase[n] });
+    }
+  }
+
+  // Geometry pass: corner elevations, exact volumes and fault influence for every cell. Each
+  // column takes its side of every fault segment once, at the middle of its stack, and its
+  // corners move with that block, so faults cut along cell faces and a dipping fault never
+  // pushes a deeper layer above a shallower one in the same column.
+  const faultStart = performance.now();
+  const cells = [];
+  const cellSides = new Int32Array(nI * nJ * layerCount).fill(-1);
+  const corners = Array.from({ length: 8 }, () => ({ x: 0, y: 0, z: 0 }));
+  for (let i = 0; i < nI; i++) {
+    for (let j = 0; j < nJ; j++) {
+      const n00 = j * lattice.nx + i;
+      const columnNodes = [n00, n00 + 1, n00 + lattice.nx, n00 + lattice.nx + 1];
+      const x = columnNodes.reduce((sum, n) => sum + nodeX[n], 0) / 4;
+      const y = columnNodes.reduce((sum, n) => sum + nodeY[n], 0) / 4;
+      const inside = !aoi || pointInPolygon(aoi, x, y);
+      const structuralDip = dipAt(x, y);
+      const midZ = columnNodes.reduce((sum, n) => sum + nodeMidElevation(n), 0) / 4;
+      const columnFault = calculateAdvancedFaultInfluence(x, y, midZ, faults);
+      const nodeShift = columnNodes.map(n => cornerDisplacement(nodeX[n], nodeY[n], midZ, faults, columnFault.sides));
+
+      zones.forEach((zone, zoneIdx) => {
+        const upper = surfaces[zoneIdx];
+        const lower = surfaces[zoneIdx + 1];
+        const levels = zoneLevels[zoneIdx];
+        const stride = zone.layers + 1;
+
+        // Surfaces that still cross at the column centre keep their cells, flagged inactive (ACTNUM 0)
+        const meanUpper = columnNodes.reduce((sum, n) => sum + upper.values[n], 0) / 4;
+        const meanLower = columnNodes.reduce((sum, n) => sum + lower.values[n], 0) / 4;
+        const crossing = meanUpper < meanLower;
+
+        // The less constrained of the two surfaces governs the column's uncertainty
+        const krigingVariance = upper.variance
+          ? columnNodes.reduce((sum, n) => sum + Math.max(upper.variance[n], lower.variance[n]), 0) / 4
+          : null;
+        if (krigingVariance !== null && inside) maxKrigingVariance = Math.max(maxKrigingVariance, krigingVariance);
+
+        for (let k = 0; k < zone.layers; k++) {
+          const layer = layerOffsets[zoneIdx] + k;
+          let centreZ = 0;
+          corners.forEach((corner, c) => {
+            const n = columnNodes[c & 3];
+            corner.x = nodeX[n];
+            corner.y = nodeY[n];
+            corner.z = dippedElevation(n, levels[n * stride + k + (c >> 2)]);
+            centreZ += corner.z / 8;
+          });
+
+          // Influence is the cell's own; the block is the column's
+          const faultInfo = {
+            ...calculateAdvancedFaultInfluence(x, y, centreZ, faults),
+            hangingWall: columnFault.hangingWall,
+            faultBlock: columnFault.faultBlock,
+            sides: columnFault.sides
+          };
+          let z = 0;
+          corners.forEach((corner, c) => {
+            corner.z += nodeShift[c & 3];
+            cornerPoint.zcorn[zcornIndex(cornerPoint, i, j, layer, c)] = corner.z;
+            z += corner.z / 8;
+          });
+
+          // Pinched-out (truncated) cells keep their place in the structured grid but get no cell point
+          const volume = hexahedronVolume(corners);
+          const structured = cellIndex(cornerPoint, i, j, layer);
+          cellSides[structured] = faultInfo.faultBlock - 1;
+          if (!inside || !(volume > 1e-6)) continue;
+          cornerPoint.actnum[structured] = crossing ? 0 : 1;
+          cornerPoint.cellPoint[structured] = cells.length;
+
+          cells.push({
+            i, j, k: layer,
+            x, y, z,
+            zone: zone.index,
+            layer,
+            actnum: crossing ? 0 : 1,
+            volume,
+            structuralDip, faultInfo, krigingVariance
+          });
+        }
+      });
+    }
+    report('faults', (i + 1) / nI);
+  }
+  cornerPoint.faults = collectFaultFaces(cornerPoint, cellSides, faults);
+
+  // Horizons as they end up in the grid: zone-adjusted, dipped and offset by the faults, with
+  // each node moving with the fault blocks of its pillar's mid-stack point, as the columns do.
+  // Nodes outside the AOI are null (NaN).
+  const horizonSurfaces = ordered.map((horizon, idx) => {
+    const values = new Float64Array(nodeCount).fill(NaN);
+    for (let n = 0; n < nodeCount; n++) {
+      if (!nodeInside[n]) continue;
+      const z = dippedElevation(n, surfaces[idx].values[n]);
+      values[n] = z + cornerDisplacement(nodeX[n], nodeY[n], nodeMidElevation(n), faults, []);
+    }
+    return { name: horizon.name, values };
+  });
+  const faultMs = performance.now() - faultStart;
+
+  // Cells the well trajectories pass through, by structured index, and the well logs blocked
+  // into them as hard data for the properties
+  const wellCells = wellCellCrossings(cornerPoint, lattice, geometry.rotation, wells);
+  const blockedLogs = upscaleWellLogs(cornerPoint, lattice, geometry.rotation, wells);
+
+  // Stochastic properties: one seed drives the facies, the simulation paths and every draw, so
+  // the seed stored with the grid regenerates the same realization. Facies come first, then
+  // porosity conditional on facies, then permeability from porosity.
+  const seed = propertyModel.seed ?? randomSeed();
+  const propertyVariogram = { ...DEFAULT_PROPERTY_VARIOGRAM, ...propertyModel.variogram };
+  const faciesModel = { ...DEFAULT_FACIES_MODEL, ...propertyModel.facies };
+  const permeabilityModel = { ...DEFAULT_PERMEABILITY_MODEL, ...propertyModel.permeability };
+  const random = createRandom(seed);
+  const meanThickness = cells.reduce((sum, cell) => sum + cell.volume, 0) / (cells.length * lattice.dx * lattice.dy);
+  const spacing = { dx: lattice.dx, dy: lattice.dy, dz: meanThickness || 1, rotation: geometry.rotation };
+  // Well cells keep the facies their log porosity belongs to
+  const blocked = cells.map(cell => blockedLogs.cells.get(cellIndex(cornerPoint, cell.i, cell.j, cell.k)) || null);
+  const hardPorosity = Float64Array.from(blocked, values => values?.porosity ?? NaN);
+  const faciesField = simulateFacies(cornerPoint, cells, faciesModel, {
+    hard: hardFacies(hardPorosity, faciesModel.definitions),
+    spacing,
+    random,
+    onProgress: (fraction) => report('properties', fraction * 0.4)
+  });
+
+  const hardData = cells
+    .map((cell, idx) => ({ x: cell.x, y: cell.y, z: cell.z, facies: faciesField[idx], ...blocked[idx] }))
+    .filter((_, idx) => blocked[idx]);
+  const porosityField = simulatePorosity(cornerPoint, cells, hardPorosity, {
+    facies: faciesField,
+    definitions: faciesModel.definitions,
+    variogram: propertyVariogram,
+    spacing,
+    random,
+    shift: propertyModel.porosityShift || 0,
+    onProgress: (fraction) => report('properties', 0.4 + fraction * 0.4)
+  });
+  const permeabilityAt = createPermeabilityModel(hardData, faciesModel.definitions,
+    createPermeabilityTransform(permeabilityModel, faciesModel.definitions, random));
+
+  // Property pass. Permeability spans decades (shales reach 0.001 mD), so it keeps four
+  // significant figures rather than a fixed number of decimals.
+  const significant = (value) => Number(value.toPrecision(4));
+  const grid = [];
+  let totalVolume = 0;
+  let inactiveCount = 0;
+  const zoneStats = zones.map(() => ({ cellCount: 0, inactiveCount: 0, volume: 0 }));
+  cells.forEach((cell, idx) => {
+    const cellVolume = cell.volume;
+    const structured = cellIndex(cornerPoint, cell.i, cell.j, cell.k);
+    const facies = faciesField[idx];
+    const porosity = porosityField[idx];
+    const estimate = permeabilityAt(cell.x, cell.y, cell.z, porosity, facies);
+    const permeability = blocked[idx]?.permeability > 0 ? blocked[idx].permeability : estimate;
+
+    const wellName = wellCells.get(structured) || null;
+
+    // Inactive cells keep their geometry but are left out of every volume total
+    const stats = zoneStats[cell.zone - 1];
+    stats.cellCount++;
+    if (cell.actnum) {
+      totalVolume += cellVolume;
+      stats.volume += cellVolume;
+    } else {
+      inactiveCount++;
+      stats.inactiveCount++;
+    }
+
+    grid.push({
+      x: Math.round(cell.x * 100) / 100,
+      y: Math.round(cell.y * 100) / 100,
+      z: Math.round(cell.z * 100) / 100,
+      i: cell.i,
+      j: cell.j,
+      k: cell.k,
+      layer: cell.layer,
+      zone: cell.zone,
+      actnum: cell.actnum,
+      bulkVolume: Math.round(cellVolume * 100) / 100,
+      faultFlag: cell.faultInfo.faultFlag,
+      hangingWall: cell.faultInfo.hangingWall,
+      faultBlock: cell.faultInfo.faultBlock,
+      faultColor: cell.faultInfo.faultColor,
+      wellPath: wellName,
+      facies,
+      porosity: Math.round(porosity * 1000) / 1000,
+      permeability: significant(permeability),
+      permeabilityY: significant(permeability * permeabilityModel.kyRatio),
+      permeabilityZ: significant(permeability * permeabilityModel.kzRatio),
+      structuralDip: Math.round(cell.structuralDip * 10) / 10,
+      krigingVariance: cell.krigingVariance === null ? null : Math.round(cell.krigingVariance * 100) / 100
+    });
+
+    if (idx % 5000 === 0) report('properties', 0.8 + 0.2 * idx / cells.length);
+  });
+  report('properties', 1);
+
+  return {
+    points: grid,
+    totalVolume: Math.round(totalVolume),
+    layerCount,
+    pointCount: grid.length,
+    inactiveCount,
+    bounds: bounds,
+    timestamp: new Date(),
+    horizons: ordered.map(h => h.name).join(', '),
+    faults: faults.map(f => f.name).join(', '),
+    wells: wells.map(well => ({
+      name: well.name,
+      cellCount: [...wellCells.values()].filter(name => name === well.name).length
+    })),
+    wellLogs: blockedLogs.wells,
+    hardDataCount: hardData.length,
+    propertyModel: { method: 'sgs', seed, variogram: propertyVariogram, facies: faciesModel, permeability: permeabilityModel },
+    faciesProportions: faciesProportions(faciesField, faciesModel.definitions.length),
+    zones: zones.map((zone, idx) => ({
+      index: zone.index,
+      name: zone.name,
+      layers: zone.layers,
+      style: zone.style,
+      cellThickness: zone.cellThickness,
+      requestedCellThickness: zone.requestedCellThickness ?? null,
+      ratios: zone.ratios || null,
+      cellCount: zoneStats[idx].cellCount,
+      inactiveCount: zoneStats[idx].inactiveCount,
+      volume: Math.round(zoneStats[idx].volume)
+    })),
+    crossings,
+    geometry: { ...geometry, aoi: aoi || null },
+    horizonSurfaces,
+    cornerPoint,
+    interpolationMethod: usedMethod,
+    requestedInterpolationMethod: interpolationMethod,
+    idwFallback,
+    variogram: usedMethod === 'kriging' ? variogram : null,
+    griddingOptions: CONVERGENT_METHODS.includes(usedMethod) ? griddingOptions : null,
+    maxKrigingVariance,
+    timings: {
+      indexing: [...horizons, ...faults].reduce((sum, d) => sum + (d.indexBuildMs || 0), 0),
+      interpolation: interpolationMs,
+      faults: faultMs,
+      total: performance.now() - generationStart,
+      inputPoints: [...horizons, ...faults].reduce((sum, d) => sum + d.points.length, 0)
+    }
+  };
+};
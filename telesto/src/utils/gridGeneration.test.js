@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { generateGeologicalGrid } from './gridGeneration';
+import { withFaultModel } from './faultModel';
+import { zcornIndex } from './cornerPoint';
+import { pointSetFromPoints } from './pointSet';
+import { withSpatialIndex } from './spatialIndex';
+
+// The demo horizons and faults without their noise, so the grid is the same on every run
+const horizons = () => {
+  const top = [];
+  const base = [];
+  for (let x = 0; x <= 25; x++) {
+    for (let y = 0; y <= 25; y++) {
+      const topZ = 2000 + Math.sin(x * 0.15) * 180 + Math.cos(y * 0.12) * 120 + Math.sin(x * 0.08) * Math.cos(y * 0.06) * 100;
+      top.push({ x: x * 40, y: y * 40, z: topZ });
+      base.push({ x: x * 40, y: y * 40, z: topZ - 500 - Math.sin(x * 0.2) * 150 - Math.cos(y * 0.16) * 90 });
+    }
+  }
+  return [
+    withSpatialIndex({ name: 'Top', points: pointSetFromPoints(top) }, 2),
+    withSpatialIndex({ name: 'Base', points: pointSetFromPoints(base) }, 2)
+  ];
+};
+
+const faults = () => {
+  const main = [];
+  const secondary = [];
+  for (let y = 0; y <= 1000; y += 35) {
+    for (let z = 1400; z <= 2300; z += 30) {
+      const dip = 65 + Math.sin(z * 0.0015) * 20;
+      main.push({ x: 450 + (z - 1400) * Math.tan(dip * Math.PI / 180) * 0.25, y, z, segId: 1 });
+    }
+  }
+  for (let x = 150; x <= 850; x += 40) {
+    for (let z = 1500; z <= 2200; z += 35) secondary.push({ x, y: 650 + Math.sin(x * 0.008) * 80, z, segId: 2 });
+  }
+  return [
+    withFaultModel(withSpatialIndex({ name: 'Main Fault', points: pointSetFromPoints(main) }, 3)),
+    withFaultModel(withSpatialIndex({ name: 'Secondary Fault', points: pointSetFromPoints(secondary) }, 3))
+  ];
+};
+
+const generate = (params) => generateGeologicalGrid({
+  horizons: horizons(),
+  faults: faults(),
+  wells: [],
+  numLayers: 10,
+  zoneSettings: {},
+  interpolationMethod: 'idw',
+  variogramModel: { type: 'spherical', sill: 0, range: 0, nugget: 0 },
+  griddingOptions: {},
+  propertyModel: { seed: 1 },
+  ...params
+});
+
+describe('generateGeologicalGrid', () => {
+  it('keeps ZCORN from rising down each column of a faulted grid', () => {
+    const { cornerPoint } = generate();
+    expect(cornerPoint.faults.length).toBeGreaterThan(0);
+
+    let rising = 0;
+    for (let i = 0; i < cornerPoint.nI; i++) {
+      for (let j = 0; j < cornerPoint.nJ; j++) {
+        for (let c = 0; c < 4; c++) {
+          let above = Infinity;
+          for (let k = 0; k < cornerPoint.nK; k++) {
+            const top = cornerPoint.zcorn[zcornIndex(cornerPoint, i, j, k, c)];
+            const base = cornerPoint.zcorn[zcornIndex(cornerPoint, i, j, k, c + 4)];
+            if (top > above + 1e-6 || base > top + 1e-6) rising++;
+            above = base;
+          }
+        }
+      }
+    }
+    expect(rising).toBe(0);
+  });
+
+  it('refuses a geometry above the cell limit before gridding it', () => {
+    const gridGeometry = { mode: 'custom', originX: 0, originY: 0, di: 0.1, dj: 0.1, rotation: 0, nI: 10000, nJ: 10000 };
+    expect(() => generate({ gridGeometry })).toThrow(/above the limit/);
+  });
+
+  it('keeps a seed of 0 and reproduces the realization from it', () => {
+    const first = generate({ faults: [], numLayers: 3, propertyModel: { seed: 0 } });
+    const second = generate({ faults: [], numLayers: 3, propertyModel: { seed: 0 } });
+    expect(first.propertyModel.seed).toBe(0);
+    expect(second.points.map(p => p.porosity)).toEqual(first.points.map(p => p.porosity));
+  });
+
+  it('keeps shale permeabilities instead of rounding them to zero', () => {
+    const { points } = generate({ faults: [] });
+    const permeabilities = points.flatMap(p => [p.permeability, p.permeabilityY, p.permeabilityZ]);
+    expect(permeabilities.some(value => value < 0.01)).toBe(true);
+    expect(permeabilities.every(value => value > 0)).toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+// Areal grid geometry: origin, I/J increments, rotation and an optional area-of-interest polygon.
+// Grid (local) coordinates are world coordinates rotated by -rotation about the world origin,
+// so with no rotation the two frames coincide and horizon indexes can be reused as they are.
+
+export const DEFAULT_GRID_GEOMETRY = {
+  mode: 'auto',
+  originX: 0,
+  originY: 0,
+  di: 0,
+  dj: 0,
+  rotation: 0,
+  nI: 0,
+  nJ: 0
+};
+
+// Cells across the shorter side of the data when the geometry is derived automatically
+export const AUTO_GRID_CELLS = 45;
+
+// Largest grid that can be generated. Every cell becomes an object with its geometry and
+// properties, so a few million cells exhaust the browser's memory.
+export const MAX_GRID_CELLS = 1000000;
+
+// Cells of a geometry with `layers` layers (I and J have one more node than cells)
+export const gridCellCount = (geometry, layers) => (geometry.nI - 1) * (geometry.nJ - 1) * layers;
+
+// Message if a geometry with `layers` layers would exceed MAX_GRID_CELLS, otherwise null
+export const gridSizeProblem = (geometry, layers) => {
+  const cells = gridCellCount(geometry, layers);
+  if (cells <= MAX_GRID_CELLS) return null;
+  return `The grid would have ${cells.toLocaleString()} cells, above the limit of ${MAX_GRID_CELLS.toLocaleString()}. Use larger increments, fewer nodes or fewer layers.`;
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+export const worldToLocal = (rotation, x, y) => {
+  const angle = toRadians(rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { u: x * cos + y * sin, v: -x * sin + y * cos };
+};
+
+export const localToWorld = (rotation, u, v) => {
+  const angle = toRadians(rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: u * cos - v * sin, y: u * sin + v * cos };
+};
+
+// World position of grid node (i, j)
+export const gridNodeToWorld = (geometry, i, j) => {
+  const origin = worldToLocal(geometry.rotation, geometry.originX, geometry.originY);
+  return localToWorld(geometry.rotation, origin.u + i * geometry.di, origin.v + j * geometry.dj);
+};
+
+// Smallest grid at the given rotation that covers all the points (data bounds corners or
+// polygon vertices), with `cells` increments across its shorter side
+export const fitGridGeometry = (points, rotation = 0, cells = AUTO_GRID_CELLS) => {
+  let uMin = Infinity, uMax = -Infinity, vMin = Infinity, vMax = -Infinity;
+  points.forEach(p => {
+    const { u, v } = worldToLocal(rotation, p.x, p.y);
+    uMin = Math.min(uMin, u); uMax = Math.max(uMax, u);
+    vMin = Math.min(vMin, v); vMax = Math.max(vMax, v);
+  });
+
+  const spacing = Math.min(uMax - uMin, vMax - vMin) / cells;
+  if (!(spacing > 0)) return null;
+
+  const origin = localToWorld(rotation, uMin, vMin);
+  return {
+    mode: 'custom',
+    originX: origin.x,
+    originY: origin.y,
+    di: spacing,
+    dj: spacing,
+    rotation,
+    nI: Math.floor((uMax - uMin) / spacing + 1e-9) + 1,
+    nJ: Math.floor((vMax - vMin) / spacing + 1e-9) + 1
+  };
+};
+
+export const boundsCorners = (bounds) => [
+  { x: bounds.xMin, y: bounds.yMin },
+  { x: bounds.xMax, y: bounds.yMin },
+  { x: bounds.xMax, y: bounds.yMax },
+  { x: bounds.xMin, y: bounds.yMax }
+];
+
+// Geometry used for generation: the stored custom settings, or a fit to the data bounds
+export const resolveGridGeometry = (geometry, bounds) => {
+  if (geometry && geometry.mode === 'custom' && geometry.di > 0 && geometry.dj > 0 && geometry.nI > 1 && geometry.nJ > 1) {
+    return geometry;
+  }
+  const fitted = fitGridGeometry(boundsCorners(bounds), 0);
+  return fitted && { ...fitted, mode: 'auto' };
+};
+
+// Surface lattice in the grid's local frame
+export const geometryLattice = (geometry) => {
+  const origin = worldToLocal(geometry.rotation, geometry.originX, geometry.originY);
+  return { xOrigin: origin.u, yOrigin: origin.v, dx: geometry.di, dy: geometry.dj, nx: geometry.nI, ny: geometry.nJ };
+};
+
+// Even-odd ray casting; the polygon is an array of { x, y } vertices, closed implicitly
+export const pointInPolygon = (polygon, x, y) => {
+  let inside = false;
+  for (let a = 0, b = polygon.length - 1; a < polygon.length; b = a++) {
+    const pa = polygon[a];
+    const pb = polygon[b];
+    if ((pa.y > y) !== (pb.y > y) && x < (pb.x - pa.x) * (y - pa.y) / (pb.y - pa.y) + pa.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
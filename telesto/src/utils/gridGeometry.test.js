@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_GRID_CELLS, gridCellCount, gridSizeProblem } from './gridGeometry';
+
+const geometry = (nI, nJ) => ({ mode: 'custom', originX: 0, originY: 0, di: 10, dj: 10, rotation: 0, nI, nJ });
+
+describe('gridSizeProblem', () => {
+  it('counts cells between the nodes', () => {
+    expect(gridCellCount(geometry(101, 51), 20)).toBe(100 * 50 * 20);
+  });
+
+  it('accepts a grid at the cell limit', () => {
+    expect(gridSizeProblem(geometry(1001, 101), MAX_GRID_CELLS / 100000)).toBeNull();
+  });
+
+  it('refuses a grid above the cell limit', () => {
+    expect(gridSizeProblem(geometry(10000, 10000), 1)).toMatch(/above the limit/);
+  });
+});
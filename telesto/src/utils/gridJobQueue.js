@@ -0,0 +1,99 @@
+// Runs grid generation jobs (and Monte Carlo batches, type 'uncertainty') one after another in
+// a dedicated worker.
+// Cancelling the running job terminates its worker; a fresh one is started for the next job.
+
+const createWorker = () => new Worker(
+  new URL('../workers/gridGeneration.worker.js', import.meta.url),
+  { type: 'module' }
+);
+
+export const createGridJobQueue = ({ onUpdate, onResult, onError }) => {
+  let worker = null;
+  let nextJobId = 1;
+  let active = null;
+  const queued = [];
+
+  const notify = () => onUpdate({
+    active: active && { id: active.id, label: active.label, type: active.type, percent: active.percent, stage: active.stage },
+    queued: queued.map(({ id, label, type }) => ({ id, label, type }))
+  });
+
+  const finishActive = () => {
+    active = null;
+    startNext();
+  };
+
+  const handleMessage = (event) => {
+    const message = event.data;
+    if (!active || message.jobId !== active.id) return;
+
+    switch (message.type) {
+      case 'progress':
+        active.percent = message.percent;
+        active.stage = message.stage;
+        notify();
+        break;
+      case 'result':
+        onResult(message.result, active.label, active.type);
+        finishActive();
+        break;
+      case 'error':
+        onError(new Error(message.message), active.label, active.type);
+        finishActive();
+        break;
+    }
+  };
+
+  const ensureWorker = () => {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        event.preventDefault();
+        if (!active) return;
+        onError(new Error(event.message || 'Worker failed'), active.label, active.type);
+        worker.terminate();
+        worker = null;
+        finishActive();
+      };
+    }
+    return worker;
+  };
+
+  function startNext() {
+    if (!active && queued.length > 0) {
+      const job = queued.shift();
+      active = { id: job.id, label: job.label, type: job.type, percent: 0, stage: 'queued' };
+      ensureWorker().postMessage({ type: job.type, jobId: job.id, params: job.params });
+    }
+    notify();
+  }
+
+  return {
+    enqueue: (params, label, type = 'generate') => {
+      const id = nextJobId++;
+      queued.push({ id, label, params, type });
+      startNext();
+      return id;
+    },
+
+    cancel: (jobId) => {
+      if (active && active.id === jobId) {
+        worker.terminate();
+        worker = null;
+        finishActive();
+        return;
+      }
+      const position = queued.findIndex(job => job.id === jobId);
+      if (position >= 0) queued.splice(position, 1);
+      notify();
+    },
+
+    dispose: () => {
+      if (worker) worker.terminate();
+      worker = null;
+      active = null;
+      queued.length = 0;
+    }
+  };
+};
@@ -0,0 +1,90 @@
+import { solveLinearSystem } from './linearAlgebra';
+import { variogramValue, isVariogramFitted } from './variogram';
+import { kNearest } from './spatialIndex';
+
+// Surface interpolation methods for scattered horizon points
+
+export const INTERPOLATION_METHODS = [
+  { value: 'idw', label: 'Inverse Distance (IDW)' },
+  { value: 'kriging', label: 'Ordinary Kriging' },
+  { value: 'minimumCurvature', label: 'Minimum Curvature' },
+  { value: 'thinPlateSpline', label: 'Thin-Plate Spline' }
+];
+
+// Closest `count` control points of a point set to (x, y) by planar distance, through the
+// horizon's spatial index when one was built at load time
+const findNearest = (x, y, points, count, index) => {
+  const pointWithDistance = (id, distance) => ({ x: points.x[id], y: points.y[id], z: points.z[id], distance });
+  if (index) {
+    return kNearest(index, [x, y], count).map(({ index: id, distance }) => pointWithDistance(id, distance));
+  }
+  return Array.from({ length: points.length }, (_, id) => pointWithDistance(id, Math.hypot(x - points.x[id], y - points.y[id])))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, Math.min(count, points.length));
+};
+
+export const inverseDistance = (x, y, points, { neighbours = 6, power = 2, index } = {}) => {
+  if (points.length === 0) return { z: 0, variance: null };
+
+  const nearestPoints = findNearest(x, y, points, neighbours, index);
+  if (nearestPoints[0].distance < 1) return { z: nearestPoints[0].z, variance: null };
+
+  let weightSum = 0;
+  let valueSum = 0;
+  nearestPoints.forEach(point => {
+    const weight = 1 / Math.pow(Math.max(point.distance, 0.1), power);
+    weightSum += weight;
+    valueSum += point.z * weight;
+  });
+
+  return { z: weightSum > 0 ? valueSum / weightSum : nearestPoints[0].z, variance: null };
+};
+
+// Ordinary kriging in semivariogram form:
+//   [Γ 1; 1ᵀ 0] [λ; μ] = [γ₀; 1],  z* = Σλz,  σ² = Σλγ₀ + μ
+// Falls back to IDW when the neighbourhood system is singular (e.g. duplicate points).
+export const ordinaryKriging = (x, y, points, variogram, { neighbours = 12, index } = {}) => {
+  if (points.length === 0) return { z: 0, variance: null };
+  if (!isVariogramFitted(variogram)) return inverseDistance(x, y, points, { index });
+
+  const nearestPoints = findNearest(x, y, points, neighbours, index);
+  if (nearestPoints[0].distance < 1e-6) return { z: nearestPoints[0].z, variance: variogram.nugget };
+
+  const n = nearestPoints.length;
+  const matrix = [];
+  for (let i = 0; i < n; i++) {
+    const row = new Array(n + 1);
+    for (let j = 0; j < n; j++) {
+      const h = Math.hypot(nearestPoints[i].x - nearestPoints[j].x, nearestPoints[i].y - nearestPoints[j].y);
+      row[j] = variogramValue(variogram, h);
+    }
+    row[n] = 1;
+    matrix.push(row);
+  }
+  matrix.push([...new Array(n).fill(1), 0]);
+
+  const rhs = [...nearestPoints.map(p => variogramValue(variogram, p.distance)), 1];
+  const solution = solveLinearSystem(matrix, rhs);
+  if (!solution) return inverseDistance(x, y, points, { index });
+
+  let z = 0;
+  let variance = solution[n];
+  for (let i = 0; i < n; i++) {
+    z += solution[i] * nearestPoints[i].z;
+    variance += solution[i] * rhs[i];
+  }
+
+  return { z, variance: Math.max(variance, 0) };
+};
+
+// Dispatches to the selected method; returns { z, variance } where variance is null
+// for methods that do not provide an error estimate
+export const interpolateAt = (x, y, points, { method = 'idw', variogram, neighbours, index } = {}) => {
+  switch (method) {
+    case 'kriging':
+      return ordinaryKriging(x, y, points, variogram, { neighbours, index });
+    case 'idw':
+    default:
+      return inverseDistance(x, y, points, { neighbours, index });
+  }
+};
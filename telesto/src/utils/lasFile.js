@@ -0,0 +1,113 @@
+// LAS 2.0 well logs. Only the sections used here are read: ~V (version), ~W (well name and
+// null value), ~C (curve mnemonics and units) and ~A (data). Wrapped and unwrapped data are
+// both read as one stream of numbers, one depth step per curve count.
+
+// Curves recognised as porosity and permeability, in order of preference
+export const LOG_CURVES = {
+  porosity: ['PHIE', 'PHIT', 'PHI', 'POR', 'PORO'],
+  permeability: ['PERM', 'PERMX', 'PERMH', 'KLOGH', 'K']
+};
+
+const FEET_UNITS = ['F', 'FT', 'FEET'];
+const PERCENT_UNITS = ['%', 'PU', 'P.U.'];
+const FRACTION_UNITS = ['V/V', 'FRAC', 'FRACTION', 'DEC', 'DECIMAL', 'M3/M3'];
+
+// Whether porosity values are in percent: from the unit when it is a known one, otherwise from
+// the median, so a few spikes above 1 in a fraction curve do not rescale the whole curve
+export const porosityIsPercent = (values, unit = '') => {
+  const normalised = unit.trim().toUpperCase();
+  if (PERCENT_UNITS.includes(normalised)) return true;
+  if (FRACTION_UNITS.includes(normalised)) return false;
+  const sorted = Array.from(values).filter(Number.isFinite).sort((a, b) => a - b);
+  return sorted.length > 0 && sorted[Math.floor(sorted.length / 2)] > 1;
+};
+
+// "MNEM.UNIT  VALUE : DESCRIPTION"; the unit ends at the first space after the dot and the
+// description starts after the last colon
+const parseHeaderLine = (line) => {
+  const dot = line.indexOf('.');
+  const colon = line.lastIndexOf(':');
+  if (dot < 0 || colon < dot) return null;
+  const afterDot = line.slice(dot + 1, colon);
+  const unitEnd = afterDot.search(/\s|$/);
+  return {
+    mnemonic: line.slice(0, dot).trim().toUpperCase(),
+    unit: afterDot.slice(0, unitEnd).trim(),
+    value: afterDot.slice(unitEnd).trim(),
+    description: line.slice(colon + 1).trim()
+  };
+};
+
+export const parseLas = (text) => {
+  const header = { V: {}, W: {} };
+  const curves = [];
+  const numbers = [];
+  let section = null;
+
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (line === '' || line.startsWith('#')) return;
+    if (line.startsWith('~')) {
+      section = line[1].toUpperCase();
+      return;
+    }
+    if (section === 'A') {
+      line.split(/\s+/).forEach(token => numbers.push(Number(token)));
+    } else if (section === 'V' || section === 'W' || section === 'C') {
+      const entry = parseHeaderLine(line);
+      if (!entry) return;
+      if (section === 'C') curves.push(entry);
+      else header[section][entry.mnemonic] = entry;
+    }
+  });
+
+  const version = header.V.VERS?.value;
+  if (version && !version.startsWith('2') && !version.startsWith('1')) {
+    throw new Error(`LAS version ${version} is not supported; save the file as LAS 2.0`);
+  }
+  if (curves.length === 0) throw new Error('The file has no ~Curve section');
+
+  const nullValue = Number(header.W.NULL?.value ?? -999.25);
+  const rows = Math.floor(numbers.length / curves.length);
+  return {
+    wellName: header.W.WELL?.value || '',
+    nullValue,
+    curves: curves.map((curve, c) => ({
+      ...curve,
+      values: Float64Array.from({ length: rows }, (_, row) => {
+        const value = numbers[row * curves.length + c];
+        return Number.isFinite(value) && Math.abs(value - nullValue) > 1e-6 ? value : NaN;
+      })
+    }))
+  };
+};
+
+const findCurve = (las, names) => names
+  .map(name => las.curves.find(curve => curve.mnemonic === name))
+  .find(Boolean) || null;
+
+// Porosity (fraction) and permeability (mD) against measured depth in metres. The first curve
+// is the depth index; porosity in percent (see porosityIsPercent) is converted to a fraction.
+export const wellLogFromLas = (las, source) => {
+  const [index] = las.curves;
+  const depthFactor = FEET_UNITS.includes(index.unit.toUpperCase()) ? 0.3048 : 1;
+  const porosityCurve = findCurve(las, LOG_CURVES.porosity);
+  const permeabilityCurve = findCurve(las, LOG_CURVES.permeability);
+  if (!porosityCurve && !permeabilityCurve) {
+    throw new Error(`No porosity (${LOG_CURVES.porosity.join(', ')}) or permeability (${LOG_CURVES.permeability.join(', ')}) curve found`);
+  }
+
+  let porosity = null;
+  if (porosityCurve) {
+    const percent = porosityIsPercent(porosityCurve.values, porosityCurve.unit);
+    porosity = porosityCurve.values.map(value => (percent ? value / 100 : value));
+  }
+
+  return {
+    source,
+    md: index.values.map(value => value * depthFactor),
+    porosity,
+    permeability: permeabilityCurve ? permeabilityCurve.values : null,
+    curves: [porosityCurve?.mnemonic, permeabilityCurve?.mnemonic].filter(Boolean)
+  };
+};
@@ -0,0 +1,186 @@
+import { localToWorld } from './gridGeometry';
+
+// Zones between depth-ordered horizons and the layer (cell) boundaries inside each zone
+
+// Proportional splits every column into equal parts. Follow-top and follow-base stack cells
+// of constant thickness parallel to one surface and truncate them against the other
+// (onlap and erosional truncation). Fractional uses user-defined relative thicknesses.
+export const LAYERING_STYLES = [
+  { value: 'proportional', label: 'Proportional' },
+  { value: 'followTop', label: 'Follow Top' },
+  { value: 'followBase', label: 'Follow Base' },
+  { value: 'fractional', label: 'Fractional' }
+];
+
+export const DEFAULT_ZONE_STYLE = 'proportional';
+
+// Upper bound on layers a follow style may create from a very small cell thickness; thinner
+// cells are thickened so the thickest column still fits
+export const MAX_ZONE_LAYERS = 200;
+
+// What to do where a zone's upper horizon falls below its lower horizon
+export const CROSSING_POLICIES = [
+  { value: 'erode', label: 'Erode lower surface' },
+  { value: 'onlap', label: 'Onlap onto lower surface' },
+  { value: 'inactive', label: 'Flag cells inactive' }
+];
+
+export const DEFAULT_CROSSING_POLICY = 'erode';
+
+const meanElevation = (horizon) =>
+  horizon.points.z.reduce((sum, z) => sum + z, 0) / Math.max(horizon.points.length, 1);
+
+// Shallowest first. z is elevation, so the shallowest horizon has the largest mean z.
+export const orderHorizonsByDepth = (horizons) => horizons
+  .map(horizon => ({ horizon, elevation: meanElevation(horizon) }))
+  .sort((a, b) => b.elevation - a.elevation)
+  .map(entry => entry.horizon);
+
+export const zoneName = (upper, lower) => `${upper.name} – ${lower.name}`;
+
+// Each consecutive pair of horizons bounds a zone. Per-zone settings are looked up by
+// zone name so they survive horizons being added or removed.
+export const buildZones = (horizons, zoneSettings = {}, defaultLayers = 5) => {
+  const ordered = orderHorizonsByDepth(horizons);
+  return ordered.slice(0, -1).map((upper, idx) => {
+    const lower = ordered[idx + 1];
+    const name = zoneName(upper, lower);
+    return {
+      index: idx + 1,
+      name,
+      upper,
+      lower,
+      layers: defaultLayers,
+      style: DEFAULT_ZONE_STYLE,
+      cellThickness: null,
+      fractions: '',
+      crossing: DEFAULT_CROSSING_POLICY,
+      ...zoneSettings[name]
+    };
+  });
+};
+
+// Relative thicknesses typed as "1, 2, 1"; anything non-positive is dropped
+export const parseFractions = (text) => String(text || '')
+  .split(/[\s,;]+/)
+  .map(Number)
+  .filter(value => Number.isFinite(value) && value > 0);
+
+// Fixes a zone's layer count once its thickest column is known. Follow styles without an
+// explicit cell thickness size their cells so the thickest column gets `layers` cells. A cell
+// thickness that would need more than MAX_ZONE_LAYERS is raised to fit, keeping the requested
+// one as `requestedCellThickness`. Styles that cannot be resolved fall back to proportional.
+export const resolveZoneLayering = (zone, maxThickness) => {
+  if (zone.style === 'fractional') {
+    const ratios = parseFractions(zone.fractions);
+    return ratios.length ? { ...zone, layers: ratios.length, ratios } : { ...zone, style: DEFAULT_ZONE_STYLE };
+  }
+
+  if (zone.style === 'followTop' || zone.style === 'followBase') {
+    const cellThickness = zone.cellThickness > 0 ? zone.cellThickness : maxThickness / zone.layers;
+    if (!(cellThickness > 0)) return { ...zone, style: DEFAULT_ZONE_STYLE };
+    const layers = Math.max(Math.ceil(maxThickness / cellThickness - 1e-9), 1);
+    if (layers > MAX_ZONE_LAYERS) {
+      return { ...zone, cellThickness: maxThickness / MAX_ZONE_LAYERS, requestedCellThickness: cellThickness, layers: MAX_ZONE_LAYERS };
+    }
+    return { ...zone, cellThickness, layers };
+  }
+
+  return zone;
+};
+
+// Elevations of the zone.layers + 1 layer boundaries of one zone column, top to base.
+// Truncated layers collapse onto the surface they are cut by, so every column has the same
+// number of boundaries and corner-point cells stay aligned across columns.
+export const layerSurfaces = (zone, topZ, baseZ) => {
+  const levels = new Float64Array(zone.layers + 1);
+  const thickness = topZ - baseZ;
+  if (!(thickness > 0)) return levels.fill(topZ);
+
+  switch (zone.style) {
+    case 'followTop':
+      for (let k = 0; k <= zone.layers; k++) levels[k] = Math.max(topZ - k * zone.cellThickness, baseZ);
+      break;
+    case 'followBase':
+      for (let k = 0; k <= zone.layers; k++) levels[k] = Math.min(baseZ + (zone.layers - k) * zone.cellThickness, topZ);
+      break;
+    case 'fractional': {
+      const total = zone.ratios.reduce((sum, r) => sum + r, 0);
+      let cumulative = 0;
+      levels[0] = topZ;
+      zone.ratios.forEach((ratio, k) => {
+        cumulative += ratio;
+        levels[k + 1] = k === zone.ratios.length - 1 ? baseZ : topZ - thickness * cumulative / total;
+      });
+      break;
+    }
+    case 'proportional':
+    default:
+      for (let k = 0; k <= zone.layers; k++) levels[k] = topZ - k * thickness / zone.layers;
+  }
+  return levels;
+};
+
+// Measures where each zone's bounding surfaces cross and conforms them according to the zone's
+// policy. Erosion clips the lower surface to the upper one (applied top-down so the cut carries
+// into deeper zones); onlap raises the upper surface onto the lower one (applied bottom-up).
+// Crossings left after that, including every "inactive" zone, are handled by the caller.
+// The report covers only columns enabled in `columnMask` and gives its extent in world coordinates.
+export const resolveHorizonCrossings = (zones, surfaces, rotation = 0, columnMask = null) => {
+  const { dx, dy, nx, xOrigin, yOrigin } = surfaces[0];
+
+  const crossings = zones.map((zone, zoneIdx) => {
+    const upper = surfaces[zoneIdx].values;
+    const lower = surfaces[zoneIdx + 1].values;
+    const report = {
+      zone: zone.index,
+      name: zone.name,
+      policy: zone.crossing,
+      nodeCount: 0,
+      area: 0,
+      maxOverlap: 0,
+      meanOverlap: 0,
+      extent: null
+    };
+
+    for (let n = 0; n < upper.length; n++) {
+      const overlap = lower[n] - upper[n];
+      if (!(overlap > 0) || (columnMask && !columnMask[n])) continue;
+      const { x, y } = localToWorld(rotation, xOrigin + (n % nx) * dx, yOrigin + Math.floor(n / nx) * dy);
+      report.nodeCount++;
+      report.meanOverlap += overlap;
+      report.maxOverlap = Math.max(report.maxOverlap, overlap);
+      report.extent = report.extent
+        ? {
+            xMin: Math.min(report.extent.xMin, x), xMax: Math.max(report.extent.xMax, x),
+            yMin: Math.min(report.extent.yMin, y), yMax: Math.max(report.extent.yMax, y)
+          }
+        : { xMin: x, xMax: x, yMin: y, yMax: y };
+    }
+    if (report.nodeCount > 0) report.meanOverlap /= report.nodeCount;
+    report.area = report.nodeCount * dx * dy;
+    return report;
+  });
+
+  const conformed = surfaces.map(surface => ({ ...surface, values: Float64Array.from(surface.values) }));
+
+  zones.forEach((zone, zoneIdx) => {
+    if (zone.crossing !== 'erode') return;
+    const upper = conformed[zoneIdx].values;
+    const lower = conformed[zoneIdx + 1].values;
+    for (let n = 0; n < lower.length; n++) {
+      if (lower[n] > upper[n]) lower[n] = upper[n];
+    }
+  });
+
+  for (let zoneIdx = zones.length - 1; zoneIdx >= 0; zoneIdx--) {
+    if (zones[zoneIdx].crossing !== 'onlap') continue;
+    const upper = conformed[zoneIdx].values;
+    const lower = conformed[zoneIdx + 1].values;
+    for (let n = 0; n < upper.length; n++) {
+      if (upper[n] < lower[n]) upper[n] = lower[n];
+    }
+  }
+
+  return { surfaces: conformed, crossings };
+};
@@ -0,0 +1,83 @@
+// Small dense linear algebra helpers shared by the interpolation and simulation code
+
+// Solves A·x = b in place with Gaussian elimination and partial pivoting.
+// `matrix` is an array of row arrays; returns null when the system is singular.
+export const solveLinearSystem = (matrix, rhs) => {
+  const n = rhs.length;
+  const a = matrix.map(row => row.slice());
+  const b = rhs.slice();
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+
+    if (pivot !== col) {
+      [a[pivot], a[col]] = [a[col], a[pivot]];
+      [b[pivot], b[col]] = [b[col], b[pivot]];
+    }
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) a[row][k] -= factor * a[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+};
+
+// Eigen-decomposition of a symmetric 3×3 matrix by cyclic Jacobi rotations.
+// Returns eigenvalues in ascending order with matching unit eigenvectors.
+export const symmetricEigen3 = (matrix) => {
+  const a = matrix.map(row => row.slice());
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    const diagonal = Math.abs(a[0][0]) + Math.abs(a[1][1]) + Math.abs(a[2][2]);
+    if (offDiagonal <= 1e-14 * diagonal) break;
+
+    for (let p = 0; p < 2; p++) {
+      for (let q = p + 1; q < 3; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < 3; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return [0, 1, 2]
+    .map(idx => ({ value: a[idx][idx], vector: [v[0][idx], v[1][idx], v[2][idx]] }))
+    .sort((first, second) => first.value - second.value);
+};
@@ -0,0 +1,57 @@
+// Runs one file import in a dedicated worker. Cancelling terminates the worker.
+
+const createWorker = () => new Worker(
+  new URL('../workers/pointImport.worker.js', import.meta.url),
+  { type: 'module' }
+);
+
+// Bytes read on the main thread for format detection and the import preview
+export const PREVIEW_BYTES = 256 * 1024;
+
+// Start of the file as text, cut back to the last complete line when the file is longer
+export const readFileHead = async (file) => {
+  const text = await file.slice(0, PREVIEW_BYTES).text();
+  if (file.size <= PREVIEW_BYTES) return text;
+  const lastBreak = text.lastIndexOf('\n');
+  return lastBreak > 0 ? text.slice(0, lastBreak) : text;
+};
+
+export const startPointImport = ({ file, settings, onProgress, onResult, onError }) => {
+  const worker = createWorker();
+  let finished = false;
+  const finish = () => {
+    finished = true;
+    worker.terminate();
+  };
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+      case 'progress':
+        onProgress(message.percent);
+        break;
+      case 'result':
+        finish();
+        onResult(message.result);
+        break;
+      case 'error':
+        finish();
+        onError(new Error(message.message));
+        break;
+    }
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    if (finished) return;
+    finish();
+    onError(new Error(event.message || 'Import worker failed'));
+  };
+
+  worker.postMessage({ type: 'import', file, settings });
+
+  return {
+    cancel: () => {
+      if (!finished) finish();
+    }
+  };
+};
@@ -0,0 +1,159 @@
+// Column-oriented storage for horizon and fault points. Coordinates live in typed arrays, so
+// multi-million-point datasets stay compact, move between threads without copying and feed
+// the spatial index directly. `length` mirrors an array's so counts read the same either way.
+//
+//   { length, x, y, z: Float64Array, segId: Int32Array | null, attributes: { name: Float64Array } }
+
+export const createPointSet = (length, { segId = false, attributes = [] } = {}) => ({
+  length,
+  x: new Float64Array(length),
+  y: new Float64Array(length),
+  z: new Float64Array(length),
+  segId: segId ? new Int32Array(length) : null,
+  attributes: Object.fromEntries(attributes.map(name => [name, new Float64Array(length).fill(NaN)]))
+});
+
+// From an array of { x, y, z, segId?, attributes? } objects (generated or parsed data).
+// Non-numeric attribute values are stored as NaN.
+export const pointSetFromPoints = (points) => {
+  const attributeNames = [...new Set(points.flatMap(p => (p.attributes ? Object.keys(p.attributes) : [])))];
+  const set = createPointSet(points.length, {
+    segId: points.some(p => p.segId !== undefined),
+    attributes: attributeNames
+  });
+  points.forEach((p, idx) => {
+    set.x[idx] = p.x;
+    set.y[idx] = p.y;
+    set.z[idx] = p.z ?? 0;
+    if (set.segId) set.segId[idx] = p.segId ?? 0;
+    attributeNames.forEach(name => {
+      const value = p.attributes?.[name];
+      if (typeof value === 'number') set.attributes[name][idx] = value;
+    });
+  });
+  return set;
+};
+
+export const pointAt = (set, idx) => ({
+  x: set.x[idx],
+  y: set.y[idx],
+  z: set.z[idx],
+  ...(set.segId ? { segId: set.segId[idx] } : {})
+});
+
+// Every `stride`-th point as plain objects, for algorithms that only ever see a bounded sample
+export const samplePoints = (set, stride = 1) => {
+  const points = [];
+  for (let idx = 0; idx < set.length; idx += stride) points.push(pointAt(set, idx));
+  return points;
+};
+
+// Buffers to list as transferables when posting a point set between threads
+export const pointSetTransferables = (set) => [
+  set.x.buffer, set.y.buffer, set.z.buffer,
+  ...(set.segId ? [set.segId.buffer] : []),
+  ...Object.values(set.attributes).map(values => values.buffer)
+];
+
+// Growable point set for streamed imports; capacity doubles as rows arrive and the final
+// arrays are trimmed to the row count
+export const createPointSetBuilder = ({ segId = false, attributeCount = 0 } = {}) => {
+  let capacity = 0;
+  let length = 0;
+  let set = createPointSet(0, { segId, attributes: [] });
+  let attributes = [];
+
+  const grow = () => {
+    capacity = Math.max(1024, capacity * 2);
+    const copy = (Type, values) => {
+      const grown = new Type(capacity);
+      grown.set(values);
+      return grown;
+    };
+    set = {
+      ...set,
+      x: copy(Float64Array, set.x),
+      y: copy(Float64Array, set.y),
+      z: copy(Float64Array, set.z),
+      segId: set.segId && copy(Int32Array, set.segId)
+    };
+    attributes = Array.from({ length: attributeCount }, (_, a) => {
+      const grown = copy(Float64Array, attributes[a] || []);
+      grown.fill(NaN, length);
+      return grown;
+    });
+  };
+
+  return {
+    push: (x, y, z, seg = 0, attributeValues = null) => {
+      if (length === capacity) grow();
+      set.x[length] = x;
+      set.y[length] = y;
+      set.z[length] = z;
+      if (set.segId) set.segId[length] = seg;
+      if (attributeValues) attributeValues.forEach((value, a) => { attributes[a][length] = value; });
+      length++;
+    },
+    get length() {
+      return length;
+    },
+    // Attribute arrays are named once the header is known
+    build: (attributeNames = []) => ({
+      length,
+      x: set.x.slice(0, length),
+      y: set.y.slice(0, length),
+      z: set.z.slice(0, length),
+      segId: set.segId ? set.segId.slice(0, length) : null,
+      attributes: Object.fromEntries(attributeNames.map((name, a) => [name, (attributes[a] || new Float64Array(0)).slice(0, length)]))
+    })
+  };
+};
+
+export const DECIMATION_MODES = [
+  { value: 'none', label: 'Keep all points' },
+  { value: 'nth', label: 'Every Nth point' },
+  { value: 'spacing', label: 'Thin to target spacing' }
+];
+
+export const DEFAULT_DECIMATION = { mode: 'none', every: 10, spacing: 25 };
+
+// Returns keep(x, y, z) for streamed points. Spatial thinning keeps the first point in each
+// bin of the target spacing, in XY for horizons (dims 2) or XYZ for faults (dims 3).
+export const createDecimator = (decimation = DEFAULT_DECIMATION, dims = 2) => {
+  if (decimation.mode === 'nth' && decimation.every > 1) {
+    let count = 0;
+    return () => count++ % decimation.every === 0;
+  }
+  if (decimation.mode === 'spacing' && decimation.spacing > 0) {
+    const occupied = new Set();
+    const s = decimation.spacing;
+    return (x, y, z) => {
+      const key = dims === 3
+        ? `${Math.floor(x / s)},${Math.floor(y / s)},${Math.floor(z / s)}`
+        : `${Math.floor(x / s)},${Math.floor(y / s)}`;
+      if (occupied.has(key)) return false;
+      occupied.add(key);
+      return true;
+    };
+  }
+  return () => true;
+};
+
+// Decimated copy of a complete point set (gridded surfaces, which are parsed in one piece)
+export const decimatePointSet = (set, decimation, dims = 2) => {
+  const keep = createDecimator(decimation, dims);
+  const indices = [];
+  for (let idx = 0; idx < set.length; idx++) {
+    if (keep(set.x[idx], set.y[idx], set.z[idx])) indices.push(idx);
+  }
+  if (indices.length === set.length) return set;
+  const pick = (values) => values && values.constructor.from(indices, idx => values[idx]);
+  return {
+    length: indices.length,
+    x: pick(set.x),
+    y: pick(set.y),
+    z: pick(set.z),
+    segId: pick(set.segId),
+    attributes: Object.fromEntries(Object.entries(set.attributes).map(([name, values]) => [name, pick(values)]))
+  };
+};
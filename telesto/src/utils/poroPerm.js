@@ -0,0 +1,184 @@
+import { detectDelimiter, detectHeader, isDataLine, parseNumber, splitDelimitedLine } from './delimitedImport';
+import { porosityIsPercent } from './lasFile';
+import { normalDeviate } from './random';
+
+// Porosity–permeability transforms: permeability (kx, mD) from each cell's simulated porosity,
+// with ky and kz as ratios of kx. Transforms work in log10 permeability.
+//   facies     log-linear per facies, mapping its porosity range onto its permeability range
+//   logLinear  log10 k = slope · φ + intercept
+//   powerLaw   k = coefficient · φ^exponent
+//   cloud      a random pick among the data points of nearest porosity
+// The regressions add a normal residual of `scatter` (log10 units).
+
+export const PERMEABILITY_METHODS = [
+  { value: 'facies', label: 'Facies Ranges (log-linear)' },
+  { value: 'logLinear', label: 'Log-Linear Regression' },
+  { value: 'powerLaw', label: 'Power Law' },
+  { value: 'cloud', label: 'Cloud Transform' }
+];
+
+export const DEFAULT_PERMEABILITY_MODEL = {
+  method: 'facies',
+  logLinear: { slope: 20, intercept: -2.5 },
+  powerLaw: { coefficient: 50000, exponent: 3 },
+  scatter: 0.25,
+  points: null,
+  kyRatio: 1,
+  kzRatio: 0.1
+};
+
+// Data points the cloud transform draws from, nearest in porosity
+const CLOUD_NEIGHBOURS = 20;
+// Porosities below this are treated as this in the power law (log of zero)
+const MIN_POROSITY = 1e-4;
+
+const POROSITY_HEADERS = ['phie', 'phit', 'phi', 'por', 'poro', 'porosity'];
+const PERMEABILITY_HEADERS = ['perm', 'permx', 'permh', 'k', 'kh', 'klogh', 'permeability'];
+
+// Unit written in a porosity header such as "PHIE (%)" or "Porosity [v/v]"; empty if none
+const headerUnit = (header = '') => {
+  if (/%|\bpu\b/i.test(header)) return '%';
+  if (/v\/v|\bfrac|\bdec/i.test(header)) return 'V/V';
+  return '';
+};
+
+const columnOf = (headers, names) => headers.findIndex(header => header.toLowerCase().split(/[^a-z]+/).some(token => names.includes(token)));
+
+// Porosity and permeability pairs (core plugs or log samples) from delimited text. Columns are
+// found by header name, or are the first two columns; porosity in percent (by the header's unit,
+// else the median) is converted.
+export const parsePoroPermPoints = (text) => {
+  const lines = text.split(/\r?\n/).filter(isDataLine);
+  if (lines.length === 0) throw new Error('The file has no data rows');
+  const delimiter = detectDelimiter(lines);
+  const first = splitDelimitedLine(lines[0], delimiter);
+  const hasHeader = detectHeader(first);
+  let porosityColumn = 0;
+  let permeabilityColumn = 1;
+  if (hasHeader) {
+    porosityColumn = columnOf(first, POROSITY_HEADERS);
+    permeabilityColumn = columnOf(first, PERMEABILITY_HEADERS);
+    if (porosityColumn < 0 || permeabilityColumn < 0) {
+      throw new Error(`Name the columns porosity (${POROSITY_HEADERS.join(', ')}) and permeability (${PERMEABILITY_HEADERS.join(', ')})`);
+    }
+  }
+
+  const porosity = [];
+  const permeability = [];
+  let rejectedCount = 0;
+  lines.slice(hasHeader ? 1 : 0).forEach(line => {
+    const fields = splitDelimitedLine(line, delimiter);
+    const phi = parseNumber(fields[porosityColumn]);
+    const k = parseNumber(fields[permeabilityColumn]);
+    if (Number.isFinite(phi) && phi >= 0 && k > 0) {
+      porosity.push(phi);
+      permeability.push(k);
+    } else {
+      rejectedCount++;
+    }
+  });
+  if (porosity.length < 2) throw new Error('At least two rows with porosity and a positive permeability are needed');
+
+  const percent = porosityIsPercent(porosity, hasHeader ? headerUnit(first[porosityColumn]) : '');
+  return {
+    porosity: Float64Array.from(porosity, value => (percent ? value / 100 : value)),
+    permeability: Float64Array.from(permeability),
+    rejectedCount
+  };
+};
+
+// Porosity and permeability samples of the wells' logs where both are present
+export const poroPermFromWellLogs = (wells) => {
+  const porosity = [];
+  const permeability = [];
+  wells.forEach(({ log }) => {
+    if (!log?.porosity || !log.permeability) return;
+    log.porosity.forEach((phi, s) => {
+      if (Number.isFinite(phi) && log.permeability[s] > 0) {
+        porosity.push(phi);
+        permeability.push(log.permeability[s]);
+      }
+    });
+  });
+  return { porosity: Float64Array.from(porosity), permeability: Float64Array.from(permeability), rejectedCount: 0 };
+};
+
+// Least-squares line y = slope · x + intercept; null when x does not vary
+const fitLine = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return null;
+  const xMean = xs.reduce((sum, x) => sum + x, 0) / n;
+  const yMean = ys.reduce((sum, y) => sum + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  xs.forEach((x, idx) => {
+    sxy += (x - xMean) * (ys[idx] - yMean);
+    sxx += (x - xMean) * (x - xMean);
+  });
+  if (!(sxx > 0)) return null;
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+  const residual = Math.sqrt(xs.reduce((sum, x, idx) => sum + (ys[idx] - slope * x - intercept) ** 2, 0) / n);
+  return { slope, intercept, residual };
+};
+
+// Regression parameters and residual scatter fitted to data points; null if they cannot be fitted
+export const fitLogLinear = (points) => {
+  const line = fitLine(Array.from(points.porosity), Array.from(points.permeability, Math.log10));
+  return line && { logLinear: { slope: line.slope, intercept: line.intercept }, scatter: line.residual };
+};
+
+export const fitPowerLaw = (points) => {
+  const line = fitLine(Array.from(points.porosity, phi => Math.log10(Math.max(phi, MIN_POROSITY))), Array.from(points.permeability, Math.log10));
+  return line && { powerLaw: { coefficient: Math.pow(10, line.intercept), exponent: line.slope }, scatter: line.residual };
+};
+
+// Log10 permeability on the transform line at a porosity, without scatter; the cloud transform
+// has no line and is drawn with the facies ranges here
+export const transformCurve = (model, definition, porosity) => {
+  switch (model.method) {
+    case 'logLinear':
+      return model.logLinear.slope * porosity + model.logLinear.intercept;
+    case 'powerLaw':
+      return Math.log10(model.powerLaw.coefficient) + model.powerLaw.exponent * Math.log10(Math.max(porosity, MIN_POROSITY));
+    case 'facies':
+    default: {
+      const [phiMin, phiMax] = definition.porosity;
+      const [kMin, kMax] = definition.permeability.map(Math.log10);
+      const t = phiMax > phiMin ? (porosity - phiMin) / (phiMax - phiMin) : 0.5;
+      return kMin + (kMax - kMin) * t;
+    }
+  }
+};
+
+// (porosity, facies) => log10 kx, drawing scatter and cloud picks from `random`. The cloud
+// transform without data points falls back to the facies ranges.
+export const createPermeabilityTransform = (model, definitions, random) => {
+  const cloudPoints = model.method === 'cloud' && model.points?.porosity.length > 0 ? model.points : null;
+  if (cloudPoints) {
+    const order = Array.from(cloudPoints.porosity.keys()).sort((a, b) => cloudPoints.porosity[a] - cloudPoints.porosity[b]);
+    const porosity = order.map(idx => cloudPoints.porosity[idx]);
+    const logPermeability = order.map(idx => Math.log10(cloudPoints.permeability[idx]));
+    const window = Math.min(CLOUD_NEIGHBOURS, porosity.length);
+    return (phi) => {
+      // First point not below phi, then the window of nearest points around it
+      let low = 0;
+      let high = porosity.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (porosity[mid] < phi) low = mid + 1;
+        else high = mid;
+      }
+      let start = low;
+      let end = low;
+      while (end - start < window) {
+        if (start > 0 && (end >= porosity.length || phi - porosity[start - 1] <= porosity[end] - phi)) start--;
+        else end++;
+      }
+      return logPermeability[start + Math.floor(random() * (end - start))];
+    };
+  }
+
+  const curveModel = model.method === 'cloud' ? { ...model, method: 'facies' } : model;
+  return (phi, facies) => transformCurve(curveModel, definitions[facies], phi) + model.scatter * normalDeviate(random);
+};
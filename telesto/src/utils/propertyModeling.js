@@ -0,0 +1,225 @@
+import { buildSpatialIndex, kNearest } from './spatialIndex';
+import { variogramValue } from './variogram';
+import { solveLinearSystem } from './linearAlgebra';
+import { localToWorld } from './gridGeometry';
+import { cellIndex } from './cornerPoint';
+import { normalCdf, normalDeviate, normalQuantile, shuffledIndices } from './random';
+
+// Cell porosity and permeability, conditional on the cell's facies (see faciesModeling.js).
+// Porosity is a Sequential Gaussian Simulation: cells are visited along a seeded random path,
+// each drawn from the simple-kriging distribution of the cells already simulated around it, in
+// normal-score space. Blocked log values are hard data: their cells keep them, they condition
+// the simulation and their histogram is the target distribution of their facies (facies
+// without logs use their porosity range). Permeability comes from the cell's porosity through
+// a poro-perm transform, blended near the wells into an inverse-distance estimate from the hard
+// cells of the same facies, in log10 space. Every draw comes from the seeded generator, so a
+// seed reproduces the grid.
+
+// Physical bounds of the back-transform when porosity logs define the distribution
+const POROSITY_LIMITS = { min: 0, max: 0.45 };
+
+// Normal-score variogram: ranges (m) along the azimuth (degrees clockwise from grid north),
+// across it and vertically; the sill is 1 so the nugget is a fraction of the variance
+export const DEFAULT_PROPERTY_VARIOGRAM = {
+  type: 'spherical',
+  nugget: 0.1,
+  majorRange: 600,
+  minorRange: 300,
+  azimuth: 0,
+  verticalRange: 10
+};
+
+// Previously simulated cells used per kriging system
+const SGS_NEIGHBOURS = 16;
+// Search template limits: cells per direction, and offsets kept (nearest first)
+const MAX_SEARCH_REACH = 40;
+const MAX_SEARCH_OFFSETS = 2000;
+
+// Lateral distance (m) over which hard data pull permeability away from the transform
+export const HARD_DATA_RANGE = 500;
+// Vertical distances count this many times more than lateral ones (layering)
+export const VERTICAL_ANISOTROPY = 10;
+const NEIGHBOURS = 8;
+
+// Estimator for one property from hard cells { x, y, z, value }; returns null without data
+const createEstimator = (hardCells) => {
+  if (hardCells.length === 0) return null;
+  const points = {
+    length: hardCells.length,
+    x: Float64Array.from(hardCells, cell => cell.x),
+    y: Float64Array.from(hardCells, cell => cell.y),
+    z: Float64Array.from(hardCells, cell => cell.z * VERTICAL_ANISOTROPY)
+  };
+  const index = buildSpatialIndex(points, 3);
+
+  return (x, y, z, fallback) => {
+    const neighbours = kNearest(index, [x, y, z * VERTICAL_ANISOTROPY], NEIGHBOURS);
+    if (neighbours[0].distance < 1e-6) return hardCells[neighbours[0].index].value;
+    let weightSum = 0;
+    let estimate = 0;
+    neighbours.forEach(({ index: idx, distance }) => {
+      const weight = 1 / (distance * distance);
+      weightSum += weight;
+      estimate += weight * hardCells[idx].value;
+    });
+    const confidence = Math.exp(-3 * neighbours[0].distance / HARD_DATA_RANGE);
+    return confidence * (estimate / weightSum) + (1 - confidence) * fallback;
+  };
+};
+
+// `hardData` lists { x, y, z, facies, permeability } per blocked cell (NaN without a log) and
+// `transform` gives log10 permeability from porosity and facies (see poroPerm.js). Returns
+// (x, y, z, porosity, facies) => permeability for any cell: the transform, blended near the
+// wells into an estimate from the hard data of the same facies.
+export const createPermeabilityModel = (hardData, definitions, transform) => {
+  const estimators = definitions.map((_, code) => createEstimator(hardData
+    .filter(cell => cell.facies === code && cell.permeability > 0)
+    .map(cell => ({ x: cell.x, y: cell.y, z: cell.z, value: Math.log10(cell.permeability) }))));
+
+  return (x, y, z, porosity, facies) => {
+    const fromPorosity = transform(porosity, facies);
+    const estimator = estimators[facies];
+    return Math.pow(10, estimator ? estimator(x, y, z, fromPorosity) : fromPorosity);
+  };
+};
+
+// Lag in units of range: 1 on the variogram ellipsoid
+const anisotropicLag = (variogram, dx, dy, dz) => {
+  const azimuth = variogram.azimuth * Math.PI / 180;
+  const major = dx * Math.sin(azimuth) + dy * Math.cos(azimuth);
+  const minor = dx * Math.cos(azimuth) - dy * Math.sin(azimuth);
+  return Math.hypot(major / variogram.majorRange, minor / variogram.minorRange, dz / variogram.verticalRange);
+};
+
+const covariance = (variogram, h) => 1 - variogramValue({ type: variogram.type, nugget: variogram.nugget, sill: 1, range: 1 }, h);
+
+// Normal scores of the data (ties share a score) and the back-transform from normal scores to
+// data values: linear between the data quantiles, and in the tails out to half the data range
+// beyond the extremes, within `limits`
+const normalScoreTransform = (values, limits) => {
+  const order = Array.from(values.keys()).sort((a, b) => values[a] - values[b]);
+  const n = order.length;
+  const scores = new Float64Array(n);
+  for (let start = 0; start < n;) {
+    let end = start + 1;
+    while (end < n && values[order[end]] === values[order[start]]) end++;
+    const score = normalQuantile(((start + end - 1) / 2 + 0.5) / n);
+    for (let r = start; r < end; r++) scores[order[r]] = score;
+    start = end;
+  }
+
+  const sorted = order.map(idx => values[idx]);
+  const quantiles = sorted.map((_, r) => (r + 0.5) / n);
+  const tail = (sorted[n - 1] - sorted[0]) / 2;
+  const lower = Math.min(Math.max(limits.min, sorted[0] - tail), sorted[0]);
+  const upper = Math.max(Math.min(limits.max, sorted[n - 1] + tail), sorted[n - 1]);
+  const back = (z) => {
+    const p = normalCdf(z);
+    if (p <= quantiles[0]) return lower + (sorted[0] - lower) * p / quantiles[0];
+    if (p >= quantiles[n - 1]) return sorted[n - 1] + (upper - sorted[n - 1]) * (p - quantiles[n - 1]) / (1 - quantiles[n - 1]);
+    const r = Math.min(Math.floor(p * n - 0.5), n - 2);
+    return sorted[r] + (sorted[r + 1] - sorted[r]) * (p - quantiles[r]) * n;
+  };
+  return { scores, back };
+};
+
+// Structured-grid offsets inside the variogram ellipsoid, nearest first. `spacing` is the
+// nominal cell size { dx, dy, dz } and the grid rotation.
+const searchTemplate = (variogram, spacing) => {
+  const reach = Math.max(variogram.majorRange, variogram.minorRange);
+  const ei = Math.min(Math.ceil(reach / spacing.dx), MAX_SEARCH_REACH);
+  const ej = Math.min(Math.ceil(reach / spacing.dy), MAX_SEARCH_REACH);
+  const ek = Math.min(Math.ceil(variogram.verticalRange / spacing.dz), MAX_SEARCH_REACH);
+  const offsets = [];
+  for (let di = -ei; di <= ei; di++) {
+    for (let dj = -ej; dj <= ej; dj++) {
+      const { x, y } = localToWorld(spacing.rotation, di * spacing.dx, dj * spacing.dy);
+      for (let dk = -ek; dk <= ek; dk++) {
+        if (di === 0 && dj === 0 && dk === 0) continue;
+        const h = anisotropicLag(variogram, x, y, dk * spacing.dz);
+        if (h <= 1) offsets.push({ di, dj, dk, h });
+      }
+    }
+  }
+  return offsets.sort((a, b) => a.h - b.h).slice(0, MAX_SEARCH_OFFSETS);
+};
+
+// Sequential simple kriging in stratigraphic space, shared by the Gaussian and indicator
+// simulations. Returns (idx, known) => { neighbours, weights, variance }: the nearest cells
+// around cell `idx` for which `known(other)` holds, and their simple-kriging weights and variance
+// for a unit sill. No neighbours or a singular system give no weights and unit variance.
+export const createSequentialKriging = (cornerPoint, cells, variogram, spacing) => {
+  // Lags are measured in stratigraphic space (lattice offsets laterally, layers of the mean
+  // cell thickness vertically), so correlation follows the layering rather than true depth
+  const lag = (a, b) => {
+    const { x, y } = localToWorld(spacing.rotation, (a.i - b.i) * spacing.dx, (a.j - b.j) * spacing.dy);
+    return anisotropicLag(variogram, x, y, (a.k - b.k) * spacing.dz);
+  };
+  const template = searchTemplate(variogram, spacing);
+  const neighbours = [];
+
+  return (idx, known) => {
+    const cell = cells[idx];
+    neighbours.length = 0;
+    for (let t = 0; t < template.length && neighbours.length < SGS_NEIGHBOURS; t++) {
+      const { di, dj, dk } = template[t];
+      const i = cell.i + di;
+      const j = cell.j + dj;
+      const k = cell.k + dk;
+      if (i < 0 || j < 0 || k < 0 || i >= cornerPoint.nI || j >= cornerPoint.nJ || k >= cornerPoint.nK) continue;
+      const other = cornerPoint.cellPoint[cellIndex(cornerPoint, i, j, k)];
+      if (other >= 0 && known(other)) neighbours.push(other);
+    }
+    if (neighbours.length === 0) return { neighbours, weights: [], variance: 1 };
+
+    const matrix = neighbours.map(a => neighbours.map(b => (a === b ? 1 : covariance(variogram, lag(cells[a], cells[b])))));
+    const rhs = neighbours.map(n => covariance(variogram, lag(cell, cells[n])));
+    const weights = solveLinearSystem(matrix, rhs);
+    if (!weights) return { neighbours, weights: [], variance: 1 };
+    const variance = Math.min(Math.max(1 - weights.reduce((sum, w, n) => sum + w * rhs[n], 0), 0), 1);
+    return { neighbours, weights, variance };
+  };
+};
+
+// Simulated porosity per cell. `cells` are the grid cells ({ i, j, k }, indexed by
+// cornerPoint.cellPoint), `hard` their blocked porosity (NaN where there is none) and `facies`
+// their facies codes. One Gaussian field is simulated and back-transformed through each
+// facies' porosity distribution: the hard data in that facies, or else its uniform range.
+// `shift` is added to every simulated value (not to the hard data) to move the whole
+// distribution, as the Monte Carlo porosity uncertainty does.
+export const simulatePorosity = (cornerPoint, cells, hard, { facies, definitions, variogram, spacing, random, shift = 0, onProgress = () => {} }) => {
+  const scores = new Float64Array(cells.length).fill(NaN);
+  const transforms = definitions.map((definition, code) => {
+    const hardIdx = [];
+    // Log values outside the facies' porosity range would pull its histogram towards another
+    // facies; they stay in their cells but are left out of the transform and the conditioning
+    const [min, max] = definition.porosity;
+    hard.forEach((value, idx) => {
+      if (Number.isFinite(value) && facies[idx] === code && value >= min && value <= max) hardIdx.push(idx);
+    });
+    if (hardIdx.length === 0) {
+      return (z) => min + (max - min) * normalCdf(z);
+    }
+    const transform = normalScoreTransform(hardIdx.map(idx => hard[idx]), POROSITY_LIMITS);
+    hardIdx.forEach((idx, n) => {
+      scores[idx] = transform.scores[n];
+    });
+    return transform.back;
+  });
+
+  const krige = createSequentialKriging(cornerPoint, cells, variogram, spacing);
+  const known = (other) => !Number.isNaN(scores[other]);
+  const path = shuffledIndices(cells.length, random);
+  path.forEach((idx, step) => {
+    if (step % 2000 === 0) onProgress(step / cells.length);
+    if (!Number.isNaN(scores[idx])) return;
+    // Simple kriging with zero mean and unit sill
+    const { neighbours, weights, variance } = krige(idx, known);
+    const mean = weights.reduce((sum, w, n) => sum + w * scores[neighbours[n]], 0);
+    scores[idx] = mean + Math.sqrt(variance) * normalDeviate(random);
+  });
+
+  return Float64Array.from(scores, (score, idx) => (Number.isFinite(hard[idx])
+    ? hard[idx]
+    : Math.min(Math.max(transforms[facies[idx]](score) + shift, POROSITY_LIMITS.min), POROSITY_LIMITS.max)));
+};
@@ -0,0 +1,68 @@
+// Seeded random numbers for stochastic modelling. The same seed always gives the same
+// sequence, so a realization can be regenerated from the seed stored with the grid.
+
+export const MAX_SEED = 0xffffffff;
+
+// Any 32-bit unsigned integer is a valid seed, 0 included
+export const isValidSeed = (seed) => Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+
+// Fresh seed for a new realization
+export const randomSeed = () => Math.floor(Math.random() * MAX_SEED) + 1;
+
+// Mulberry32: uniform numbers in [0, 1) from a 32-bit seed
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal deviate (Box–Muller) from a uniform generator
+export const normalDeviate = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Random permutation of 0..n-1 (Fisher–Yates)
+export const shuffledIndices = (n, random) => {
+  const order = Int32Array.from({ length: n }, (_, idx) => idx);
+  for (let idx = n - 1; idx > 0; idx--) {
+    const swap = Math.floor(random() * (idx + 1));
+    [order[idx], order[swap]] = [order[swap], order[idx]];
+  }
+  return order;
+};
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+};
+
+// Inverse standard normal CDF (Acklam's rational approximation, relative error below 1.2e-9)
+const A = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+const B = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+const C = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+const D = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+const P_LOW = 0.02425;
+
+export const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < P_LOW || p > 1 - P_LOW) {
+    const q = Math.sqrt(-2 * Math.log(p < P_LOW ? p : 1 - p));
+    const z = (((((C[0] * q + C[1]) * q + C[2]) * q + C[3]) * q + C[4]) * q + C[5]) /
+      ((((D[0] * q + D[1]) * q + D[2]) * q + D[3]) * q + 1);
+    return p < P_LOW ? z : -z;
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((A[0] * r + A[1]) * r + A[2]) * r + A[3]) * r + A[4]) * r + A[5]) * q /
+    (((((B[0] * r + B[1]) * r + B[2]) * r + B[3]) * r + B[4]) * r + 1);
+};
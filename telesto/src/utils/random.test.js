@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_SEED, createRandom, isValidSeed } from './random';
+
+describe('isValidSeed', () => {
+  it('accepts every 32-bit unsigned integer, 0 included', () => {
+    [0, 1, 42, MAX_SEED].forEach(seed => expect(isValidSeed(seed)).toBe(true));
+  });
+
+  it('rejects negative, fractional, oversized and missing seeds', () => {
+    [-1, 1.5, MAX_SEED + 1, NaN, undefined].forEach(seed => expect(isValidSeed(seed)).toBe(false));
+  });
+});
+
+describe('createRandom', () => {
+  it('repeats the same sequence for seed 0', () => {
+    const first = createRandom(0);
+    const second = createRandom(0);
+    const sequence = Array.from({ length: 5 }, () => first());
+    expect(Array.from({ length: 5 }, () => second())).toEqual(sequence);
+    expect(new Set(sequence).size).toBe(5);
+  });
+});
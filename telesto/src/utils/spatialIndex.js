@@ -0,0 +1,165 @@
+// Static k-d tree over horizon or fault point sets (see pointSet.js).
+// The tree is stored implicitly in flat typed arrays (median of each range at its middle
+// slot), so it can be built once at load time and handed to a worker unchanged.
+// Queries return indices into the original point array.
+
+const swapItems = (ids, coords, dims, a, b) => {
+  const id = ids[a];
+  ids[a] = ids[b];
+  ids[b] = id;
+  for (let d = 0; d < dims; d++) {
+    const value = coords[a * dims + d];
+    coords[a * dims + d] = coords[b * dims + d];
+    coords[b * dims + d] = value;
+  }
+};
+
+// Hoare-style quickselect: puts the k-th smallest item along `axis` at slot k (right inclusive)
+const selectMedian = (ids, coords, dims, k, left, right, axis) => {
+  while (right > left) {
+    const pivot = coords[k * dims + axis];
+    let i = left;
+    let j = right;
+
+    swapItems(ids, coords, dims, left, k);
+    if (coords[right * dims + axis] > pivot) swapItems(ids, coords, dims, left, right);
+
+    while (i < j) {
+      swapItems(ids, coords, dims, i, j);
+      i++;
+      j--;
+      while (coords[i * dims + axis] < pivot) i++;
+      while (coords[j * dims + axis] > pivot) j--;
+    }
+
+    if (coords[left * dims + axis] === pivot) {
+      swapItems(ids, coords, dims, left, j);
+    } else {
+      j++;
+      swapItems(ids, coords, dims, j, right);
+    }
+
+    if (j <= k) left = j + 1;
+    if (k <= j) right = j - 1;
+  }
+};
+
+const AXES = ['x', 'y', 'z'];
+
+export const buildSpatialIndex = (points, dims = 2) => {
+  const size = points.length;
+  const ids = new Uint32Array(size);
+  const coords = new Float64Array(size * dims);
+  const bounds = { xMin: Infinity, xMax: -Infinity, yMin: Infinity, yMax: -Infinity, zMin: Infinity, zMax: -Infinity };
+
+  for (let idx = 0; idx < size; idx++) {
+    const x = points.x[idx];
+    const y = points.y[idx];
+    const z = points.z[idx];
+    ids[idx] = idx;
+    for (let d = 0; d < dims; d++) coords[idx * dims + d] = points[AXES[d]][idx];
+    bounds.xMin = Math.min(bounds.xMin, x); bounds.xMax = Math.max(bounds.xMax, x);
+    bounds.yMin = Math.min(bounds.yMin, y); bounds.yMax = Math.max(bounds.yMax, y);
+    bounds.zMin = Math.min(bounds.zMin, z); bounds.zMax = Math.max(bounds.zMax, z);
+  }
+
+  const stack = [[0, size - 1, 0]];
+  while (stack.length) {
+    const [left, right, depth] = stack.pop();
+    if (right <= left) continue;
+    const mid = (left + right) >> 1;
+    selectMedian(ids, coords, dims, mid, left, right, depth % dims);
+    stack.push([left, mid - 1, depth + 1]);
+    stack.push([mid + 1, right, depth + 1]);
+  }
+
+  return { dims, size, ids, coords, bounds };
+};
+
+const squaredDistance = (index, slot, query) => {
+  let sum = 0;
+  for (let d = 0; d < index.dims; d++) {
+    const diff = index.coords[slot * index.dims + d] - query[d];
+    sum += diff * diff;
+  }
+  return sum;
+};
+
+// k nearest points to `query` ([x, y] or [x, y, z]), closest first
+export const kNearest = (index, query, k) => {
+  const bestIds = [];
+  const bestDistances = [];
+  if (!index || index.size === 0 || k <= 0) return [];
+
+  const consider = (slot, distance) => {
+    if (bestIds.length === k && distance >= bestDistances[k - 1]) return;
+    let pos = bestIds.length === k ? k - 1 : bestIds.length;
+    while (pos > 0 && bestDistances[pos - 1] > distance) {
+      bestIds[pos] = bestIds[pos - 1];
+      bestDistances[pos] = bestDistances[pos - 1];
+      pos--;
+    }
+    bestIds[pos] = index.ids[slot];
+    bestDistances[pos] = distance;
+  };
+
+  const search = (left, right, depth) => {
+    if (right < left) return;
+    const mid = (left + right) >> 1;
+    consider(mid, squaredDistance(index, mid, query));
+
+    const axis = depth % index.dims;
+    const diff = query[axis] - index.coords[mid * index.dims + axis];
+    if (diff < 0) {
+      search(left, mid - 1, depth + 1);
+      if (bestIds.length < k || diff * diff < bestDistances[bestIds.length - 1]) search(mid + 1, right, depth + 1);
+    } else {
+      search(mid + 1, right, depth + 1);
+      if (bestIds.length < k || diff * diff < bestDistances[bestIds.length - 1]) search(left, mid - 1, depth + 1);
+    }
+  };
+
+  search(0, index.size - 1, 0);
+  return bestIds.map((id, idx) => ({ index: id, distance: Math.sqrt(bestDistances[idx]) }));
+};
+
+// Every point within `radius` of `query`, in no particular order
+export const withinRadius = (index, query, radius) => {
+  const results = [];
+  if (!index || index.size === 0) return results;
+  const radiusSquared = radius * radius;
+
+  const stack = [[0, index.size - 1, 0]];
+  while (stack.length) {
+    const [left, right, depth] = stack.pop();
+    if (right < left) continue;
+    const mid = (left + right) >> 1;
+
+    const distance = squaredDistance(index, mid, query);
+    if (distance <= radiusSquared) results.push({ index: index.ids[mid], distance: Math.sqrt(distance) });
+
+    const axis = depth % index.dims;
+    const diff = query[axis] - index.coords[mid * index.dims + axis];
+    if (diff - radius <= 0) stack.push([left, mid - 1, depth + 1]);
+    if (diff + radius >= 0) stack.push([mid + 1, right, depth + 1]);
+  }
+
+  return results;
+};
+
+// Attaches an index to a horizon (2D) or fault (3D) dataset and records how long it took
+export const withSpatialIndex = (dataset, dims = 2) => {
+  const start = performance.now();
+  const index = buildSpatialIndex(dataset.points, dims);
+  return { ...dataset, index, indexBuildMs: performance.now() - start };
+};
+
+// Union of the bounds of several indexed datasets
+export const combinedBounds = (datasets) => datasets.reduce((bounds, dataset) => ({
+  xMin: Math.min(bounds.xMin, dataset.index.bounds.xMin),
+  xMax: Math.max(bounds.xMax, dataset.index.bounds.xMax),
+  yMin: Math.min(bounds.yMin, dataset.index.bounds.yMin),
+  yMax: Math.max(bounds.yMax, dataset.index.bounds.yMax),
+  zMin: Math.min(bounds.zMin, dataset.index.bounds.zMin),
+  zMax: Math.max(bounds.zMax, dataset.index.bounds.zMax)
+}), { xMin: Infinity, xMax: -Infinity, yMin: Infinity, yMax: -Infinity, zMin: Infinity, zMax: -Infinity });
@@ -0,0 +1,171 @@
+import { gridNodeToWorld, localToWorld, worldToLocal } from './gridGeometry';
+
+// Readers and writers for regular gridded surface formats used by mapping packages: ZMap+
+// and IRAP classic ASCII (also written by ROXAR), plus plain XYZ. The readers produce
+// scattered { x, y, z } points with null nodes left out, ready to be indexed like any other
+// horizon. The writers take a grid's horizon surface (node values, NaN for null) and the
+// areal geometry it was computed on.
+
+export const IRAP_NULL = 9999900;
+export const ZMAP_NULL = 1e30;
+
+export const SURFACE_EXPORT_FORMATS = [
+  { value: 'zmap', label: 'ZMap+ grid', extension: 'zmap' },
+  { value: 'irap', label: 'IRAP classic ASCII', extension: 'irap' },
+  { value: 'xyz', label: 'XYZ points', extension: 'xyz' }
+];
+
+const numbers = (text) => text.trim().split(/[\s,]+/).filter(Boolean).map(Number);
+
+// Looks at the content only: ZMap+ has an '@... GRID' header block, IRAP classic starts with -996
+export const detectSurfaceFormat = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('!'));
+  if (lines.length === 0) return 'csv';
+  if (lines[0].startsWith('@') && /\bGRID\b/i.test(lines[0])) return 'zmap';
+  const first = numbers(lines[0]);
+  if (first.length === 4 && first[0] === -996) return 'irap';
+  return 'csv';
+};
+
+// ZMap+ header: "@name, GRID, perLine", then field width, null value(s), decimals, start column,
+// then rows, columns, xMin, xMax, yMin, yMax, then a line of zeros and a closing '@'.
+// Values run down each column from the north (yMax) edge, columns from west to east.
+export const parseZmap = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('!'));
+  const headerStart = lines.findIndex(line => line.trim().startsWith('@'));
+  const headerEnd = lines.findIndex((line, idx) => idx > headerStart && line.trim().startsWith('@'));
+  if (headerStart < 0 || headerEnd < 0) throw new Error('ZMap+ header is not terminated by "@"');
+
+  const headerFields = lines.slice(headerStart + 1, headerEnd).join(',').split(',').map(f => f.trim());
+  // Second header line: field width, null value, alternate null (often blank), decimals, start column
+  const nullValues = [headerFields[1], headerFields[2]]
+    .filter(value => value !== '' && value !== undefined)
+    .map(Number)
+    .filter(Number.isFinite);
+  const [rows, cols, xMin, xMax, yMin, yMax] = headerFields.slice(5, 11).map(Number);
+  if (![rows, cols, xMin, xMax, yMin, yMax].every(Number.isFinite) || rows < 2 || cols < 2) {
+    throw new Error('ZMap+ header does not describe a valid grid');
+  }
+
+  const values = numbers(lines.slice(headerEnd + 1).join(' '));
+  if (values.length < rows * cols) {
+    throw new Error(`ZMap+ grid needs ${rows * cols} values but the file has ${values.length}`);
+  }
+
+  const dx = (xMax - xMin) / (cols - 1);
+  const dy = (yMax - yMin) / (rows - 1);
+  const isNull = (value) => !Number.isFinite(value) || nullValues.some(n => Math.abs(value - n) <= Math.abs(n) * 1e-9);
+  const points = [];
+  for (let col = 0; col < cols; col++) {
+    for (let row = 0; row < rows; row++) {
+      const z = values[col * rows + row];
+      if (isNull(z)) continue;
+      points.push({ x: xMin + col * dx, y: yMax - row * dy, z });
+    }
+  }
+  return points;
+};
+
+// IRAP classic ASCII: "-996 ny xinc yinc", "xmin xmax ymin ymax", "nx rotation xori yori",
+// seven unused values, then the grid row by row from the origin, x fastest. Rotation is
+// counter-clockwise in degrees about the origin.
+export const parseIrap = (text) => {
+  const values = numbers(text);
+  if (values.length < 19 || values[0] !== -996) throw new Error('Not an IRAP classic ASCII grid');
+
+  const [, ny, xinc, yinc, , , , , nx, rotation, xori, yori] = values;
+  const data = values.slice(19);
+  if (!(nx >= 2 && ny >= 2) || data.length < nx * ny) {
+    throw new Error(`IRAP grid needs ${nx * ny} values but the file has ${data.length}`);
+  }
+
+  const origin = worldToLocal(rotation, xori, yori);
+  const points = [];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const z = data[j * nx + i];
+      if (!Number.isFinite(z) || z >= IRAP_NULL) continue;
+      const { x, y } = localToWorld(rotation, origin.u + i * xinc, origin.v + j * yinc);
+      points.push({ x, y, z });
+    }
+  }
+  return points;
+};
+
+export const parseGriddedSurface = (text, format = detectSurfaceFormat(text)) => {
+  if (format === 'zmap') return parseZmap(text);
+  if (format === 'irap') return parseIrap(text);
+  throw new Error('Unrecognised surface grid format');
+};
+
+const formatValue = (value) => value.toFixed(4);
+
+// Node values in lines of `perLine`
+const valueLines = (values, perLine, separator = ' ') => {
+  const lines = [];
+  for (let n = 0; n < values.length; n += perLine) lines.push(values.slice(n, n + perLine).join(separator));
+  return lines;
+};
+
+// ZMap+ values are fixed-width fields of the width declared in the header
+const ZMAP_FIELD_WIDTH = 15;
+
+// ZMap+ has no rotation, so only unrotated grids can be written
+export const toZmap = (surface, geometry) => {
+  if (geometry.rotation % 360 !== 0) throw new Error('ZMap+ cannot store a rotated grid; use IRAP or XYZ');
+  const { originX, originY, di, dj, nI, nJ } = geometry;
+  const perLine = 5;
+  const name = surface.name.replace(/[,@]/g, '_');
+
+  const lines = [
+    `! Surface ${surface.name} exported from Telesto on ${new Date().toISOString()}`,
+    `@${name}, GRID, ${perLine}`,
+    `${ZMAP_FIELD_WIDTH}, ${ZMAP_NULL.toExponential()}, , 4, 1`,
+    `${nJ}, ${nI}, ${originX}, ${originX + (nI - 1) * di}, ${originY}, ${originY + (nJ - 1) * dj}`,
+    '0.0, 0.0, 0.0',
+    '@'
+  ];
+  // Each column starts on a new line, read from the north edge down
+  for (let i = 0; i < nI; i++) {
+    const column = [];
+    for (let j = nJ - 1; j >= 0; j--) {
+      const value = surface.values[j * nI + i];
+      column.push((Number.isFinite(value) ? formatValue(value) : ZMAP_NULL.toExponential()).padStart(ZMAP_FIELD_WIDTH));
+    }
+    lines.push(...valueLines(column, perLine, ''));
+  }
+  return lines.join('\n') + '\n';
+};
+
+// The IRAP bounding box is the unrotated extent measured from the origin
+export const toIrap = (surface, geometry) => {
+  const { originX, originY, di, dj, rotation, nI, nJ } = geometry;
+  const values = Array.from(surface.values, value => Number.isFinite(value) ? formatValue(value) : IRAP_NULL.toFixed(4));
+  return [
+    `-996 ${nJ} ${di} ${dj}`,
+    `${originX} ${originX + (nI - 1) * di} ${originY} ${originY + (nJ - 1) * dj}`,
+    `${nI} ${rotation} ${originX} ${originY}`,
+    '0 0 0 0 0 0 0',
+    ...valueLines(values, 6)
+  ].join('\n') + '\n';
+};
+
+// One line per non-null node
+export const toXyz = (surface, geometry) => {
+  const lines = [];
+  for (let j = 0; j < geometry.nJ; j++) {
+    for (let i = 0; i < geometry.nI; i++) {
+      const value = surface.values[j * geometry.nI + i];
+      if (!Number.isFinite(value)) continue;
+      const { x, y } = gridNodeToWorld(geometry, i, j);
+      lines.push(`${x.toFixed(3)} ${y.toFixed(3)} ${formatValue(value)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+};
+
+export const writeGriddedSurface = (surface, geometry, format) => {
+  if (format === 'zmap') return toZmap(surface, geometry);
+  if (format === 'irap') return toIrap(surface, geometry);
+  return toXyz(surface, geometry);
+};
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { parseZmap, toZmap } from './surfaceFormats';
+
+const geometry = { originX: 1000, originY: 2000, di: 50, dj: 25, nI: 3, nJ: 7, rotation: 0 };
+const surface = {
+  name: 'Top',
+  values: Float64Array.from({ length: 21 }, (_, n) => (n === 4 ? NaN : -1500 - n * 12.5))
+};
+
+describe('toZmap', () => {
+  it('writes every value and null in a 15-character field, five to a line', () => {
+    const lines = toZmap(surface, geometry).trimEnd().split('\n');
+    const valueLines = lines.slice(lines.lastIndexOf('@') + 1);
+    // Seven values per column: a full line of five, then a line of two
+    expect(valueLines.map(line => line.length)).toEqual([75, 30, 75, 30, 75, 30]);
+    // Columns start at the north edge
+    expect(valueLines[0].slice(0, 15)).toBe('     -1725.0000');
+    expect(valueLines.join('')).toContain('          1e+30');
+  });
+
+  it('reads back what it writes', () => {
+    const points = parseZmap(toZmap(surface, geometry));
+    expect(points).toHaveLength(20);
+    expect(points).toContainEqual({ x: 1000, y: 2000, z: -1500 });
+    expect(points).toContainEqual({ x: 1100, y: 2150, z: -1750 });
+  });
+});
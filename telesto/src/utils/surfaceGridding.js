@@ -0,0 +1,337 @@
+import { solveLinearSystem } from './linearAlgebra';
+import { interpolateAt } from './interpolation';
+import { samplePoints } from './pointSet';
+
+// Regular gridded surfaces built from scattered horizon points (a point set, see pointSet.js).
+// A surface is { xOrigin, yOrigin, dx, dy, nx, ny, values, variance } with values stored
+// row by row (x fastest); NaN marks an undefined node.
+
+// Methods that grid the whole surface at once and take tension/limit settings
+export const CONVERGENT_METHODS = ['minimumCurvature', 'thinPlateSpline'];
+
+export const GRIDDING_DEFAULTS = {
+  tension: 0.25,
+  boundaryTension: 0,
+  smoothing: 0,
+  limits: 'data',
+  maxIterations: 250,
+  maxControlPoints: 1000
+};
+
+export const createSurfaceLattice = (bounds, dx, dy = dx) => ({
+  xOrigin: bounds.xMin,
+  yOrigin: bounds.yMin,
+  dx,
+  dy,
+  nx: Math.floor((bounds.xMax - bounds.xMin) / dx + 1e-9) + 1,
+  ny: Math.floor((bounds.yMax - bounds.yMin) / dy + 1e-9) + 1
+});
+
+export const surfaceValue = (surface, i, j) => surface.values[j * surface.nx + i];
+
+// Bilinear sample at world coordinates; returns NaN outside the lattice
+export const sampleSurface = (surface, x, y) => {
+  const fx = (x - surface.xOrigin) / surface.dx;
+  const fy = (y - surface.yOrigin) / surface.dy;
+  if (fx < -1e-9 || fy < -1e-9 || fx > surface.nx - 1 + 1e-9 || fy > surface.ny - 1 + 1e-9) return NaN;
+
+  const i = Math.min(Math.max(Math.floor(fx), 0), Math.max(surface.nx - 2, 0));
+  const j = Math.min(Math.max(Math.floor(fy), 0), Math.max(surface.ny - 2, 0));
+  const tx = Math.min(Math.max(fx - i, 0), 1);
+  const ty = Math.min(Math.max(fy - j, 0), 1);
+  const i1 = Math.min(i + 1, surface.nx - 1);
+  const j1 = Math.min(j + 1, surface.ny - 1);
+
+  const z00 = surfaceValue(surface, i, j);
+  const z10 = surfaceValue(surface, i1, j);
+  const z01 = surfaceValue(surface, i, j1);
+  const z11 = surfaceValue(surface, i1, j1);
+  return (z00 * (1 - tx) + z10 * tx) * (1 - ty) + (z01 * (1 - tx) + z11 * tx) * ty;
+};
+
+const valueLimits = (points, limits) => {
+  if (limits !== 'data') return { lower: -Infinity, upper: Infinity };
+  let lower = Infinity;
+  let upper = -Infinity;
+  points.z.forEach(z => {
+    lower = Math.min(lower, z);
+    upper = Math.max(upper, z);
+  });
+  return { lower, upper };
+};
+
+const clamp = (value, { lower, upper }) => Math.min(Math.max(value, lower), upper);
+
+// ---------------------------------------------------------------------------
+// Minimum curvature with tension (Briggs 1974; Smith & Wessel 1990):
+//   (1 - T)∇⁴z - T∇²z = 0 away from data, solved by Gauss-Seidel on a cascade of
+//   coarse-to-fine lattices. Edges use (1 - Tb)∂²z/∂n² + Tb∂z/∂n = 0 through ghost nodes.
+// ---------------------------------------------------------------------------
+
+const solveMinimumCurvature = (grid, fixed, nx, ny, dx, dy, options, limits) => {
+  const { tension, boundaryTension, maxIterations } = options;
+  const bt = boundaryTension;
+
+  // Ghost nodes outside the lattice blend linear extrapolation (zero curvature, Tb = 0)
+  // with reflection about the edge (zero slope, Tb = 1)
+  const edgeGhost = (z0, z1, z2, depth) => (depth === 1
+    ? (1 - bt) * (2 * z0 - z1) + bt * z1
+    : (1 - bt) * (3 * z0 - 2 * z1) + bt * z2);
+  const at = (i, j) => {
+    if (i < 0) return edgeGhost(at(0, j), at(1, j), at(2, j), -i);
+    if (i >= nx) return edgeGhost(at(nx - 1, j), at(nx - 2, j), at(nx - 3, j), i - nx + 1);
+    if (j < 0) return edgeGhost(at(i, 0), at(i, 1), at(i, 2), -j);
+    if (j >= ny) return edgeGhost(at(i, ny - 1), at(i, ny - 2), at(i, ny - 3), j - ny + 1);
+    return grid[j * nx + i];
+  };
+
+  const ax = 1 / (dx * dx);
+  const ay = 1 / (dy * dy);
+  const cxxxx = ax * ax;
+  const cyyyy = ay * ay;
+  const cxxyy = 2 * ax * ay;
+  const t1 = 1 - tension;
+  const diagonal = t1 * (6 * cxxxx + 6 * cyyyy + 4 * cxxyy) + tension * (2 * ax + 2 * ay);
+
+  let range = 0;
+  for (let k = 0; k < grid.length; k++) range = Math.max(range, Math.abs(grid[k]));
+  const tolerance = Math.max(range, 1) * 1e-6;
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let maxChange = 0;
+
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) {
+        const idx = j * nx + i;
+        if (fixed[idx]) continue;
+
+        const e = at(i + 1, j), w = at(i - 1, j), n = at(i, j + 1), s = at(i, j - 1);
+        const ee = at(i + 2, j), ww = at(i - 2, j), nn = at(i, j + 2), ss = at(i, j - 2);
+        const ne = at(i + 1, j + 1), nw = at(i - 1, j + 1), se = at(i + 1, j - 1), sw = at(i - 1, j - 1);
+
+        // Off-diagonal part of (1 - T)∇⁴z - T∇²z
+        const biharmonic = cxxxx * (ee - 4 * e - 4 * w + ww)
+          + cyyyy * (nn - 4 * n - 4 * s + ss)
+          + cxxyy * (ne + nw + se + sw - 2 * (e + w + n + s));
+        const laplacian = ax * (e + w) + ay * (n + s);
+        const updated = clamp(-(t1 * biharmonic - tension * laplacian) / diagonal, limits);
+
+        maxChange = Math.max(maxChange, Math.abs(updated - grid[idx]));
+        grid[idx] = updated;
+      }
+    }
+
+    if (maxChange < tolerance) break;
+  }
+};
+
+// Pins each lattice node nearest to a control point to the mean value of those points
+const assignConstraints = (points, xOrigin, yOrigin, nx, ny, dx, dy, offsets) => {
+  const sums = new Float64Array(nx * ny);
+  const counts = new Uint32Array(nx * ny);
+  for (let idx = 0; idx < points.length; idx++) {
+    const i = Math.round((points.x[idx] - xOrigin) / dx);
+    const j = Math.round((points.y[idx] - yOrigin) / dy);
+    if (i < 0 || i >= nx || j < 0 || j >= ny) continue;
+    sums[j * nx + i] += points.z[idx] + (offsets ? offsets[idx] : 0);
+    counts[j * nx + i]++;
+  }
+  return { sums, counts };
+};
+
+export const minimumCurvatureSurface = (points, lattice, options = {}) => {
+  const settings = { ...GRIDDING_DEFAULTS, ...options };
+  const onProgress = options.onProgress || (() => {});
+  const { nx, ny, dx, dy, xOrigin, yOrigin } = lattice;
+  const limits = valueLimits(points, settings.limits);
+  const mean = points.z.reduce((sum, z) => sum + z, 0) / points.length;
+
+  // Coarsest level first, each subsequent level halves the node spacing
+  let levels = 0;
+  while (levels < 6 && Math.min(nx, ny) >> (levels + 1) >= 4) levels++;
+
+  let previous = null;
+  let offsets = null;
+  for (let level = levels; level >= 0; level--) {
+    const step = 1 << level;
+    const lnx = Math.floor((nx - 1) / step) + 1;
+    const lny = Math.floor((ny - 1) / step) + 1;
+    const ldx = dx * step;
+    const ldy = dy * step;
+    const grid = new Float64Array(lnx * lny);
+
+    for (let j = 0; j < lny; j++) {
+      for (let i = 0; i < lnx; i++) {
+        // Coarser levels may stop short of the far edges, so sample them clamped
+        grid[j * lnx + i] = previous
+          ? sampleSurface(
+            previous,
+            Math.min(xOrigin + i * ldx, xOrigin + (previous.nx - 1) * previous.dx),
+            Math.min(yOrigin + j * ldy, yOrigin + (previous.ny - 1) * previous.dy)
+          )
+          : mean;
+      }
+    }
+
+    // On the finest level repeat the solve, shifting the pinned values by the misfit
+    // at the true (off-node) control point positions
+    const passes = level === 0 ? 3 : 1;
+    for (let pass = 0; pass < passes; pass++) {
+      const { sums, counts } = assignConstraints(points, xOrigin, yOrigin, lnx, lny, ldx, ldy, offsets);
+      const fixed = new Uint8Array(lnx * lny);
+      for (let k = 0; k < grid.length; k++) {
+        if (counts[k] > 0) {
+          grid[k] = clamp(sums[k] / counts[k], limits);
+          fixed[k] = 1;
+        }
+      }
+
+      solveMinimumCurvature(grid, fixed, lnx, lny, ldx, ldy, settings, limits);
+
+      if (level === 0) {
+        const current = { xOrigin, yOrigin, dx: ldx, dy: ldy, nx: lnx, ny: lny, values: grid };
+        offsets = Float64Array.from({ length: points.length }, (_, idx) => {
+          const misfit = points.z[idx] - sampleSurface(current, points.x[idx], points.y[idx]);
+          return (offsets ? offsets[idx] : 0) + (isNaN(misfit) ? 0 : misfit);
+        });
+      }
+    }
+
+    previous = { xOrigin, yOrigin, dx: ldx, dy: ldy, nx: lnx, ny: lny, values: grid };
+    onProgress((levels - level + 1) / (levels + 1));
+  }
+
+  return { ...lattice, values: previous.values, variance: null };
+};
+
+// ---------------------------------------------------------------------------
+// Thin-plate spline, or the regularised spline with tension (Mitasova & Mitas 1993)
+// when tension > 0. Coordinates are normalised to the unit box for conditioning.
+// ---------------------------------------------------------------------------
+
+const EULER_GAMMA = 0.5772156649015329;
+
+// Exponential integral E1(x) for x > 0 (series below 1, Abramowitz & Stegun 5.1.56 above)
+const exponentialIntegral = (x) => {
+  if (x <= 1) {
+    let sum = 0;
+    let term = 1;
+    for (let k = 1; k <= 30; k++) {
+      term *= -x / k;
+      sum -= term / k;
+      if (Math.abs(term) < 1e-16) break;
+    }
+    return -EULER_GAMMA - Math.log(x) + sum;
+  }
+  const numerator = x * x + 2.334733 * x + 0.250621;
+  const denominator = x * x + 3.330657 * x + 1.681534;
+  return numerator / (denominator * x * Math.exp(x));
+};
+
+const splineBasis = (r, phi) => {
+  if (r <= 0) return 0;
+  if (phi <= 0) return r * r * Math.log(r);
+  const rho = (phi * r / 2) ** 2;
+  return -(exponentialIntegral(rho) + Math.log(rho) + EULER_GAMMA);
+};
+
+export const thinPlateSplineSurface = (points, lattice, options = {}) => {
+  const settings = { ...GRIDDING_DEFAULTS, ...options };
+  const onProgress = options.onProgress || (() => {});
+  const limits = valueLimits(points, settings.limits);
+
+  // Very large inputs are thinned with a fixed stride to keep the dense solve tractable
+  const stride = Math.max(1, Math.ceil(points.length / settings.maxControlPoints));
+  const controls = samplePoints(points, stride);
+  const n = controls.length;
+
+  const xMin = Math.min(...controls.map(p => p.x));
+  const yMin = Math.min(...controls.map(p => p.y));
+  const scale = Math.max(
+    Math.max(...controls.map(p => p.x)) - xMin,
+    Math.max(...controls.map(p => p.y)) - yMin,
+    1e-9
+  );
+  const nodes = controls.map(p => ({ u: (p.x - xMin) / scale, v: (p.y - yMin) / scale, z: p.z }));
+  const phi = settings.tension * 40;
+
+  const matrix = [];
+  for (let i = 0; i < n; i++) {
+    const row = new Array(n + 3);
+    for (let j = 0; j < n; j++) {
+      row[j] = splineBasis(Math.hypot(nodes[i].u - nodes[j].u, nodes[i].v - nodes[j].v), phi);
+    }
+    row[i] += settings.smoothing;
+    row[n] = 1;
+    row[n + 1] = nodes[i].u;
+    row[n + 2] = nodes[i].v;
+    matrix.push(row);
+  }
+  matrix.push([...nodes.map(() => 1), 0, 0, 0]);
+  matrix.push([...nodes.map(p => p.u), 0, 0, 0]);
+  matrix.push([...nodes.map(p => p.v), 0, 0, 0]);
+
+  const weights = solveLinearSystem(matrix, [...nodes.map(p => p.z), 0, 0, 0]);
+  if (!weights) {
+    // Degenerate (e.g. collinear) control points cannot support the affine term
+    return { ...interpolatedSurface(points, lattice, { method: 'idw', index: options.index, onProgress }), method: 'idw' };
+  }
+
+  const values = new Float64Array(lattice.nx * lattice.ny);
+  for (let j = 0; j < lattice.ny; j++) {
+    for (let i = 0; i < lattice.nx; i++) {
+      const u = (lattice.xOrigin + i * lattice.dx - xMin) / scale;
+      const v = (lattice.yOrigin + j * lattice.dy - yMin) / scale;
+      let z = weights[n] + weights[n + 1] * u + weights[n + 2] * v;
+      for (let k = 0; k < n; k++) {
+        z += weights[k] * splineBasis(Math.hypot(u - nodes[k].u, v - nodes[k].v), phi);
+      }
+      values[j * lattice.nx + i] = clamp(z, limits);
+    }
+    onProgress((j + 1) / lattice.ny);
+  }
+
+  return { ...lattice, values, variance: null };
+};
+
+// Point-wise methods (IDW, kriging) evaluated at every lattice node
+const interpolatedSurface = (points, lattice, options) => {
+  const values = new Float64Array(lattice.nx * lattice.ny);
+  const variance = options.method === 'kriging' ? new Float64Array(lattice.nx * lattice.ny) : null;
+
+  for (let j = 0; j < lattice.ny; j++) {
+    for (let i = 0; i < lattice.nx; i++) {
+      const estimate = interpolateAt(lattice.xOrigin + i * lattice.dx, lattice.yOrigin + j * lattice.dy, points, options);
+      values[j * lattice.nx + i] = estimate.z;
+      if (variance) variance[j * lattice.nx + i] = estimate.variance ?? 0;
+    }
+    if (options.onProgress) options.onProgress((j + 1) / lattice.ny);
+  }
+
+  return { ...lattice, values, variance };
+};
+
+// Method actually used on a lattice: the convergent methods need at least a 3 × 3 lattice for
+// their stencils and fall back to IDW below that; the point-wise methods work on any lattice
+export const griddingMethodFor = (method, lattice) => (
+  CONVERGENT_METHODS.includes(method) && (lattice.nx < 3 || lattice.ny < 3) ? 'idw' : method
+);
+
+// Grids a horizon onto the lattice with the selected method; `onProgress` receives the
+// completed fraction. The surface records the method used (see griddingMethodFor); a thin-plate
+// spline whose control points are degenerate falls back to IDW and records that instead.
+export const buildGriddedSurface = (points, lattice, options = {}) => {
+  const method = griddingMethodFor(options.method, lattice);
+  if (points.length === 0) {
+    return { ...lattice, values: new Float64Array(lattice.nx * lattice.ny).fill(NaN), variance: null, method };
+  }
+
+  switch (method) {
+    case 'minimumCurvature':
+      return { ...minimumCurvatureSurface(points, lattice, options), method };
+    case 'thinPlateSpline':
+      return { method, ...thinPlateSplineSurface(points, lattice, options) };
+    default:
+      return { ...interpolatedSurface(points, lattice, { ...options, method }), method };
+  }
+};
@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { buildGriddedSurface } from './surfaceGridding';
+import { pointSetFromPoints } from './pointSet';
+
+const lattice = { xOrigin: 0, yOrigin: 0, dx: 100, dy: 100, nx: 5, ny: 5 };
+
+describe('buildGriddedSurface', () => {
+  it('records IDW when a thin-plate spline cannot be fitted to collinear points', () => {
+    const points = pointSetFromPoints([0, 100, 200, 300, 400].map(x => ({ x, y: 200, z: -1000 - x / 10 })));
+    const surface = buildGriddedSurface(points, lattice, { method: 'thinPlateSpline' });
+    expect(surface.method).toBe('idw');
+    expect(surface.values.every(Number.isFinite)).toBe(true);
+  });
+
+  it('records the thin-plate spline when it fits', () => {
+    const points = pointSetFromPoints([[0, 0], [400, 0], [0, 400], [400, 400], [200, 100]].map(([x, y]) => ({ x, y, z: -1000 - x / 10 + y / 20 })));
+    expect(buildGriddedSurface(points, lattice, { method: 'thinPlateSpline' }).method).toBe('thinPlateSpline');
+  });
+});
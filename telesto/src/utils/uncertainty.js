@@ -0,0 +1,224 @@
+import { generateGeologicalGrid } from './gridGeneration';
+import { MAX_SEED, createRandom, normalQuantile } from './random';
+import { withSpatialIndex } from './spatialIndex';
+import { computeVolumetrics } from './volumetrics';
+
+// Monte Carlo volumetric uncertainty. Each realization draws the uncertain inputs from their
+// distributions, regenerates the grid with them and keeps only its in-place volumes.
+// Distributions are given by low, base and high values:
+//   fixed       the current value from the volumetrics panel (no contact if none is set)
+//   uniform     between low and high
+//   triangular  from low to high with its mode at base
+//   normal      mean at base, with low and high at its 10th and 90th percentiles
+// Percentiles follow the reserves convention: P90 is the low case, exceeded by 90% of the
+// realizations, and P10 the high case. The tornado runs the base case once, then each
+// uncertain input alone at the 10th and 90th percentile of its distribution.
+
+export const DISTRIBUTION_TYPES = [
+  { value: 'fixed', label: 'Fixed' },
+  { value: 'uniform', label: 'Uniform' },
+  { value: 'triangular', label: 'Triangular' },
+  { value: 'normal', label: 'Normal' }
+];
+
+// `spread` sets low and high around the current value when a distribution is first chosen.
+// The porosity shift is added to every simulated porosity, whether drawn from a facies range
+// or from that facies' log histogram; well cells keep their logs. The horizon shift moves all
+// horizons down (positive) or up by the same depth, like a depth-conversion error.
+export const UNCERTAINTY_VARIABLES = [
+  { key: 'goc', label: 'GOC Depth (m)', spread: 10, step: 1 },
+  { key: 'owc', label: 'OWC Depth (m)', spread: 10, step: 1 },
+  { key: 'ntg', label: 'NTG', spread: 0.1, step: 0.05, min: 0, max: 1 },
+  { key: 'porosityShift', label: 'Porosity Shift (Δφ)', spread: 0.02, step: 0.005, min: -0.45, max: 0.45 },
+  { key: 'horizonShift', label: 'Horizon Depth Shift (m)', spread: 5, step: 1 }
+];
+
+export const DEFAULT_UNCERTAINTY = {
+  realizations: 50,
+  seed: 1,
+  varySeed: true,
+  variables: Object.fromEntries(UNCERTAINTY_VARIABLES.map(({ key }) => [key, { type: 'fixed', low: 0, base: 0, high: 0 }]))
+};
+
+export const MAX_REALIZATIONS = 500;
+
+const P10_DEVIATE = normalQuantile(0.9);
+const TORNADO_LOW = 0.1;
+const TORNADO_HIGH = 0.9;
+
+// Value of an input in the current settings; the shifts are zero there
+export const currentValue = (key, volumetrics) => (key in volumetrics ? volumetrics[key] : 0);
+
+// Value at cumulative probability p
+export const distributionQuantile = ({ type, low, base, high }, p) => {
+  switch (type) {
+    case 'uniform':
+      return low + (high - low) * p;
+    case 'triangular': {
+      if (!(high > low)) return base;
+      const split = (base - low) / (high - low);
+      return p < split
+        ? low + Math.sqrt(p * (high - low) * (base - low))
+        : high - Math.sqrt((1 - p) * (high - low) * (high - base));
+    }
+    case 'normal':
+      return base + normalQuantile(Math.min(Math.max(p, 1e-6), 1 - 1e-6)) * (high - low) / (2 * P10_DEVIATE);
+    default:
+      return base;
+  }
+};
+
+const variableValue = (variable, distribution, volumetrics, p) => {
+  if (distribution.type === 'fixed') return currentValue(variable.key, volumetrics);
+  const value = p === null ? distribution.base : distributionQuantile(distribution, p);
+  return Math.min(Math.max(value, variable.min ?? -Infinity), variable.max ?? Infinity);
+};
+
+// First problem with the settings as a message, or null if they can be run
+export const uncertaintyProblem = (uncertainty) => {
+  if (!(uncertainty.realizations >= 2 && uncertainty.realizations <= MAX_REALIZATIONS)) {
+    return `Run between 2 and ${MAX_REALIZATIONS} realizations.`;
+  }
+  for (const variable of UNCERTAINTY_VARIABLES) {
+    const { type, low, base, high } = uncertainty.variables[variable.key];
+    if (type === 'fixed') continue;
+    if (![low, base, high].every(Number.isFinite) || low > base || base > high) {
+      return `${variable.label}: low, base and high must be in increasing order.`;
+    }
+    if (type === 'normal' && !(high > low)) return `${variable.label}: a normal distribution needs high above low.`;
+  }
+  return null;
+};
+
+const shiftedHorizon = (horizon, shift) => withSpatialIndex({
+  ...horizon,
+  points: { ...horizon.points, z: horizon.points.z.map(z => z - shift) }
+}, 2);
+
+// Generation parameters with a realization's porosity shift, horizon shift and seed
+const realizationParams = (generation, inputs, seed) => ({
+  ...generation,
+  horizons: inputs.horizonShift ? generation.horizons.map(horizon => shiftedHorizon(horizon, inputs.horizonShift)) : generation.horizons,
+  propertyModel: { ...generation.propertyModel, seed, porosityShift: inputs.porosityShift }
+});
+
+// Linear interpolation between order statistics, p in [0, 1]
+const percentile = (sorted, p) => {
+  const position = p * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// P90 (low), P50 and P10 (high) and the mean of a set of values
+export const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p90: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p10: percentile(sorted, 0.9),
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+  };
+};
+
+export const UNCERTAINTY_METRICS = [
+  { value: 'stoiip', label: 'STOIIP', unit: '10⁶sm³', scale: 1e6, digits: 2 },
+  { value: 'giip', label: 'GIIP', unit: '10⁹sm³', scale: 1e9, digits: 3 },
+  { value: 'pore', label: 'Pore Volume', unit: '10⁶m³', scale: 1e6, digits: 2 },
+  { value: 'bulk', label: 'Bulk Volume', unit: '10⁶m³', scale: 1e6, digits: 2 }
+];
+
+// Runs the realizations and the tornado cases. Only generation inputs (seed, porosity and
+// horizon shift) need a new grid, so the last grid is reused while they stay the same.
+export const runUncertainty = ({ generation, volumetrics, uncertainty }, onProgress = () => {}) => {
+  const random = createRandom(uncertainty.seed);
+  const propertySeed = generation.propertyModel.seed;
+  const uncertain = UNCERTAINTY_VARIABLES.filter(({ key }) => uncertainty.variables[key].type !== 'fixed');
+  const caseCount = uncertainty.realizations + 1 + 2 * uncertain.length;
+  let caseIndex = 0;
+  let cached = null;
+
+  const evaluate = (inputs, seed, stage) => {
+    const key = `${seed}|${inputs.porosityShift}|${inputs.horizonShift}`;
+    if (!cached || cached.key !== key) {
+      const grid = generateGeologicalGrid(realizationParams(generation, inputs, seed),
+        (fraction) => onProgress((caseIndex + fraction) / caseCount, stage));
+      cached = { key, grid };
+    }
+    caseIndex++;
+    onProgress(caseIndex / caseCount, stage);
+    const { total } = computeVolumetrics(cached.grid, { ...volumetrics, goc: inputs.goc, owc: inputs.owc, ntg: inputs.ntg });
+    return { bulk: total.bulk, pore: total.pore, stoiip: total.stoiip, giip: total.giip };
+  };
+
+  // Every input is drawn each time, fixed or not, so fixing one leaves the others' draws unchanged
+  const draws = Array.from({ length: uncertainty.realizations }, (_, index) => {
+    const inputs = Object.fromEntries(UNCERTAINTY_VARIABLES.map(variable => {
+      const p = random();
+      return [variable.key, variableValue(variable, uncertainty.variables[variable.key], volumetrics, p)];
+    }));
+    const seedDraw = Math.floor(random() * MAX_SEED) + 1;
+    return { index: index + 1, seed: uncertainty.varySeed ? seedDraw : propertySeed, inputs };
+  });
+
+  const realizations = draws.map(draw => ({
+    ...draw,
+    ...evaluate(draw.inputs, draw.seed, `realization ${draw.index}/${draws.length}`)
+  }));
+
+  // Tornado cases run with the property seed from the panel
+  const baseInputs = Object.fromEntries(UNCERTAINTY_VARIABLES.map(variable => [
+    variable.key, variableValue(variable, uncertainty.variables[variable.key], volumetrics, null)
+  ]));
+  const base = evaluate(baseInputs, propertySeed, 'tornado base case');
+  const tornado = uncertain.map(variable => {
+    const distribution = uncertainty.variables[variable.key];
+    const low = variableValue(variable, distribution, volumetrics, TORNADO_LOW);
+    const high = variableValue(variable, distribution, volumetrics, TORNADO_HIGH);
+    return {
+      key: variable.key,
+      label: variable.label,
+      low,
+      high,
+      lowResult: evaluate({ ...baseInputs, [variable.key]: low }, propertySeed, `tornado ${variable.label}`),
+      highResult: evaluate({ ...baseInputs, [variable.key]: high }, propertySeed, `tornado ${variable.label}`)
+    };
+  });
+
+  return {
+    seed: uncertainty.seed,
+    propertySeed,
+    varySeed: uncertainty.varySeed,
+    variables: uncertain.map(({ key, label }) => ({ key, label, ...uncertainty.variables[key] })),
+    realizations,
+    summary: Object.fromEntries(UNCERTAINTY_METRICS.map(({ value }) => [value, summarize(realizations.map(r => r[value]))])),
+    tornado: { baseInputs, base, bars: tornado }
+  };
+};
+
+// CSV of the inputs and volumes of every realization, with the percentiles as comment lines
+export const uncertaintyCsv = (result) => {
+  const format = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(4));
+  const lines = [
+    `# Monte Carlo volumetrics, ${result.realizations.length} realizations, batch seed ${result.seed}`,
+    result.varySeed ? '# Property seed drawn per realization' : `# Property seed ${result.propertySeed}`,
+    ...result.variables.map(v => `# ${v.label}: ${v.type} low ${v.low}, base ${v.base}, high ${v.high}`),
+    ...UNCERTAINTY_METRICS.map(({ value, label }) => {
+      const { p90, p50, p10, mean } = result.summary[value];
+      return `# ${label}: P90 ${p90.toFixed(1)}, P50 ${p50.toFixed(1)}, P10 ${p10.toFixed(1)}, mean ${mean.toFixed(1)}`;
+    }),
+    ['Realization', 'PropertySeed', ...UNCERTAINTY_VARIABLES.map(v => v.key), 'BulkVolume_m3', 'PoreVolume_m3', 'STOIIP_sm3', 'GIIP_sm3'].join(',')
+  ];
+  result.realizations.forEach(r => {
+    lines.push([
+      r.index,
+      r.seed,
+      ...UNCERTAINTY_VARIABLES.map(v => (Number.isFinite(r.inputs[v.key]) ? format(r.inputs[v.key]) : '')),
+      r.bulk.toFixed(1),
+      r.pore.toFixed(1),
+      r.stoiip.toFixed(1),
+      r.giip.toFixed(1)
+    ].join(','));
+  });
+  return lines.join('\n') + '\n';
+};
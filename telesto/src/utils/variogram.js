@@ -0,0 +1,118 @@
+import { samplePoints } from './pointSet';
+
+// Variogram models and experimental variogram estimation for horizon surfaces
+
+export const VARIOGRAM_MODELS = [
+  { value: 'spherical', label: 'Spherical' },
+  { value: 'exponential', label: 'Exponential' },
+  { value: 'gaussian', label: 'Gaussian' }
+];
+
+export const DEFAULT_VARIOGRAM = { type: 'spherical', nugget: 0, sill: 0, range: 0 };
+
+// A model is usable once it has a positive sill and range
+export const isVariogramFitted = (model) => Boolean(model && model.sill > 0 && model.range > 0);
+
+// Normalised model shape in [0, 1] for lag h; exponential and Gaussian use the practical range
+const modelShape = (type, h, range) => {
+  const r = h / range;
+  switch (type) {
+    case 'exponential':
+      return 1 - Math.exp(-3 * r);
+    case 'gaussian':
+      return 1 - Math.exp(-3 * r * r);
+    case 'spherical':
+    default:
+      return r >= 1 ? 1 : 1.5 * r - 0.5 * r * r * r;
+  }
+};
+
+// Semivariance of the model at lag h; `sill` is the total sill including the nugget
+export const variogramValue = (model, h) => {
+  if (h <= 0) return 0;
+  const partialSill = Math.max(model.sill - model.nugget, 0);
+  return model.nugget + partialSill * modelShape(model.type, h, model.range);
+};
+
+// Bins point pairs by separation distance. Large horizons are subsampled with a fixed
+// stride so the pair count stays bounded and the result is repeatable.
+export const computeExperimentalVariogram = (allPoints, { lagCount = 15, maxLag, maxPoints = 1500 } = {}) => {
+  if (!allPoints || allPoints.length < 3) return [];
+
+  const stride = Math.max(1, Math.ceil(allPoints.length / maxPoints));
+  const points = samplePoints(allPoints, stride);
+
+  let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+  points.forEach(p => {
+    xMin = Math.min(xMin, p.x); xMax = Math.max(xMax, p.x);
+    yMin = Math.min(yMin, p.y); yMax = Math.max(yMax, p.y);
+  });
+  const cutoff = maxLag || Math.hypot(xMax - xMin, yMax - yMin) / 2;
+  if (cutoff <= 0) return [];
+
+  const lagSize = cutoff / lagCount;
+  const bins = Array.from({ length: lagCount }, () => ({ distance: 0, gamma: 0, pairs: 0 }));
+
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const h = Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y);
+      if (h >= cutoff) continue;
+      const bin = bins[Math.floor(h / lagSize)];
+      const dz = points[i].z - points[j].z;
+      bin.distance += h;
+      bin.gamma += 0.5 * dz * dz;
+      bin.pairs++;
+    }
+  }
+
+  return bins
+    .filter(bin => bin.pairs > 0)
+    .map(bin => ({
+      lag: bin.distance / bin.pairs,
+      gamma: bin.gamma / bin.pairs,
+      pairs: bin.pairs
+    }));
+};
+
+// Weighted least-squares fit (weights N(h)/h²). For each trial range the model is linear
+// in nugget and partial sill, so those are solved directly and the best range is kept.
+export const fitVariogram = (experimental, type = 'spherical') => {
+  if (!experimental || experimental.length < 2) return { ...DEFAULT_VARIOGRAM, type };
+
+  const maxLag = experimental[experimental.length - 1].lag;
+  const minLag = experimental[0].lag;
+  const weights = experimental.map(e => e.pairs / Math.max(e.lag * e.lag, 1e-9));
+  let best = null;
+
+  for (let step = 1; step <= 40; step++) {
+    const range = minLag + (maxLag * 1.5 - minLag) * step / 40;
+    const shapes = experimental.map(e => modelShape(type, e.lag, range));
+
+    let sw = 0, sf = 0, sff = 0, sg = 0, sfg = 0;
+    experimental.forEach((e, idx) => {
+      const w = weights[idx];
+      const f = shapes[idx];
+      sw += w; sf += w * f; sff += w * f * f; sg += w * e.gamma; sfg += w * f * e.gamma;
+    });
+
+    const det = sw * sff - sf * sf;
+    let nugget = det !== 0 ? (sg * sff - sf * sfg) / det : 0;
+    let partialSill = det !== 0 ? (sw * sfg - sf * sg) / det : 0;
+    if (nugget < 0) {
+      nugget = 0;
+      partialSill = sff > 0 ? sfg / sff : 0;
+    }
+    if (partialSill <= 0) continue;
+
+    const error = experimental.reduce((sum, e, idx) => {
+      const residual = nugget + partialSill * shapes[idx] - e.gamma;
+      return sum + weights[idx] * residual * residual;
+    }, 0);
+
+    if (!best || error < best.error) {
+      best = { error, model: { type, nugget, sill: nugget + partialSill, range } };
+    }
+  }
+
+  return best ? best.model : { ...DEFAULT_VARIOGRAM, type };
+};
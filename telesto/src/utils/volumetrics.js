@@ -0,0 +1,159 @@
+import { zcornIndex } from './cornerPoint';
+
+// In-place volumetrics. Contacts are depths in metres (positive down, so depth = -z): gas above
+// the gas-oil contact, oil between it and the oil-water contact, water below. Without a GOC
+// there is no gas cap; without an OWC the GOC is the gas-water contact. A cell straddling a
+// contact is split by the share of its thickness above it.
+//   pore volume  = bulk · NTG · φ
+//   HCPV         = pore volume · (1 - Sw)
+//   STOIIP       = oil HCPV / Bo,  GIIP = gas HCPV / Bg  (standard m³)
+// Sw is constant or a Brooks–Corey height function above the free-water level:
+//   Sw = Swirr + (1 - Swirr) · (entryHeight / h)^lambda  for h > entryHeight, else 1
+
+export const SATURATION_METHODS = [
+  { value: 'constant', label: 'Constant' },
+  { value: 'height', label: 'Height Above Contact' }
+];
+
+export const DEFAULT_VOLUMETRICS = {
+  goc: null,
+  owc: null,
+  ntg: 0.8,
+  saturation: { method: 'constant', sw: 0.3, swirr: 0.15, entryHeight: 2, lambda: 0.5 },
+  bo: 1.2,
+  bg: 0.005
+};
+
+export const VOLUMETRICS_BREAKDOWNS = [
+  { value: 'zone', label: 'Zone' },
+  { value: 'layer', label: 'Layer' },
+  { value: 'faultBlock', label: 'Fault Block' },
+  { value: 'sourceGrid', label: 'Source Grid' }
+];
+
+// Top and base depth of a cell from its corner-point geometry (shifted like the merged grid),
+// or its centre depth for both when the geometry is not available
+const cellDepthRange = (grid, point) => {
+  const source = grid.isCombined ? grid.sourceGeometry?.[point.gridIndex] : null;
+  const cornerPoint = grid.isCombined ? source?.cornerPoint : grid.cornerPoint;
+  if (!cornerPoint || point.i === undefined) return [-point.z, -point.z];
+  const zOffset = source ? source.offset.z : 0;
+  let top = 0;
+  let base = 0;
+  for (let c = 0; c < 4; c++) {
+    top += cornerPoint.zcorn[zcornIndex(cornerPoint, point.i, point.j, point.k, c)] / 4;
+    base += cornerPoint.zcorn[zcornIndex(cornerPoint, point.i, point.j, point.k, c + 4)] / 4;
+  }
+  return [-(Math.max(top, base) + zOffset), -(Math.min(top, base) + zOffset)];
+};
+
+// Share of the depth interval [top, base] shallower than `depth`
+const shareAbove = (top, base, depth) => {
+  if (base - top < 1e-9) return top < depth ? 1 : 0;
+  return Math.min(Math.max((depth - top) / (base - top), 0), 1);
+};
+
+const waterSaturation = (saturation, height) => {
+  if (saturation.method !== 'height') return saturation.sw;
+  if (!(height > saturation.entryHeight)) return 1;
+  return saturation.swirr + (1 - saturation.swirr) * Math.pow(saturation.entryHeight / height, saturation.lambda);
+};
+
+const emptyRow = (key, label) => ({ key, label, cellCount: 0, bulk: 0, net: 0, pore: 0, hcpvOil: 0, hcpvGas: 0, stoiip: 0, giip: 0 });
+
+const breakdownKey = (grid, point, breakdown) => {
+  switch (breakdown) {
+    case 'layer':
+      return [point.layer, `Layer ${point.layer + 1}`];
+    case 'faultBlock':
+      return [point.faultBlock || 1, `Block ${point.faultBlock || 1}`];
+    case 'sourceGrid':
+      return grid.isCombined ? [point.gridIndex, point.originalGrid] : [0, grid.name];
+    case 'zone':
+    default: {
+      const zone = grid.zones?.find(z => z.index === point.zone);
+      return [point.zone || 1, zone ? `${zone.index}. ${zone.name}` : `Zone ${point.zone || 1}`];
+    }
+  }
+};
+
+// Totals and one row per zone, layer, fault block or source grid. Inactive cells are left out.
+export const computeVolumetrics = (grid, settings, breakdown = 'zone') => {
+  const { goc, owc, ntg, saturation, bo, bg } = settings;
+  const hasGoc = Number.isFinite(goc);
+  const hasOwc = Number.isFinite(owc);
+  // Heights for the saturation function are measured from the free-water level
+  const freeWater = hasOwc ? owc : hasGoc ? goc : null;
+  const total = emptyRow('total', 'Total');
+  const rows = new Map();
+
+  grid.points.forEach(point => {
+    if (point.actnum === 0) return;
+    const bulk = point.bulkVolume || 0;
+    const [top, base] = cellDepthRange(grid, point);
+    const gasShare = hasGoc ? shareAbove(top, base, goc) : 0;
+    const oilShare = hasOwc ? Math.max(shareAbove(top, base, owc) - gasShare, 0) : 0;
+
+    const net = bulk * ntg;
+    const pore = net * (point.porosity || 0);
+    // Saturation at the middle of the hydrocarbon part of the cell
+    const hcShare = gasShare + oilShare;
+    const hcMid = top + (base - top) * hcShare / 2;
+    const sw = hcShare > 0 ? waterSaturation(saturation, freeWater - hcMid) : 1;
+    const hcpvOil = pore * oilShare * (1 - sw);
+    const hcpvGas = pore * gasShare * (1 - sw);
+
+    const [key, label] = breakdownKey(grid, point, breakdown);
+    if (!rows.has(key)) rows.set(key, emptyRow(key, label));
+    [total, rows.get(key)].forEach(row => {
+      row.cellCount++;
+      row.bulk += bulk;
+      row.net += net;
+      row.pore += pore;
+      row.hcpvOil += hcpvOil;
+      row.hcpvGas += hcpvGas;
+      row.stoiip += hcpvOil / bo;
+      row.giip += hcpvGas / bg;
+    });
+  });
+
+  return {
+    breakdown,
+    total,
+    rows: [...rows.values()].sort((a, b) => a.key - b.key || String(a.label).localeCompare(String(b.label)))
+  };
+};
+
+const VOLUMETRICS_COLUMNS = [
+  ['CellCount', 'cellCount'],
+  ['BulkVolume_m3', 'bulk'],
+  ['NetVolume_m3', 'net'],
+  ['PoreVolume_m3', 'pore'],
+  ['HCPVOil_rm3', 'hcpvOil'],
+  ['HCPVGas_rm3', 'hcpvGas'],
+  ['STOIIP_sm3', 'stoiip'],
+  ['GIIP_sm3', 'giip']
+];
+
+// CSV table of every breakdown with the settings used as comment lines
+export const volumetricsCsv = (grid, settings) => {
+  const format = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+  const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+  const lines = [
+    `# Volumetrics for grid ${grid.name}`,
+    `# GOC ${Number.isFinite(settings.goc) ? `${settings.goc} m` : 'none'}, OWC ${Number.isFinite(settings.owc) ? `${settings.owc} m` : 'none'}, NTG ${settings.ntg}, Bo ${settings.bo}, Bg ${settings.bg}`,
+    settings.saturation.method === 'height'
+      ? `# Sw height function: Swirr ${settings.saturation.swirr}, entry height ${settings.saturation.entryHeight} m, lambda ${settings.saturation.lambda}`
+      : `# Sw constant ${settings.saturation.sw}`,
+    ['Breakdown', 'Name', ...VOLUMETRICS_COLUMNS.map(([header]) => header)].join(',')
+  ];
+
+  VOLUMETRICS_BREAKDOWNS.forEach(({ value, label }) => {
+    computeVolumetrics(grid, settings, value).rows.forEach(row => {
+      lines.push([quote(label), quote(row.label), ...VOLUMETRICS_COLUMNS.map(([, key]) => format(row[key]))].join(','));
+    });
+  });
+  const { total } = computeVolumetrics(grid, settings);
+  lines.push([quote('Total'), quote(grid.name), ...VOLUMETRICS_COLUMNS.map(([, key]) => format(total[key]))].join(','));
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,285 @@
+import { LENGTH_UNITS, MAX_REJECTED_ROWS, isDataLine, parseNumber, splitDelimitedLine } from './delimitedImport';
+import { cellIndex, zcornIndex } from './cornerPoint';
+import { worldToLocal } from './gridGeometry';
+
+// Well trajectories from deviation surveys or XYZ paths. A well is a polyline of stations
+// { md, x, y, z } in metres with z as elevation, like every other input; grid generation flags
+// the cells the polyline passes through with the well's name and blocks the well's logs
+// (see lasFile.js) into them.
+
+// Survey wellhead: map position and the elevation of the depth datum (KB), in the file's units.
+// Wellhead X, Y and datum columns override it per well (first row of each well).
+export const DEFAULT_WELLHEAD = { x: 0, y: 0, datum: 0 };
+
+const WELLHEAD_ROLES = { headX: 'x', headY: 'y', datum: 'datum' };
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Minimum-curvature positions of survey stations { md, inclination, azimuth } (degrees, azimuth
+// clockwise from grid north). The well is tied in vertically at the wellhead when the survey
+// does not start at MD 0.
+export const minimumCurvature = (stations, wellhead) => {
+  const tieIn = stations.length > 0 && stations[0].md > 0
+    ? [{ md: 0, inclination: 0, azimuth: stations[0].azimuth }]
+    : [];
+  let north = 0;
+  let east = 0;
+  let tvd = 0;
+
+  return [...tieIn, ...stations].map((station, idx, all) => {
+    if (idx > 0) {
+      const previous = all[idx - 1];
+      const i1 = toRadians(previous.inclination);
+      const i2 = toRadians(station.inclination);
+      const a1 = toRadians(previous.azimuth);
+      const a2 = toRadians(station.azimuth);
+      const dogleg = Math.acos(Math.min(1, Math.max(-1,
+        Math.cos(i2 - i1) - Math.sin(i1) * Math.sin(i2) * (1 - Math.cos(a2 - a1))
+      )));
+      // Ratio factor; tends to 1 as the dogleg vanishes (straight hole)
+      const ratio = dogleg > 1e-9 ? (2 / dogleg) * Math.tan(dogleg / 2) : 1;
+      const half = (station.md - previous.md) / 2;
+      north += half * (Math.sin(i1) * Math.cos(a1) + Math.sin(i2) * Math.cos(a2)) * ratio;
+      east += half * (Math.sin(i1) * Math.sin(a1) + Math.sin(i2) * Math.sin(a2)) * ratio;
+      tvd += half * (Math.cos(i1) + Math.cos(i2)) * ratio;
+    }
+    return { md: station.md, x: wellhead.x + east, y: wellhead.y + north, z: wellhead.datum - tvd };
+  });
+};
+
+// XYZ stations without an MD column get the length along the path
+const withMeasuredDepth = (stations) => {
+  let length = 0;
+  return stations.map((station, idx) => {
+    if (idx > 0) {
+      const previous = stations[idx - 1];
+      length += Math.hypot(station.x - previous.x, station.y - previous.y, station.z - previous.z);
+    }
+    return Number.isFinite(station.md) ? station : { ...station, md: length };
+  });
+};
+
+const ROLE_LABELS = { md: 'MD', inclination: 'Inclination', azimuth: 'Azimuth', x: 'X', y: 'Y', z: 'Z' };
+const SURVEY_ROLES = ['md', 'inclination', 'azimuth'];
+const TRAJECTORY_ROLES = ['x', 'y', 'z'];
+
+// Parses a delimited well file mapped in the import wizard. With MD, inclination and azimuth
+// columns it is a deviation survey below `wellhead`, otherwise an XYZ trajectory (MD optional,
+// otherwise the length along the path). Rows are grouped into wells by the well-name column; a
+// survey of several wells needs wellhead X and Y columns, since one wellhead cannot serve them all.
+export const importWells = (text, settings) => {
+  const {
+    delimiter, hasHeader, columns, xyUnit = 'm', zUnit = 'm', zConvention = 'elevation',
+    wellhead = DEFAULT_WELLHEAD, defaultName = 'Well'
+  } = settings;
+  const xyFactor = LENGTH_UNITS.find(u => u.value === xyUnit).factor;
+  const zFactor = LENGTH_UNITS.find(u => u.value === zUnit).factor;
+  const isSurvey = SURVEY_ROLES.every(role => columns.includes(role));
+  if (!isSurvey && !TRAJECTORY_ROLES.every(role => columns.includes(role))) {
+    throw new Error('Map MD, Inclination and Azimuth for a deviation survey, or X, Y and Z for a trajectory');
+  }
+
+  const required = isSurvey ? SURVEY_ROLES : TRAJECTORY_ROLES;
+  const wellColumn = columns.indexOf('well');
+  const mdColumn = columns.indexOf('md');
+  const wells = new Map();
+  const heads = new Map();
+  const rejected = [];
+  let rejectedCount = 0;
+  let headerPending = hasHeader;
+
+  const reject = (line, reason, lineText) => {
+    rejectedCount++;
+    if (rejected.length < MAX_REJECTED_ROWS) rejected.push({ line, reason, text: lineText });
+  };
+
+  text.split(/\r?\n/).forEach((line, idx) => {
+    if (!isDataLine(line)) return;
+    if (headerPending) {
+      headerPending = false;
+      return;
+    }
+    const fields = splitDelimitedLine(line, delimiter);
+    const values = {};
+    const invalid = required.find(role => {
+      values[role] = parseNumber(fields[columns.indexOf(role)]);
+      return !Number.isFinite(values[role]);
+    });
+    if (invalid) {
+      const field = fields[columns.indexOf(invalid)];
+      reject(idx + 1, field === undefined || field === '' ? `${ROLE_LABELS[invalid]} is empty` : `${ROLE_LABELS[invalid]} value "${field}" is not a number`, line);
+      return;
+    }
+    if (isSurvey && (values.inclination < 0 || values.inclination > 180)) {
+      reject(idx + 1, 'Inclination outside 0–180°', line);
+      return;
+    }
+
+    const name = (wellColumn >= 0 && fields[wellColumn]) || defaultName;
+    if (!wells.has(name)) {
+      // Wellhead columns are read from the well's first row; missing ones fall back to `wellhead`
+      const head = { ...wellhead };
+      Object.entries(WELLHEAD_ROLES).forEach(([role, key]) => {
+        const value = parseNumber(fields[columns.indexOf(role)]);
+        if (columns.includes(role) && Number.isFinite(value)) head[key] = value;
+      });
+      heads.set(name, head);
+      wells.set(name, []);
+    }
+    const rows = wells.get(name);
+    const md = mdColumn >= 0 ? parseNumber(fields[mdColumn]) * zFactor : NaN;
+    if (Number.isFinite(md) && rows.length > 0 && !(md > rows[rows.length - 1].md)) {
+      reject(idx + 1, 'MD does not increase along the well', line);
+      return;
+    }
+
+    rows.push(isSurvey
+      ? { md, inclination: values.inclination, azimuth: values.azimuth }
+      : {
+          md,
+          x: values.x * xyFactor,
+          y: values.y * xyFactor,
+          z: values.z * zFactor * (zConvention === 'depth' ? -1 : 1)
+        });
+  });
+
+  if (isSurvey && wells.size > 1 && !(columns.includes('headX') && columns.includes('headY'))) {
+    throw new Error(`The survey holds ${wells.size} wells (${[...wells.keys()].slice(0, 3).join(', ')}${wells.size > 3 ? ', …' : ''}); map Wellhead X and Y columns so each well starts at its own position`);
+  }
+
+  const scaledHead = (head) => ({ x: head.x * xyFactor, y: head.y * xyFactor, datum: head.datum * zFactor });
+  return {
+    wells: [...wells.entries()].map(([name, rows]) => ({
+      name,
+      source: isSurvey ? 'survey' : 'trajectory',
+      trajectory: isSurvey ? minimumCurvature(rows, scaledHead(heads.get(name))) : withMeasuredDepth(rows)
+    })),
+    rejected,
+    rejectedCount
+  };
+};
+
+// Trajectory sampling step along the hole (m); fine enough not to skip thin layers
+const WELL_SAMPLE_STEP = 1;
+
+// Structured index of the cell containing a point, or -1. Pillars are vertical, so the column
+// comes from the lattice and the layer from the cell's top and base interpolated at the point.
+const cellAt = (cornerPoint, lattice, rotation, x, y, z) => {
+  const { u, v } = worldToLocal(rotation, x, y);
+  const fi = (u - lattice.xOrigin) / lattice.dx;
+  const fj = (v - lattice.yOrigin) / lattice.dy;
+  const i = Math.floor(fi);
+  const j = Math.floor(fj);
+  if (i < 0 || j < 0 || i >= cornerPoint.nI || j >= cornerPoint.nJ) return -1;
+  const a = fi - i;
+  const b = fj - j;
+  const weights = [(1 - a) * (1 - b), a * (1 - b), (1 - a) * b, a * b];
+
+  for (let k = 0; k < cornerPoint.nK; k++) {
+    let top = 0;
+    let base = 0;
+    weights.forEach((w, c) => {
+      top += w * cornerPoint.zcorn[zcornIndex(cornerPoint, i, j, k, c)];
+      base += w * cornerPoint.zcorn[zcornIndex(cornerPoint, i, j, k, c + 4)];
+    });
+    if (z <= Math.max(top, base) && z >= Math.min(top, base)) {
+      const structured = cellIndex(cornerPoint, i, j, k);
+      if (cornerPoint.cellPoint[structured] >= 0) return structured;
+    }
+  }
+  return -1;
+};
+
+// Well name per structured cell index for every cell a trajectory passes through. Where wells
+// share a cell the first well keeps it.
+export const wellCellCrossings = (cornerPoint, lattice, rotation, wells) => {
+  const crossings = new Map();
+  wells.forEach(well => {
+    const mark = (x, y, z) => {
+      const structured = cellAt(cornerPoint, lattice, rotation, x, y, z);
+      if (structured >= 0 && !crossings.has(structured)) crossings.set(structured, well.name);
+    };
+    well.trajectory.forEach((station, idx) => {
+      if (idx === 0) {
+        mark(station.x, station.y, station.z);
+        return;
+      }
+      const previous = well.trajectory[idx - 1];
+      const length = Math.hypot(station.x - previous.x, station.y - previous.y, station.z - previous.z);
+      const steps = Math.max(1, Math.ceil(length / WELL_SAMPLE_STEP));
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        mark(previous.x + (station.x - previous.x) * t, previous.y + (station.y - previous.y) * t, previous.z + (station.z - previous.z) * t);
+      }
+    });
+  });
+  return crossings;
+};
+
+// Position on a trajectory at a measured depth, linear between stations; null outside it
+export const positionAtMd = (trajectory, md) => {
+  if (trajectory.length === 0 || md < trajectory[0].md || md > trajectory[trajectory.length - 1].md) return null;
+  let low = 0;
+  let high = trajectory.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (trajectory[mid].md <= md) low = mid;
+    else high = mid;
+  }
+  const a = trajectory[low];
+  const b = trajectory[high];
+  const t = b.md > a.md ? (md - a.md) / (b.md - a.md) : 0;
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+};
+
+// Blocks the wells' logs into the cells they penetrate: every log sample is placed on its
+// trajectory and averaged into its cell, porosity arithmetically and permeability
+// geometrically. Returns the blocked values per structured cell and, per well, the runs of
+// consecutive samples in one cell (MD interval and the cell's value) to QC against the raw log.
+export const upscaleWellLogs = (cornerPoint, lattice, rotation, wells) => {
+  const sums = new Map();
+  const runs = wells.filter(well => well.log).map(well => {
+    const { md, porosity, permeability } = well.log;
+    const blocks = [];
+    let current = null;
+    for (let s = 0; s < md.length; s++) {
+      const position = positionAtMd(well.trajectory, md[s]);
+      const structured = position ? cellAt(cornerPoint, lattice, rotation, position.x, position.y, position.z) : -1;
+      if (structured < 0) {
+        current = null;
+        continue;
+      }
+      if (!current || current.cell !== structured) {
+        current = { cell: structured, mdTop: md[s], mdBase: md[s] };
+        blocks.push(current);
+      }
+      current.mdBase = md[s];
+
+      if (!sums.has(structured)) sums.set(structured, { porosity: 0, porosityCount: 0, logPermeability: 0, permeabilityCount: 0 });
+      const sum = sums.get(structured);
+      if (porosity && Number.isFinite(porosity[s])) {
+        sum.porosity += porosity[s];
+        sum.porosityCount++;
+      }
+      if (permeability && permeability[s] > 0) {
+        sum.logPermeability += Math.log10(permeability[s]);
+        sum.permeabilityCount++;
+      }
+    }
+    return { name: well.name, blocks };
+  });
+
+  const cells = new Map();
+  sums.forEach((sum, structured) => cells.set(structured, {
+    porosity: sum.porosityCount > 0 ? sum.porosity / sum.porosityCount : NaN,
+    permeability: sum.permeabilityCount > 0 ? Math.pow(10, sum.logPermeability / sum.permeabilityCount) : NaN
+  }));
+
+  return {
+    cells,
+    wells: runs.map(({ name, blocks }) => ({
+      name,
+      blocks: blocks.map(({ cell, mdTop, mdBase }) => ({ mdTop, mdBase, ...cells.get(cell) }))
+    }))
+  };
+};
@@ -0,0 +1,32 @@
+import { generateGeologicalGrid } from '../utils/gridGeneration';
+import { runUncertainty } from '../utils/uncertainty';
+
+// Dedicated worker for grid generation and Monte Carlo batches. Jobs run synchronously; the
+// main thread cancels a job by terminating the worker, so no cancellation checks are needed here.
+const JOBS = {
+  generate: generateGeologicalGrid,
+  uncertainty: runUncertainty
+};
+
+self.onmessage = (event) => {
+  const { type, jobId, params } = event.data;
+  const run = JOBS[type];
+  if (!run) return;
+
+  let lastPercent = -1;
+  let lastStage = null;
+  const onProgress = (fraction, stage) => {
+    const percent = Math.floor(fraction * 100);
+    if (percent === lastPercent && stage === lastStage) return;
+    lastPercent = percent;
+    lastStage = stage;
+    self.postMessage({ type: 'progress', jobId, percent, stage });
+  };
+
+  try {
+    const result = run(params, onProgress);
+    self.postMessage({ type: 'result', jobId, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId, message: error.message });
+  }
+};
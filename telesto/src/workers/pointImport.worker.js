@@ -0,0 +1,71 @@
+import { createDelimitedParser } from '../utils/delimitedImport';
+import { parseGriddedSurface } from '../utils/surfaceFormats';
+import { decimatePointSet, pointSetFromPoints, pointSetTransferables } from '../utils/pointSet';
+import { faultFromSticks, faultSurfaceTransferables, parseFaultSticks } from '../utils/faultSticks';
+import { importWells } from '../utils/wellTrajectory';
+
+// Dedicated worker for file imports. Delimited text is streamed through the row parser chunk
+// by chunk, so the file is never held as one string; gridded surfaces, fault sticks and well
+// files are parsed whole, and sticks are triangulated here. The main thread cancels an import
+// by terminating the worker.
+self.onmessage = async (event) => {
+  const { type, file, settings } = event.data;
+  if (type !== 'import') return;
+
+  let lastPercent = -1;
+  const onProgress = (fraction) => {
+    const percent = Math.floor(fraction * 100);
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+    self.postMessage({ type: 'progress', percent });
+  };
+
+  try {
+    let result;
+    let transferables;
+    if (settings.stickFormat) {
+      onProgress(0);
+      const parsed = parseFaultSticks(await file.text(), settings.stickFormat, settings);
+      result = { ...parsed, faults: parsed.faults.map(faultFromSticks), decimatedCount: 0 };
+      transferables = result.faults.flatMap(fault => [...pointSetTransferables(fault.points), ...faultSurfaceTransferables(fault.surface)]);
+    } else if (settings.well) {
+      onProgress(0);
+      result = { ...importWells(await file.text(), settings), decimatedCount: 0 };
+      transferables = [];
+    } else if (settings.surfaceFormat) {
+      onProgress(0);
+      const points = pointSetFromPoints(parseGriddedSurface(await file.text(), settings.surfaceFormat));
+      result = { points: decimatePointSet(points, settings.decimation, settings.dims), rejected: [], rejectedCount: 0 };
+      result.decimatedCount = points.length - result.points.length;
+    } else {
+      const parser = createDelimitedParser(settings);
+      const reader = file.stream().getReader();
+      const decoder = new TextDecoder();
+      let bytesRead = 0;
+      let lineNumber = 0;
+      let carry = '';
+
+      const parseText = (text) => {
+        const lines = (carry + text).split('\n');
+        carry = lines.pop();
+        lines.forEach(line => parser.parseLine(line.endsWith('\r') ? line.slice(0, -1) : line, ++lineNumber));
+      };
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        bytesRead += value.length;
+        parseText(decoder.decode(value, { stream: true }));
+        onProgress(file.size > 0 ? bytesRead / file.size : 1);
+      }
+      parseText(decoder.decode());
+      if (carry) parser.parseLine(carry.endsWith('\r') ? carry.slice(0, -1) : carry, ++lineNumber);
+      result = parser.finish();
+    }
+
+    onProgress(1);
+    self.postMessage({ type: 'result', result }, transferables || pointSetTransferables(result.points));
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};